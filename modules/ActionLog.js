@@ -0,0 +1,90 @@
+/**
+ * ActionLog.js - Game Session Action Log
+ * Append-only record of every player action in a case, replayed by GameState to derive progress
+ */
+
+// Action types recorded in the log
+export const ACTION_TYPES = [
+    'case_started',     // { caseId, routeLength, difficulty, suspectId, cityRoute, startingCity, attempts, clock: { startHour, deadlineHour }, dossier }
+    'clue_collected',   // { clue } - one entry per clue added to the evidence list
+    'clues_requested',  // { cityId, outcome: 'clues' | 'no_more_info' | 'not_here', difficulty, hours }
+    'location_visited', // { cityId, locationId, hours } - went to another informant in the same city
+    'hint_bought',      // { cityId, locationId, difficulty, payment: 'points' | 'hours', points, hours }
+    'trait_revealed',   // { cityId, trait, value } - an informant told the player one of the suspect's traits
+    'warrant_issued',   // { traits, matches } - replaces any earlier warrant
+    'travel_rejected',  // { cityId, reason } - invalid destination, costs an attempt
+    'guess_made',       // { cityId, expectedCity, correct, points, hours }
+    'language_changed', // { from, to }
+    'case_won',         // {}
+    'case_lost'         // { failureType }
+];
+
+export class ActionLog {
+    constructor(entries = []) {
+        this.entries = [];
+        this.load(entries);
+    }
+
+    // Append an action; entries are copied and frozen so later changes cannot rewrite history
+    append(type, data = {}) {
+        if (!ACTION_TYPES.includes(type)) {
+            console.warn(`ActionLog: Ignoring unknown action type ${type}`);
+            return null;
+        }
+
+        const entry = Object.freeze({
+            seq: this.entries.length + 1,
+            type: type,
+            timestamp: new Date().toISOString(),
+            data: JSON.parse(JSON.stringify(data))
+        });
+        this.entries.push(entry);
+        return entry;
+    }
+
+    // Check the shape of a stored entry
+    isValidEntry(entry, index) {
+        return Boolean(entry) &&
+            entry.seq === index + 1 &&
+            ACTION_TYPES.includes(entry.type) &&
+            typeof entry.timestamp === 'string' &&
+            Boolean(entry.data) && typeof entry.data === 'object';
+    }
+
+    // Check that a stored log is complete and in order
+    isValidLog(entries) {
+        return Array.isArray(entries) && entries.every((entry, index) => this.isValidEntry(entry, index));
+    }
+
+    // Replace the log with stored entries (used when loading a saved case)
+    load(entries) {
+        if (!this.isValidLog(entries)) {
+            console.warn('ActionLog: Ignoring malformed action log');
+            this.entries = [];
+            return false;
+        }
+
+        this.entries = entries.map(entry => Object.freeze({ ...entry, data: JSON.parse(JSON.stringify(entry.data)) }));
+        return true;
+    }
+
+    // Start an empty log for a new case
+    clear() {
+        this.entries = [];
+    }
+
+    // All entries in order
+    getEntries() {
+        return [...this.entries];
+    }
+
+    // Check whether the log covers the case from its start, so replaying it rebuilds the whole state
+    isReplayable() {
+        return this.entries.length > 0 && this.entries[0].type === 'case_started';
+    }
+
+    // Serializable copy for saves and case files
+    toJSON() {
+        return this.entries.map(entry => ({ ...entry, data: JSON.parse(JSON.stringify(entry.data)) }));
+    }
+}
@@ -433,21 +433,40 @@ export class AssetLoader {
                         id: 'fallback_city',
                         name: 'Emergency Location',
                         country: 'Unknown',
-                        is_final: true,
-                        informant: {
-                            name: 'System',
-                            greeting: 'Game data could not be loaded. Please refresh the page.',
-                            farewell_helpful: 'Good luck!',
-                            farewell_unhelpful: 'Sorry for the inconvenience.'
-                        },
+                        locations: [
+                            {
+                                id: 'fallback_desk',
+                                name: 'Help Desk',
+                                hours: 0,
+                                informant: {
+                                    name: 'System',
+                                    personality: 'Offline',
+                                    greeting: 'Game data could not be loaded. Please refresh the page.',
+                                    farewell_helpful: 'Good luck!',
+                                    farewell_unhelpful: 'Sorry for the inconvenience.'
+                                }
+                            }
+                        ],
                         clues: {
-                            easy: ['System is in offline mode'],
-                            medium: ['Please check your connection'],
-                            difficult: ['Refresh the page to try again']
+                            easy: [{ text: 'System is in offline mode', category: 'transport' }],
+                            medium: [{ text: 'Please check your connection', category: 'transport' }],
+                            difficult: [{ text: 'Refresh the page to try again', category: 'transport' }]
                         },
-                        not_here_response: 'Game data is not available.',
+                        not_here_response: 'Game data is not available.'
+                    }
+                ],
+                suspects: [
+                    {
+                        id: 'nadine',
+                        name: 'Nadine Vuan',
+                        short_name: 'Nadine',
+                        role: 'talent recruiter',
+                        pronouns: { subject: 'she', object: 'her', possessive: 'her' },
+                        portrait: 'buenosAires_youFoundMe.png',
+                        traits: {},
+                        final_city: 'fallback_city',
                         final_encounter: {
-                            nadine_speech: 'The game data could not be loaded.',
+                            suspect_speech: 'The game data could not be loaded.',
                             steve_response: 'I need to refresh the page.',
                             victory_message: 'Please refresh to play the full game.'
                         }
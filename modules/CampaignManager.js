@@ -0,0 +1,153 @@
+/**
+ * CampaignManager.js - Campaign Mode
+ * A fixed series of cases with growing routes and stricter presets; solving a case unlocks the next one
+ */
+
+import { PERSISTENT_STORAGE_KEYS } from './SessionManager.js';
+
+// Campaign cases in play order; every case chases a different suspect, so every case ends in a different city
+export const CAMPAIGN_CASES = [
+    { id: 'first_trail', suspectId: 'aiko', routeLength: 4, difficulty: 'rookie' },
+    { id: 'eternal_city', suspectId: 'marco', routeLength: 5, difficulty: 'detective' },
+    { id: 'last_tango', suspectId: 'nadine', routeLength: 6, difficulty: 'master' }
+];
+
+export class CampaignManager {
+    constructor(cases = CAMPAIGN_CASES) {
+        this.storageKey = PERSISTENT_STORAGE_KEYS.campaign;
+        this.caseIdPrefix = 'CAMPAIGN-';
+        this.cases = cases;
+        this.records = this.loadRecords();
+    }
+
+    // Empty record structure
+    createEmptyRecords() {
+        return {
+            results: {} // caseNumber -> { solved, bestScore, plays, solvedAt }
+        };
+    }
+
+    // Load campaign progress from localStorage
+    loadRecords() {
+        try {
+            const storedRecords = localStorage.getItem(this.storageKey);
+            if (storedRecords) {
+                const parsedRecords = JSON.parse(storedRecords);
+                if (parsedRecords && parsedRecords.results && typeof parsedRecords.results === 'object') {
+                    return parsedRecords;
+                }
+                console.warn('CampaignManager: Ignoring malformed campaign records');
+            }
+        } catch (error) {
+            console.warn('CampaignManager: Could not load campaign records:', error);
+        }
+        return this.createEmptyRecords();
+    }
+
+    // Persist campaign progress
+    saveRecords() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('CampaignManager: Could not save campaign records:', error);
+        }
+    }
+
+    // Campaign case by its number (1-based), or null
+    getCase(caseNumber) {
+        return this.cases[caseNumber - 1] || null;
+    }
+
+    // Case ID for a new attempt at a campaign case (the code keeps every attempt's route fresh)
+    getCaseId(caseNumber, code) {
+        return `${this.caseIdPrefix}${caseNumber}-${code}`;
+    }
+
+    // Check whether a case ID belongs to a campaign case
+    isCampaignCaseId(caseId) {
+        return this.getCaseNumber(caseId) !== null;
+    }
+
+    // Campaign case number encoded in a case ID (null for other cases)
+    getCaseNumber(caseId) {
+        if (typeof caseId !== 'string' || !caseId.startsWith(this.caseIdPrefix)) {
+            return null;
+        }
+
+        const caseNumber = parseInt(caseId.slice(this.caseIdPrefix.length), 10);
+        return this.getCase(caseNumber) ? caseNumber : null;
+    }
+
+    // Stored result of a campaign case, if it was ever finished
+    getResult(caseNumber) {
+        return this.records.results[caseNumber] || null;
+    }
+
+    // The first case is always open; every other one opens once the case before it is solved
+    isUnlocked(caseNumber) {
+        if (!this.getCase(caseNumber)) {
+            return false;
+        }
+
+        const previousResult = this.getResult(caseNumber - 1);
+        return caseNumber === 1 || Boolean(previousResult && previousResult.solved);
+    }
+
+    // Number of solved campaign cases
+    getSolvedCount() {
+        return this.cases.filter((campaignCase, index) => {
+            const result = this.getResult(index + 1);
+            return result && result.solved;
+        }).length;
+    }
+
+    // Summary used by the campaign screen
+    getStatus() {
+        const solvedCount = this.getSolvedCount();
+        return {
+            solvedCount: solvedCount,
+            totalCases: this.cases.length,
+            isComplete: solvedCount === this.cases.length,
+            cases: this.cases.map((campaignCase, index) => {
+                const caseNumber = index + 1;
+                return {
+                    ...campaignCase,
+                    number: caseNumber,
+                    unlocked: this.isUnlocked(caseNumber),
+                    result: this.getResult(caseNumber)
+                };
+            })
+        };
+    }
+
+    // Record the outcome of a campaign case (cases opened through a link before they were unlocked do not count)
+    recordResult(caseId, result) {
+        const caseNumber = this.getCaseNumber(caseId);
+        if (caseNumber === null || !this.isUnlocked(caseNumber)) {
+            return null;
+        }
+
+        const previous = this.getResult(caseNumber);
+        const wasSolved = Boolean(previous && previous.solved);
+        const score = result.solved ? (result.score || 0) : 0;
+
+        this.records.results[caseNumber] = {
+            solved: wasSolved || Boolean(result.solved),
+            bestScore: Math.max(previous ? previous.bestScore : 0, score),
+            plays: (previous ? previous.plays : 0) + 1,
+            solvedAt: previous && previous.solvedAt ? previous.solvedAt : (result.solved ? new Date().toISOString() : null)
+        };
+        this.saveRecords();
+
+        console.log(`CampaignManager: Recorded ${result.solved ? 'solved' : 'unsolved'} campaign case ${caseNumber}`);
+
+        // A first solve opens the next case (or completes the campaign)
+        const newlySolved = !wasSolved && Boolean(result.solved);
+        return {
+            caseNumber: caseNumber,
+            solved: Boolean(result.solved),
+            unlockedCaseNumber: newlySolved && this.getCase(caseNumber + 1) ? caseNumber + 1 : null,
+            campaignComplete: newlySolved && this.getSolvedCount() === this.cases.length
+        };
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * CaseFileManager.js - Case File Export and Import
+ * Turns the current case into a portable JSON file and validates case files on import
+ */
+
+import { DEFAULT_SUSPECT_ID } from './GameState.js';
+
+export class CaseFileManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.format = 'nadine-vuan-case-file';
+        this.formatVersion = 1;
+    }
+
+    // Build a case file from the current game (snapshot includes collected clues and RNG state)
+    createCaseFile(language = null) {
+        return {
+            format: this.format,
+            formatVersion: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            language: language,
+            caseId: this.gameState.caseId,
+            state: this.gameState.createSaveSnapshot()
+        };
+    }
+
+    // File name for a downloaded case file
+    getFileName(caseFile) {
+        const exportDate = caseFile.exportedAt.slice(0, 10);
+        return `nadine-vuan-case-${caseFile.caseId || 'unnamed'}-${exportDate}.json`;
+    }
+
+    // Download the current case as a .json file
+    downloadCaseFile(language = null) {
+        const caseFile = this.createCaseFile(language);
+        const blob = new Blob([JSON.stringify(caseFile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(caseFile);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log(`CaseFileManager: Exported case ${caseFile.caseId}`);
+        return caseFile;
+    }
+
+    // Parse and validate case file text, returning the saved state to load or an error code
+    readCaseFile(text) {
+        let caseFile;
+        try {
+            caseFile = JSON.parse(text);
+        } catch (error) {
+            console.warn('CaseFileManager: Case file is not valid JSON:', error);
+            return { state: null, error: 'unreadable' };
+        }
+
+        if (!caseFile || caseFile.format !== this.format || !caseFile.state || typeof caseFile.state !== 'object') {
+            return { state: null, error: 'not_case_file' };
+        }
+
+        if (!Number.isInteger(caseFile.formatVersion) || caseFile.formatVersion > this.formatVersion) {
+            return { state: null, error: 'newer_version' };
+        }
+
+        // Case files embed a saved state, so older ones go through the same migrations
+        const migration = this.gameState.saveStateMigrator.migrate(caseFile.state);
+        if (migration.error) {
+            return { state: null, error: migration.error };
+        }
+
+        // Same checks as a local save, including the suspect against the loaded game data
+        const state = migration.state;
+        if (!this.gameState.validateSavedState(state)) {
+            return { state: null, error: this.gameState.getSavedStateProblem(state) };
+        }
+
+        if (!Array.isArray(state.cityRoute) || state.cityRoute.length === 0 || state.phase === 'intro') {
+            return { state: null, error: 'empty_case' };
+        }
+
+        const unknownCities = this.findUnknownCities(state);
+        if (unknownCities.length > 0) {
+            console.warn('CaseFileManager: Case file references unknown cities:', unknownCities);
+            return { state: null, error: 'unknown_cities' };
+        }
+
+        // Informant locations and the suspect must exist too, or the case falls back to another informant or
+        // cannot be finished
+        const unknownLocations = this.findUnknownLocations(state);
+        if (unknownLocations.length > 0) {
+            console.warn('CaseFileManager: Case file references unknown locations:', unknownLocations);
+            return { state: null, error: 'unknown_locations' };
+        }
+
+        const suspectId = state.suspectId || DEFAULT_SUSPECT_ID;
+        if (!this.gameState.getSuspect(suspectId)) {
+            console.warn('CaseFileManager: Case file references an unknown suspect:', suspectId);
+            return { state: null, error: 'unknown_suspect' };
+        }
+
+        return { state, error: null };
+    }
+
+    // Cities referenced by a saved state that are missing from the loaded game data
+    findUnknownCities(state) {
+        const cities = this.gameState.gameData && Array.isArray(this.gameState.gameData.cities) ?
+            this.gameState.gameData.cities :
+            [];
+        const knownCityIds = new Set(cities.map(city => city.id));
+
+        const referencedCityIds = new Set([
+            ...state.cityRoute,
+            ...state.visitedCities,
+            state.currentCity,
+            ...state.collectedClues.map(clue => clue.sourceCity)
+        ].filter(Boolean));
+
+        return [...referencedCityIds].filter(cityId => !knownCityIds.has(cityId));
+    }
+
+    // Locations referenced by a saved state (as "cityId@locationId") that are missing from their city
+    // in the loaded game data (no location means where players arrive, which every city has)
+    findUnknownLocations(state) {
+        const referencedLocations = [
+            [state.currentCity, state.currentLocationId],
+            ...state.collectedClues.map(clue => [clue.sourceCity, clue.sourceLocation]),
+            ...(state.hintsBought || []).map(hint => [hint.cityId, hint.locationId])
+        ].filter(([cityId, locationId]) => cityId && locationId);
+
+        const unknownLocations = referencedLocations
+            .filter(([cityId, locationId]) => !this.gameState.getCityLocations(this.gameState.findCity(cityId))
+                .some(location => location.id === locationId))
+            .map(([cityId, locationId]) => `${cityId}@${locationId}`);
+        return [...new Set(unknownLocations)];
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * CaseReplay.js - Case Replay Playback
+ * Turns a case's action log into city-by-city replay steps with play, pause, step and speed controls
+ */
+
+export class CaseReplay {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.speedOptions = [0.5, 1, 2, 4];
+        this.baseStepDelay = 1500; // Milliseconds between steps at 1x speed
+        this.steps = [];
+        this.stages = []; // One stage per city the player investigated
+        this.position = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.playTimer = null;
+        this.onChange = null; // Called after every position or playback change
+    }
+
+    // Build replay steps from an action log (returns false when there is nothing to replay)
+    load(entries) {
+        this.pause();
+        this.steps = [];
+        this.stages = [];
+        this.position = 0;
+
+        if (!Array.isArray(entries) || entries.length === 0 || entries[0].type !== 'case_started') {
+            return false;
+        }
+
+        let progress = this.gameState.createInitialProgress();
+        let previousTimestamp = null;
+
+        entries.forEach(entry => {
+            progress = this.gameState.applyAction(progress, entry);
+            const timestamp = Date.parse(entry.timestamp);
+            const decisionMs = previousTimestamp === null ? 0 : Math.max(0, timestamp - previousTimestamp);
+            previousTimestamp = timestamp;
+
+            if (entry.type === 'case_started') {
+                this.stages.push(this.createStage(entry.data.startingCity, timestamp, this.steps.length));
+            }
+
+            // Answered requests already show up as the clues they produced
+            if (entry.type === 'clues_requested' && entry.data.outcome === 'clues') {
+                return;
+            }
+
+            this.steps.push({
+                seq: entry.seq,
+                type: entry.type,
+                data: entry.data,
+                timestamp: timestamp,
+                decisionMs: decisionMs,
+                stageIndex: this.stages.length - 1,
+                progress: {
+                    score: progress.score,
+                    attemptsRemaining: progress.attemptsRemaining,
+                    cluesCollected: progress.collectedClues.length,
+                    citiesCompleted: progress.citiesCompleted,
+                    clockHours: progress.clockHours
+                }
+            });
+
+            // A correct guess closes this city; the next step happens in the new one
+            if (entry.type === 'guess_made' && entry.data.correct) {
+                this.stages.push(this.createStage(progress.currentCity, timestamp, this.steps.length));
+            }
+        });
+
+        // Drop a trailing city with no recorded steps (e.g. a case exported right after a flight)
+        const lastStage = this.stages[this.stages.length - 1];
+        if (this.stages.length > 1 && lastStage.firstStep >= this.steps.length) {
+            this.stages.pop();
+        }
+
+        return this.steps.length > 0;
+    }
+
+    // Empty stage for a city reached at the given time
+    createStage(cityId, startedAt, firstStep) {
+        return {
+            cityId: cityId,
+            startedAt: startedAt,
+            firstStep: firstStep
+        };
+    }
+
+    // Everything the replay screen needs for the current position
+    getView() {
+        const step = this.steps[this.position] || null;
+        const stageIndex = step ? step.stageIndex : 0;
+        const stage = this.stages[stageIndex] || null;
+
+        // Steps of the current city played so far
+        const stageSteps = stage ? this.steps.slice(stage.firstStep, this.position + 1) : [];
+
+        return {
+            position: this.position,
+            totalSteps: this.steps.length,
+            isPlaying: this.isPlaying,
+            isAtEnd: this.position >= this.steps.length - 1,
+            speed: this.speed,
+            speedOptions: this.speedOptions,
+            progress: step ? step.progress : null,
+            stageIndex: stageIndex,
+            stages: this.stages.map((entry, index) => ({
+                cityId: entry.cityId,
+                status: index < stageIndex ? 'done' : (index === stageIndex ? 'current' : 'upcoming')
+            })),
+            stage: stage ? {
+                cityId: stage.cityId,
+                number: stageIndex + 1,
+                elapsedMs: step ? step.timestamp - stage.startedAt : 0,
+                wrongCities: stageSteps
+                    .filter(entry => entry.type === 'guess_made' && !entry.data.correct)
+                    .map(entry => entry.data.cityId)
+            } : null,
+            stageSteps: stageSteps
+        };
+    }
+
+    // Notify the screen about a change
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getView());
+        }
+    }
+
+    // Advance one step (returns false at the end of the case)
+    step() {
+        if (this.position >= this.steps.length - 1) {
+            this.pause();
+            return false;
+        }
+
+        this.position++;
+        this.notifyChange();
+        return true;
+    }
+
+    // Jump to the first step in a city
+    jumpToStage(stageIndex) {
+        const stage = this.stages[stageIndex];
+        if (!stage) {
+            return false;
+        }
+
+        this.position = Math.min(stage.firstStep, this.steps.length - 1);
+        this.notifyChange();
+        return true;
+    }
+
+    // Start automatic playback (from the beginning if the replay already finished)
+    play() {
+        if (this.steps.length === 0) {
+            return;
+        }
+
+        if (this.position >= this.steps.length - 1) {
+            this.position = 0;
+        }
+
+        this.isPlaying = true;
+        this.scheduleNextStep();
+        this.notifyChange();
+    }
+
+    // Stop automatic playback
+    pause() {
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
+        }
+
+        if (this.isPlaying) {
+            this.isPlaying = false;
+            this.notifyChange();
+        }
+    }
+
+    // Toggle between play and pause
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    // Change playback speed (a running playback picks it up from the next step)
+    setSpeed(speed) {
+        const numericSpeed = Number(speed);
+        if (!this.speedOptions.includes(numericSpeed)) {
+            console.warn(`CaseReplay: Unsupported speed ${speed}`);
+            return false;
+        }
+
+        this.speed = numericSpeed;
+        if (this.isPlaying) {
+            this.scheduleNextStep();
+        }
+        this.notifyChange();
+        return true;
+    }
+
+    // Queue the next automatic step
+    scheduleNextStep() {
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+        }
+
+        this.playTimer = setTimeout(() => {
+            this.playTimer = null;
+            if (this.isPlaying && this.step()) {
+                this.scheduleNextStep();
+            }
+        }, this.baseStepDelay / this.speed);
+    }
+}
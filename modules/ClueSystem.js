@@ -3,6 +3,16 @@
  * Handles all clue-related functionality
  */
 
+// Price of asking an informant for a more obvious clue, per tier bought: points come off
+// the city's guess reward, hours go on the in-game clock
+export const HINT_COSTS = {
+    medium: { points: 1, hours: 3 },
+    easy: { points: 1, hours: 4 }
+};
+
+// Topics an informant can be asked about; every clue in the game data belongs to one
+export const CLUE_CATEGORIES = ['food', 'landmark', 'language', 'culture', 'transport', 'nature'];
+
 export class ClueSystem {
     constructor(gameState, randomizationSystem = null) {
         this.gameState = gameState;
@@ -54,7 +64,8 @@ export class ClueSystem {
         const {
             maxCluesPerDifficulty = 1,
             includeAllDifficulties = true,
-            specificDifficulty = null
+            specificDifficulty = null,
+            category = null
         } = options;
 
         // Use RandomizationSystem for fair clue selection
@@ -62,7 +73,9 @@ export class ClueSystem {
             maxCluesPerDifficulty: maxCluesPerDifficulty,
             ensureFairDistribution: true,
             specificDifficulty: specificDifficulty,
-            includeAllDifficulties: includeAllDifficulties
+            includeAllDifficulties: includeAllDifficulties,
+            category: category,
+            selectionScope: `clues:${this.getProgressionKey(sourceCityId || this.gameState.currentCity, options.locationId)}:${cityData.id}:${specificDifficulty || 'all'}:${category || 'any'}`
         });
 
         // Convert randomized clue data to clue objects
@@ -70,8 +83,10 @@ export class ClueSystem {
             const effectiveSourceCity = sourceCityId || this.gameState.currentCity;
             const clueObject = {
                 text: clueData.text,
+                category: clueData.category || null,
                 difficulty: clueData.difficulty,
                 sourceCity: effectiveSourceCity,
+                sourceLocation: options.locationId || null,
                 timestamp: new Date(),
                 id: `${effectiveSourceCity}_${clueData.difficulty}_${Date.now()}_${Math.random()}_${index}`,
                 selectionMetadata: {
@@ -102,7 +117,8 @@ export class ClueSystem {
             maxCluesPerDifficulty = 1, 
             randomizeSelection = true,
             includeAllDifficulties = true,
-            specificDifficulty = null
+            specificDifficulty = null,
+            category = null
         } = options;
         
         // Determine which difficulties to process
@@ -121,7 +137,7 @@ export class ClueSystem {
                 return;
             }
             
-            const availableClues = [...cityData.clues[difficulty]];
+            const availableClues = this.getCategoryClues(cityData.clues[difficulty], category);
             const numClues = Math.min(maxCluesPerDifficulty, availableClues.length);
             
             for (let i = 0; i < numClues; i++) {
@@ -136,9 +152,11 @@ export class ClueSystem {
                 
                 const effectiveSourceCity = sourceCityId || this.gameState.currentCity;
                 const clueObject = {
-                    text: selectedClue,
+                    text: selectedClue.text,
+                    category: selectedClue.category || null,
                     difficulty: difficulty,
                     sourceCity: effectiveSourceCity,
+                    sourceLocation: options.locationId || null,
                     timestamp: new Date(),
                     id: `${effectiveSourceCity}_${difficulty}_${Date.now()}_${Math.random()}_${i}`,
                     selectionMetadata: {
@@ -187,11 +205,11 @@ export class ClueSystem {
         // Add point value based on difficulty
         clue.pointValue = this.pointValues[clue.difficulty] || 1;
 
-        // Add clue to collection
-        this.gameState.collectedClues.push(clue);
+        // Add clue to collection (through the action log so replays see it)
+        this.gameState.recordAction('clue_collected', { clue });
         
-        // Update clue progression for the source city
-        this.updateClueProgression(clue.sourceCity, clue.difficulty);
+        // Update clue progression for the informant who gave the clue
+        this.updateClueProgression(this.getProgressionKey(clue.sourceCity, clue.sourceLocation), clue.difficulty);
 
         // Save game state after adding clue
         this.gameState.saveGameState();
@@ -200,26 +218,109 @@ export class ClueSystem {
         return true;
     }
 
-    // Implement clue progression logic (difficult → medium → easy) for next destination
-    getNextClueDifficulty(cityId) {
-        const currentProgression = this.clueProgression.get(cityId);
+    // Progression is tracked per informant: the city for single-informant cities, else the city's location
+    getProgressionKey(cityId, locationId = null) {
+        return locationId ? `${cityId}@${locationId}` : cityId;
+    }
+
+    // Clues of a tier in the requested category, or the whole tier when it has none of them (or no category was asked for)
+    getCategoryClues(tierClues, category = null) {
+        const categoryClues = category ? tierClues.filter(clue => clue.category === category) : [];
+        return categoryClues.length > 0 ? categoryClues : [...tierClues];
+    }
+
+    // Share of another city's clues an informant at one of several locations knows: every tier's clues
+    // are dealt out in turn over the locations (a location left without any gets one anyway); asked about
+    // a category, the tier's clues of that category are dealt out instead
+    getLocationClues(clues, locations, locationId, category = null) {
+        const locationIndex = locations.findIndex(location => location.id === locationId);
+        if (!clues || locations.length <= 1 || locationIndex === -1) {
+            return clues;
+        }
+
+        const share = {};
+        Object.entries(clues).forEach(([difficulty, allTierClues]) => {
+            if (!Array.isArray(allTierClues) || allTierClues.length === 0) {
+                share[difficulty] = allTierClues;
+                return;
+            }
+
+            const tierClues = this.getCategoryClues(allTierClues, category);
+            const dealt = tierClues.filter((clue, index) => index % locations.length === locationIndex);
+            share[difficulty] = dealt.length > 0 ? dealt : [tierClues[locationIndex % tierClues.length]];
+        });
+        return share;
+    }
+
+    // Difficulty of the clue an informant gives when asked (easier tiers have to be bought as hints)
+    getNextClueDifficulty(cityId, locationId = null) {
+        if (!this.clueProgression.has(this.getProgressionKey(cityId, locationId))) {
+            // Start with the preset's hardest clues for new cities
+            return this.getClueTiers()[0];
+        }
 
+        return 'no_more_info';
+    }
+
+    // Next easier tier the informant can be asked for (null before the first clue or after the easiest tier)
+    getNextHintDifficulty(cityId, locationId = null) {
+        const currentProgression = this.clueProgression.get(this.getProgressionKey(cityId, locationId));
         if (!currentProgression) {
-            // Start with difficult clues for new cities
-            return 'difficult';
-        }
-
-        // Progress through difficulties: difficult → medium → easy (one click per difficulty)
-        switch (currentProgression.lastDifficulty) {
-            case 'difficult':
-                return 'medium';
-            case 'medium':
-                return 'easy';
-            case 'easy':
-                return 'no_more_info'; // No more clues after easy
-            default:
-                return 'difficult';
+            return null;
+        }
+
+        const clueTiers = this.getClueTiers();
+        const lastIndex = clueTiers.indexOf(currentProgression.lastDifficulty);
+        return lastIndex !== -1 && lastIndex < clueTiers.length - 1 ? clueTiers[lastIndex + 1] : null;
+    }
+
+    // Next hint on offer in a city with its price (null when there is nothing more to buy, including when
+    // the informant's share of clues, see getLocationClues, has nothing left in that tier)
+    getHintOffer(cityId, locationId = null, availableClues = null) {
+        const difficulty = this.getNextHintDifficulty(cityId, locationId);
+        if (!difficulty || !HINT_COSTS[difficulty]) {
+            return null;
+        }
+
+        if (availableClues && !this.hasUnservedClue(availableClues[difficulty], cityId, locationId, difficulty)) {
+            return null;
+        }
+
+        return { difficulty, ...HINT_COSTS[difficulty] };
+    }
+
+    // Whether an informant still has a clue of a tier they have not given yet
+    hasUnservedClue(tierClues, cityId, locationId, difficulty) {
+        if (!Array.isArray(tierClues) || tierClues.length === 0) {
+            return false;
         }
+
+        const servedCount = this.gameState.collectedClues.filter(clue =>
+            clue.sourceCity === cityId &&
+            (clue.sourceLocation || null) === (locationId || null) &&
+            clue.difficulty === difficulty
+        ).length;
+        return servedCount < tierClues.length;
+    }
+
+    // Clue tiers informants give in the current case, hardest first
+    getClueTiers() {
+        return this.gameState.getDifficultyPreset().clueTiers;
+    }
+
+    // Forget clue progression so a new case starts every informant at its hardest clues
+    resetClueProgression() {
+        this.clueProgression = new Map();
+    }
+
+    // Rebuild clue progression from collected clues (e.g. after loading a saved game)
+    rebuildClueProgression(collectedClues = this.gameState.collectedClues) {
+        this.resetClueProgression();
+        collectedClues.forEach(clue => {
+            if (clue && clue.sourceCity && clue.difficulty) {
+                this.updateClueProgression(this.getProgressionKey(clue.sourceCity, clue.sourceLocation), clue.difficulty);
+            }
+        });
     }
 
     // Update clue progression tracking
@@ -252,9 +353,9 @@ export class ClueSystem {
         if (forceProgression) {
             targetDifficulty = this.getNextClueDifficulty(cityId);
         } else {
-            // Use current difficulty or start with difficult
+            // Use current difficulty or start with the hardest tier
             const progression = this.clueProgression.get(cityId);
-            targetDifficulty = progression?.lastDifficulty || 'difficult';
+            targetDifficulty = progression?.lastDifficulty || this.getClueTiers()[0];
         }
 
         // Handle "no more info" case
@@ -272,8 +373,9 @@ export class ClueSystem {
         return this.generateClues(cityData, clueOptions);
     }
 
-    // Get clues from one city's data but track progression for another city
-    getCluesWithProgressionFromCity(sourceCityData, progressionCityId, forceProgression = true) {
+    // Get clues from one city's data but track progression for another city (and the location asked there),
+    // optionally about one category
+    getCluesWithProgressionFromCity(sourceCityData, progressionCityId, forceProgression = true, locationId = null, category = null) {
         if (!sourceCityData) {
             console.warn(`Source city data not provided`);
             return [];
@@ -281,11 +383,11 @@ export class ClueSystem {
 
         let targetDifficulty;
         if (forceProgression) {
-            targetDifficulty = this.getNextClueDifficulty(progressionCityId);
+            targetDifficulty = this.getNextClueDifficulty(progressionCityId, locationId);
         } else {
-            // Use current difficulty or start with difficult
-            const progression = this.clueProgression.get(progressionCityId);
-            targetDifficulty = progression?.lastDifficulty || 'difficult';
+            // Use current difficulty or start with the hardest tier
+            const progression = this.clueProgression.get(this.getProgressionKey(progressionCityId, locationId));
+            targetDifficulty = progression?.lastDifficulty || this.getClueTiers()[0];
         }
 
         // Handle "no more info" case
@@ -297,7 +399,9 @@ export class ClueSystem {
             maxCluesPerDifficulty: 1,
             randomizeSelection: true,
             includeAllDifficulties: false,
-            specificDifficulty: targetDifficulty
+            specificDifficulty: targetDifficulty,
+            locationId: locationId,
+            category: category
         };
 
         return this.generateClues(sourceCityData, clueOptions, progressionCityId);
@@ -521,7 +625,7 @@ export class ClueSystem {
         // Check for clues from multiple cities
         const cities = [...new Set(clues.map(clue => clue.sourceCity))];
         if (cities.length > 1) {
-            tips.push(`🗺️ You've investigated ${cities.length} cities. Compare clues to find Nadine's trail.`);
+            tips.push(this.gameState.formatSuspectText(`🗺️ You've investigated ${cities.length} cities. Compare clues to find {suspect}'s trail.`));
         }
 
         // Progression tips
@@ -563,10 +667,12 @@ export class ClueSystem {
             } else if (clues[difficulty].length === 0) {
                 errors.push(`${difficulty} clues array is empty`);
             } else {
-                // Validate each clue string
+                // Validate each clue's text and category
                 clues[difficulty].forEach((clue, index) => {
-                    if (typeof clue !== 'string' || clue.trim().length === 0) {
-                        errors.push(`Invalid clue at ${difficulty}[${index}]: must be non-empty string`);
+                    if (!clue || typeof clue.text !== 'string' || clue.text.trim().length === 0) {
+                        errors.push(`Invalid clue at ${difficulty}[${index}]: text must be a non-empty string`);
+                    } else if (!CLUE_CATEGORIES.includes(clue.category)) {
+                        errors.push(`Invalid clue at ${difficulty}[${index}]: unknown category '${clue.category}'`);
                     }
                 });
             }
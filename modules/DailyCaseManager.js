@@ -0,0 +1,153 @@
+/**
+ * DailyCaseManager.js - Daily Case Mode
+ * Derives one shared case per calendar day and remembers results and streaks locally
+ */
+
+import { ROUTE_LENGTH_LIMITS, DEFAULT_DIFFICULTY } from './GameState.js';
+import { PERSISTENT_STORAGE_KEYS } from './SessionManager.js';
+
+export class DailyCaseManager {
+    constructor() {
+        this.storageKey = PERSISTENT_STORAGE_KEYS.dailyCases;
+        this.caseIdPrefix = 'DAILY-';
+        this.routeLength = ROUTE_LENGTH_LIMITS.default; // Same route length for everyone
+        this.difficulty = DEFAULT_DIFFICULTY; // Same rules for everyone
+        this.maxStoredResults = 30;
+        this.records = this.loadRecords();
+    }
+
+    // Empty record structure
+    createEmptyRecords() {
+        return {
+            results: {}, // dateKey -> { solved, score, citiesCompleted, routeLength, finishedAt }
+            streak: {
+                current: 0,
+                best: 0,
+                lastSolvedDate: null
+            }
+        };
+    }
+
+    // Load daily records from localStorage
+    loadRecords() {
+        try {
+            const storedRecords = localStorage.getItem(this.storageKey);
+            if (storedRecords) {
+                const parsedRecords = JSON.parse(storedRecords);
+                if (parsedRecords && typeof parsedRecords.results === 'object' && parsedRecords.streak) {
+                    return parsedRecords;
+                }
+                console.warn('DailyCaseManager: Ignoring malformed daily records');
+            }
+        } catch (error) {
+            console.warn('DailyCaseManager: Could not load daily records:', error);
+        }
+        return this.createEmptyRecords();
+    }
+
+    // Persist daily records
+    saveRecords() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('DailyCaseManager: Could not save daily records:', error);
+        }
+    }
+
+    // Local calendar date as YYYY-MM-DD
+    getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Date key for the day before the given one
+    getPreviousDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.getDateKey(new Date(year, month - 1, day - 1));
+    }
+
+    // Case ID (and therefore seed) for a calendar day
+    getCaseId(date = new Date()) {
+        return `${this.caseIdPrefix}${this.getDateKey(date)}`;
+    }
+
+    // Check whether a case ID belongs to a daily case
+    isDailyCaseId(caseId) {
+        return typeof caseId === 'string' && caseId.startsWith(this.caseIdPrefix);
+    }
+
+    // Check whether a case ID is today's daily case
+    isTodaysCase(caseId) {
+        return caseId === this.getCaseId();
+    }
+
+    // Result recorded for today's case, if any
+    getTodayResult() {
+        return this.records.results[this.getDateKey()] || null;
+    }
+
+    // Current streak, which lapses once a full day passes without a solved case
+    getCurrentStreak() {
+        const { current, lastSolvedDate } = this.records.streak;
+        const today = this.getDateKey();
+        if (lastSolvedDate === today || lastSolvedDate === this.getPreviousDateKey(today)) {
+            return current;
+        }
+        return 0;
+    }
+
+    // Summary used by the intro screen
+    getStatus() {
+        return {
+            caseId: this.getCaseId(),
+            todayResult: this.getTodayResult(),
+            currentStreak: this.getCurrentStreak(),
+            bestStreak: this.records.streak.best
+        };
+    }
+
+    // Record the outcome of today's case (only the first finish counts)
+    recordResult(caseId, result) {
+        if (!this.isTodaysCase(caseId)) {
+            return false;
+        }
+
+        const today = this.getDateKey();
+        if (this.records.results[today]) {
+            return false;
+        }
+
+        this.records.results[today] = {
+            solved: Boolean(result.solved),
+            score: result.score || 0,
+            citiesCompleted: result.citiesCompleted || 0,
+            routeLength: result.routeLength || this.routeLength,
+            finishedAt: new Date().toISOString()
+        };
+
+        // Update streak: consecutive solved days, broken by a failed case
+        const streak = this.records.streak;
+        if (result.solved) {
+            streak.current = streak.lastSolvedDate === this.getPreviousDateKey(today) ? streak.current + 1 : 1;
+            streak.lastSolvedDate = today;
+            streak.best = Math.max(streak.best, streak.current);
+        } else {
+            streak.current = 0;
+        }
+
+        this.pruneOldResults();
+        this.saveRecords();
+
+        console.log(`DailyCaseManager: Recorded ${result.solved ? 'solved' : 'unsolved'} daily case for ${today}`);
+        return true;
+    }
+
+    // Keep only the most recent results
+    pruneOldResults() {
+        const dateKeys = Object.keys(this.records.results).sort();
+        dateKeys.slice(0, Math.max(0, dateKeys.length - this.maxStoredResults)).forEach(dateKey => {
+            delete this.records.results[dateKey];
+        });
+    }
+}
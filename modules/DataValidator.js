@@ -2,6 +2,51 @@
  * DataValidator - Validates language data files for completeness and structure consistency
  * Ensures that both Spanish and English data files have identical structure and all required keys
  */
+
+// Continent codes a city can belong to (region hints are translated per code)
+const CONTINENTS = ['africa', 'asia', 'europe', 'north_america', 'oceania', 'south_america'];
+
+// Region codes a city can belong to and the continent each lies in (region hints are translated per code)
+const REGIONS = {
+    eastern_asia: 'asia',
+    south_eastern_asia: 'asia',
+    northern_europe: 'europe',
+    southern_europe: 'europe',
+    northern_africa: 'africa',
+    northern_america: 'north_america',
+    central_america: 'north_america',
+    southern_cone: 'south_america',
+    australia_new_zealand: 'oceania'
+};
+
+// Geographic city fields; they describe the place, so they must match in every language
+const GEOGRAPHY_PROPS = ['latitude', 'longitude', 'continent', 'region', 'timezone', 'currency', 'languages'];
+
+// Texts every informant needs, whether a city has one informant or one per location
+const INFORMANT_PROPS = ['name', 'personality', 'greeting', 'farewell_helpful', 'farewell_unhelpful'];
+
+// Phrase pools an informant can word in their own way (their `phrases` override the UI translations' ones):
+// 'pool' is a list of phrases, 'tiers' a list per clue difficulty, 'phrase' a single text
+const INFORMANT_PHRASES = {
+    greeting_variations: 'pool',
+    encouragements: 'tiers',
+    suggestions: 'pool',
+    redirection_hints: 'pool',
+    clue_introductions: 'tiers',
+    clue_transformations: 'pool',
+    clue_presentation_intro: 'phrase',
+    no_more_info: 'phrase'
+};
+
+// Topics a clue can be about; informants can be asked about each one, so it must match in every language
+const CLUE_CATEGORIES = ['food', 'landmark', 'language', 'culture', 'transport', 'nature'];
+
+// What a choice of an informant's dialogue tree can do besides leading to another node
+const DIALOGUE_ACTIONS = ['ask_clues', 'show_photo', 'goodbye'];
+
+// Suspect fields that pick the case and the arrest, so they must match in every language
+const SUSPECT_CASE_PROPS = ['portrait', 'traits', 'final_city'];
+
 class DataValidator {
     constructor() {
         this.errors = [];
@@ -73,6 +118,19 @@ class DataValidator {
         // Validate ui_text
         this._validateUIText(gameData1.ui_text, gameData2.ui_text, lang1, lang2);
 
+        // Validate suspect dossier traits
+        this._validateDossier(gameData1.dossier, gameData2.dossier, lang1, lang2);
+
+        // Validate the default informant dialogue tree
+        if (gameData1.dialogue_tree && gameData2.dialogue_tree) {
+            this._validateDialogueTree(gameData1.dialogue_tree, gameData2.dialogue_tree, 'game_data', lang1, lang2);
+        } else {
+            this.errors.push('Missing dialogue_tree section in one or both files');
+        }
+
+        // Validate suspects (after the cities and dossier they refer to)
+        this._validateSuspects(gameData1, gameData2, lang1, lang2);
+
         // Validate basic properties
         const basicProps = ['title', 'version'];
         basicProps.forEach(prop => {
@@ -82,6 +140,109 @@ class DataValidator {
         });
     }
 
+    /**
+     * Validates dossier traits; trait and option IDs are stored in saves, so they must match in every language
+     */
+    _validateDossier(dossier1, dossier2, lang1, lang2) {
+        if (!dossier1 || !dossier2) {
+            this.errors.push('Missing dossier section in one or both files');
+            return;
+        }
+
+        const describe = (dossier, lang) => {
+            if (!Array.isArray(dossier.traits) || dossier.traits.length === 0) {
+                this.errors.push(`Dossier traits must be a non-empty array in ${lang}`);
+                return null;
+            }
+
+            return dossier.traits.map(trait => {
+                if (!trait || !trait.id || !trait.label || !Array.isArray(trait.options) || trait.options.length < 2) {
+                    this.errors.push(`Dossier trait '${trait && trait.id}' in ${lang} needs an id, a label and at least two options`);
+                    return '';
+                }
+                if (trait.options.some(option => !option || !option.id || !option.label)) {
+                    this.errors.push(`Dossier trait '${trait.id}' in ${lang} has an option without an id or label`);
+                }
+                return `${trait.id}:${trait.options.map(option => option && option.id).join(',')}`;
+            }).join('|');
+        };
+
+        const traits1 = describe(dossier1, lang1);
+        const traits2 = describe(dossier2, lang2);
+        if (traits1 !== null && traits2 !== null && traits1 !== traits2) {
+            this.errors.push(`Dossier trait or option IDs differ between ${lang1} and ${lang2}`);
+        }
+    }
+
+    /**
+     * Validates suspects; a case stores the suspect ID and its final city, so those must match in every language
+     */
+    _validateSuspects(gameData1, gameData2, lang1, lang2) {
+        const suspects1 = gameData1.suspects;
+        const suspects2 = gameData2.suspects;
+        if (!Array.isArray(suspects1) || !Array.isArray(suspects2) || suspects1.length === 0 || suspects2.length === 0) {
+            this.errors.push('Suspects must be non-empty arrays in both language files');
+            return;
+        }
+
+        const suspectMap2 = new Map(suspects2.map(suspect => [suspect.id, suspect]));
+        if (suspects1.length !== suspects2.length || suspects1.some(suspect => !suspectMap2.has(suspect.id))) {
+            this.errors.push(`Suspect IDs differ between ${lang1} and ${lang2}`);
+        }
+
+        suspects1.forEach(suspect1 => {
+            const suspect2 = suspectMap2.get(suspect1.id);
+            if (!suspect2) return;
+
+            this._validateSuspect(suspect1, gameData1, lang1);
+            this._validateSuspect(suspect2, gameData2, lang2);
+            SUSPECT_CASE_PROPS.forEach(prop => {
+                if (JSON.stringify(suspect1[prop]) !== JSON.stringify(suspect2[prop])) {
+                    this.errors.push(`Different '${prop}' in suspect '${suspect1.id}': ${lang1}=${JSON.stringify(suspect1[prop])}, ${lang2}=${JSON.stringify(suspect2[prop])}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validates one suspect in one language
+     */
+    _validateSuspect(suspect, gameData, lang) {
+        const suspectId = suspect.id;
+        ['name', 'short_name', 'role', 'portrait', 'final_city'].forEach(prop => {
+            if (typeof suspect[prop] !== 'string' || suspect[prop] === '') {
+                this.errors.push(`Missing '${prop}' in suspect '${suspectId}' (${lang})`);
+            }
+        });
+
+        const pronouns = suspect.pronouns || {};
+        ['subject', 'object', 'possessive'].forEach(form => {
+            if (typeof pronouns[form] !== 'string' || pronouns[form] === '') {
+                this.errors.push(`Missing '${form}' pronoun in suspect '${suspectId}' (${lang})`);
+            }
+        });
+
+        const encounter = suspect.final_encounter || {};
+        ['suspect_speech', 'steve_response', 'victory_message'].forEach(prop => {
+            if (typeof encounter[prop] !== 'string' || encounter[prop] === '') {
+                this.errors.push(`Missing final_encounter '${prop}' in suspect '${suspectId}' (${lang})`);
+            }
+        });
+
+        if (suspect.final_city && !(gameData.cities || []).some(city => city.id === suspect.final_city)) {
+            this.errors.push(`Suspect '${suspectId}' (${lang}) hides in unknown city '${suspect.final_city}'`);
+        }
+
+        // Traits must be options of the dossier, or no warrant could ever match them
+        const dossierTraits = gameData.dossier && Array.isArray(gameData.dossier.traits) ? gameData.dossier.traits : [];
+        Object.entries(suspect.traits || {}).forEach(([traitId, value]) => {
+            const trait = dossierTraits.find(entry => entry.id === traitId);
+            if (!trait || !Array.isArray(trait.options) || !trait.options.some(option => option.id === value)) {
+                this.errors.push(`Suspect '${suspectId}' (${lang}) has trait '${traitId}: ${value}' that is not in the dossier`);
+            }
+        });
+    }
+
     /**
      * Validates cities array structure and content
      */
@@ -125,7 +286,7 @@ class DataValidator {
      * Validates individual city structure
      */
     _validateCityStructure(city1, city2, cityId, lang1, lang2) {
-        const requiredProps = ['id', 'name', 'country', 'is_final', 'informant', 'clues', 'not_here_response'];
+        const requiredProps = ['id', 'name', 'country', ...GEOGRAPHY_PROPS, 'locations', 'clues', 'not_here_response'];
 
         requiredProps.forEach(prop => {
             if (!(prop in city1) || !(prop in city2)) {
@@ -133,14 +294,18 @@ class DataValidator {
             }
         });
 
-        // Validate informant structure
-        if (city1.informant && city2.informant) {
-            const informantProps = ['name', 'greeting', 'farewell_helpful', 'farewell_unhelpful'];
-            informantProps.forEach(prop => {
-                if (!(prop in city1.informant) || !(prop in city2.informant)) {
-                    this.errors.push(`Missing informant '${prop}' in city '${cityId}' for one or both languages`);
-                }
-            });
+        // Validate geographic metadata
+        this._validateCityGeography(city1, cityId, lang1);
+        this._validateCityGeography(city2, cityId, lang2);
+        GEOGRAPHY_PROPS.forEach(prop => {
+            if (prop in city1 && prop in city2 && JSON.stringify(city1[prop]) !== JSON.stringify(city2[prop])) {
+                this.errors.push(`Different '${prop}' in city '${cityId}': ${lang1}=${JSON.stringify(city1[prop])}, ${lang2}=${JSON.stringify(city2[prop])}`);
+            }
+        });
+
+        // Validate informant locations
+        if (city1.locations && city2.locations) {
+            this._validateCityLocations(city1.locations, city2.locations, cityId, lang1, lang2);
         }
 
         // Validate clues structure
@@ -151,22 +316,219 @@ class DataValidator {
                     this.errors.push(`Missing or invalid clues '${type}' in city '${cityId}' for one or both languages`);
                 } else if (city1.clues[type].length !== city2.clues[type].length) {
                     this.warnings.push(`Different number of '${type}' clues in city '${cityId}': ${lang1}=${city1.clues[type].length}, ${lang2}=${city2.clues[type].length}`);
+                } else {
+                    this._validateClueCategories(city1.clues[type], city2.clues[type], `${cityId}/${type}`, lang1, lang2);
                 }
             });
         }
+    }
+
+    /**
+     * Validates the clues of one tier: every clue has a text and a known category, the clue at the
+     * same position has the same category in both languages, and every category has at least one clue
+     */
+    _validateClueCategories(clues1, clues2, where, lang1, lang2) {
+        clues1.forEach((clue1, index) => {
+            const clue2 = clues2[index];
+            [[clue1, lang1], [clue2, lang2]].forEach(([clue, lang]) => {
+                if (!clue || typeof clue.text !== 'string' || clue.text.trim() === '') {
+                    this.errors.push(`Clue ${index + 1} of '${where}' has no text (${lang})`);
+                } else if (!CLUE_CATEGORIES.includes(clue.category)) {
+                    this.errors.push(`Clue ${index + 1} of '${where}' has unknown category '${clue.category}' (${lang})`);
+                }
+            });
+            if (clue1 && clue2 && clue1.category !== clue2.category) {
+                this.errors.push(`Clue ${index + 1} of '${where}' has a different category in ${lang1} and ${lang2}`);
+            }
+        });
 
-        // Validate final encounter for Buenos Aires
-        if (city1.is_final && city2.is_final) {
-            if (city1.final_encounter && city2.final_encounter) {
-                const encounterProps = ['nadine_speech', 'steve_response', 'victory_message'];
-                encounterProps.forEach(prop => {
-                    if (!(prop in city1.final_encounter) || !(prop in city2.final_encounter)) {
-                        this.errors.push(`Missing final_encounter '${prop}' in city '${cityId}' for one or both languages`);
+        // Asking about a missing category falls back to the whole tier
+        const missing = CLUE_CATEGORIES.filter(category => !clues1.some(clue => clue && clue.category === category));
+        if (missing.length > 0) {
+            this.warnings.push(`Clues of '${where}' have no ${missing.join(', ')} clue`);
+        }
+    }
+
+    /**
+     * Validates the informant locations of a city: same places, in the same order and with the same
+     * time cost in every language, each with a complete informant
+     */
+    _validateCityLocations(locations1, locations2, cityId, lang1, lang2) {
+        if (!Array.isArray(locations1) || !Array.isArray(locations2) || locations1.length === 0) {
+            this.errors.push(`Locations in city '${cityId}' must be non-empty arrays in both languages`);
+            return;
+        }
+
+        const ids1 = locations1.map(location => location && location.id);
+        const ids2 = locations2.map(location => location && location.id);
+        if (JSON.stringify(ids1) !== JSON.stringify(ids2)) {
+            this.errors.push(`Different locations in city '${cityId}': ${lang1}=${JSON.stringify(ids1)}, ${lang2}=${JSON.stringify(ids2)}`);
+            return;
+        }
+        if (new Set(ids1).size !== ids1.length || ids1.some(id => typeof id !== 'string' || id === '')) {
+            this.errors.push(`Location ids in city '${cityId}' must be unique, non-empty strings`);
+        }
+
+        locations1.forEach((location1, index) => {
+            const location2 = locations2[index];
+            const where = `${cityId}/${location1.id}`;
+
+            if (typeof location1.hours !== 'number' || location1.hours < 0 || location1.hours !== location2.hours) {
+                this.errors.push(`Location '${where}' needs the same non-negative 'hours' in both languages`);
+            }
+
+            [[location1, lang1], [location2, lang2]].forEach(([location, lang]) => {
+                if (typeof location.name !== 'string' || location.name.trim() === '') {
+                    this.errors.push(`Missing name of location '${where}' (${lang})`);
+                }
+                INFORMANT_PROPS.forEach(prop => {
+                    if (!location.informant || typeof location.informant[prop] !== 'string' || location.informant[prop].trim() === '') {
+                        this.errors.push(`Missing informant '${prop}' at location '${where}' (${lang})`);
                     }
                 });
-            } else if (city1.final_encounter || city2.final_encounter) {
-                this.errors.push(`final_encounter exists in only one language for city '${cityId}'`);
+            });
+
+            // An informant's own dialogue tree replaces the default one in every language
+            const tree1 = location1.informant && location1.informant.dialogue_tree;
+            const tree2 = location2.informant && location2.informant.dialogue_tree;
+            if (tree1 && tree2) {
+                this._validateDialogueTree(tree1, tree2, where, lang1, lang2);
+            } else if (tree1 || tree2) {
+                this.errors.push(`Informant at location '${where}' has a dialogue tree in only one language`);
+            }
+
+            // So do an informant's own phrases
+            const phrases1 = location1.informant && location1.informant.phrases;
+            const phrases2 = location2.informant && location2.informant.phrases;
+            if (phrases1 && phrases2) {
+                this._validateInformantPhrases(phrases1, phrases2, where, lang1, lang2);
+            } else if (phrases1 || phrases2) {
+                this.errors.push(`Informant at location '${where}' has own phrases in only one language`);
+            }
+        });
+    }
+
+    /**
+     * Validates an informant's own phrases: known pools only, the same pools (and difficulty tiers) in
+     * both languages, and no empty phrases
+     */
+    _validateInformantPhrases(phrases1, phrases2, where, lang1, lang2) {
+        const keys1 = Object.keys(phrases1).sort();
+        const keys2 = Object.keys(phrases2).sort();
+        if (JSON.stringify(keys1) !== JSON.stringify(keys2)) {
+            this.errors.push(`Different phrases of the informant at '${where}': ${lang1}=${JSON.stringify(keys1)}, ${lang2}=${JSON.stringify(keys2)}`);
+            return;
+        }
+
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const isPool = value => Array.isArray(value) && value.length > 0 && value.every(isText);
+        keys1.forEach(key => {
+            const kind = INFORMANT_PHRASES[key];
+            if (!kind) {
+                this.errors.push(`Unknown phrases '${key}' of the informant at '${where}'`);
+                return;
             }
+
+            [[phrases1[key], lang1], [phrases2[key], lang2]].forEach(([value, lang]) => {
+                const isValid = kind === 'phrase' ? isText(value) :
+                    kind === 'pool' ? isPool(value) :
+                    Boolean(value) && typeof value === 'object' && Object.keys(value).length > 0 &&
+                        Object.entries(value).every(([tier, pool]) => ['difficult', 'medium', 'easy'].includes(tier) && isPool(pool));
+                if (!isValid) {
+                    this.errors.push(`Invalid phrases '${key}' of the informant at '${where}' (${lang})`);
+                }
+            });
+
+            if (kind === 'tiers' && phrases1[key] && phrases2[key] &&
+                JSON.stringify(Object.keys(phrases1[key]).sort()) !== JSON.stringify(Object.keys(phrases2[key]).sort())) {
+                this.errors.push(`Phrases '${key}' of the informant at '${where}' cover different difficulties in ${lang1} and ${lang2}`);
+            }
+        });
+    }
+
+    /**
+     * Validates a dialogue tree: the texts are translated, but nodes and what every choice does must
+     * match in every language (the choices on screen are re-read after a language change)
+     */
+    _validateDialogueTree(tree1, tree2, where, lang1, lang2) {
+        const nodes1 = tree1.nodes || {};
+        const nodes2 = tree2.nodes || {};
+        const ids1 = Object.keys(nodes1).sort();
+        const ids2 = Object.keys(nodes2).sort();
+        if (JSON.stringify(ids1) !== JSON.stringify(ids2)) {
+            this.errors.push(`Different dialogue nodes in '${where}': ${lang1}=${JSON.stringify(ids1)}, ${lang2}=${JSON.stringify(ids2)}`);
+            return;
+        }
+        if (!tree1.start || tree1.start !== tree2.start || !(tree1.start in nodes1)) {
+            this.errors.push(`Dialogue tree in '${where}' needs the same existing 'start' node in both languages`);
+        }
+
+        ids1.forEach(nodeId => {
+            const options1 = Array.isArray(nodes1[nodeId].options) ? nodes1[nodeId].options : [];
+            const options2 = Array.isArray(nodes2[nodeId].options) ? nodes2[nodeId].options : [];
+            if (options1.length === 0 || options1.length !== options2.length) {
+                this.errors.push(`Dialogue node '${where}/${nodeId}' needs the same non-empty choices in both languages`);
+                return;
+            }
+
+            [[nodes1[nodeId], lang1], [nodes2[nodeId], lang2]].forEach(([node, lang]) => {
+                if (typeof node.text !== 'string' || node.text.trim() === '') {
+                    this.errors.push(`Missing text of dialogue node '${where}/${nodeId}' (${lang})`);
+                }
+                if (node.options.some(option => !option || typeof option.label !== 'string' || option.label.trim() === '')) {
+                    this.errors.push(`Dialogue node '${where}/${nodeId}' has a choice without a label (${lang})`);
+                }
+            });
+
+            options1.forEach((option1, index) => {
+                const option2 = options2[index] || {};
+                const leadsTo = option1.next ? nodes1[option1.next] : null;
+                if (option1.next !== option2.next || option1.action !== option2.action || option1.category !== option2.category) {
+                    this.errors.push(`Choice ${index + 1} of dialogue node '${where}/${nodeId}' does something different in ${lang1} and ${lang2}`);
+                } else if (Boolean(option1.next) === Boolean(option1.action)) {
+                    this.errors.push(`Choice ${index + 1} of dialogue node '${where}/${nodeId}' needs either a 'next' node or an 'action'`);
+                } else if (option1.next && !leadsTo) {
+                    this.errors.push(`Choice ${index + 1} of dialogue node '${where}/${nodeId}' leads to unknown node '${option1.next}'`);
+                } else if (option1.action && !DIALOGUE_ACTIONS.includes(option1.action)) {
+                    this.errors.push(`Choice ${index + 1} of dialogue node '${where}/${nodeId}' has unknown action '${option1.action}'`);
+                } else if (option1.category !== undefined &&
+                    (option1.action !== 'ask_clues' || !CLUE_CATEGORIES.includes(option1.category))) {
+                    this.errors.push(`Choice ${index + 1} of dialogue node '${where}/${nodeId}' can only ask about a known clue category`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validates the geographic metadata of a city in one language
+     * (missing fields are already reported by _validateCityStructure)
+     */
+    _validateCityGeography(city, cityId, lang) {
+        const isInRange = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+        if ('latitude' in city && !isInRange(city.latitude, 90)) {
+            this.errors.push(`Invalid latitude in city '${cityId}' (${lang}): ${city.latitude}`);
+        }
+        if ('longitude' in city && !isInRange(city.longitude, 180)) {
+            this.errors.push(`Invalid longitude in city '${cityId}' (${lang}): ${city.longitude}`);
+        }
+        if ('continent' in city && !CONTINENTS.includes(city.continent)) {
+            this.errors.push(`Unknown continent in city '${cityId}' (${lang}): ${city.continent}`);
+        }
+        if ('region' in city && !Object.prototype.hasOwnProperty.call(REGIONS, city.region)) {
+            this.errors.push(`Unknown region in city '${cityId}' (${lang}): ${city.region}`);
+        } else if ('region' in city && REGIONS[city.region] !== city.continent) {
+            this.errors.push(`Region '${city.region}' of city '${cityId}' (${lang}) does not lie in continent '${city.continent}'`);
+        }
+        if ('timezone' in city && (typeof city.timezone !== 'string' || !/^[A-Za-z]+\/[A-Za-z_\/+-]+$/.test(city.timezone))) {
+            this.errors.push(`Invalid timezone in city '${cityId}' (${lang}): ${city.timezone} (expected an IANA name like 'Europe/Rome')`);
+        }
+        if ('currency' in city && (typeof city.currency !== 'string' || !/^[A-Z]{3}$/.test(city.currency))) {
+            this.errors.push(`Invalid currency in city '${cityId}' (${lang}): ${city.currency} (expected an ISO 4217 code like 'EUR')`);
+        }
+        if ('languages' in city && (!Array.isArray(city.languages) || city.languages.length === 0 ||
+            !city.languages.every(language => typeof language === 'string' && /^[a-z]{2,3}$/.test(language)))) {
+            this.errors.push(`Invalid languages in city '${cityId}' (${lang}): expected a non-empty list of ISO 639 codes`);
         }
     }
 
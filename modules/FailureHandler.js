@@ -25,25 +25,15 @@ export class FailureHandler {
             };
         }
 
-        // Check if time limit is exceeded (optional - can be enabled later)
-        const gameStats = this.calculateEnhancedStats();
-        const timeLimit = 30; // 30 minutes time limit
-        if (gameStats.elapsedTime.minutes >= timeLimit) {
-            return {
-                hasFailed: true,
-                failureType: 'time_exceeded',
-                reason: 'Time limit exceeded',
-                message: 'Time has run out! Nadine has disappeared into the shadows once again.',
-                details: {
-                    timeSpent: gameStats.elapsedTime.formatted,
-                    timeLimit: `${timeLimit}:00`,
-                    citiesVisited: this.gameState.gameStats.citiesVisited,
-                    cluesCollected: this.gameState.collectedClues.length
-                }
-            };
+        // Check if the in-game deadline has passed
+        const deadlineFailure = this.checkDeadline();
+        if (deadlineFailure) {
+            return deadlineFailure;
         }
 
-        // Check if all cities have been visited without finding Nadine (shouldn't happen in normal gameplay)
+        const gameStats = this.calculateEnhancedStats();
+
+        // Check if all cities have been visited without finding the suspect (shouldn't happen in normal gameplay)
         const totalCities = this.gameState.gameData ? this.gameState.gameData.cities.length : 11;
         const availableCities = this.getAvailableCities();
         if (availableCities.length === 0 && !this.gameState.hasWon) {
@@ -51,7 +41,7 @@ export class FailureHandler {
                 hasFailed: true,
                 failureType: 'no_cities_remaining',
                 reason: 'All cities explored without success',
-                message: 'You have searched everywhere, but Nadine remains elusive. The case grows cold.',
+                message: this.gameState.formatSuspectText('You have searched everywhere, but {suspect} remains elusive. The case grows cold.'),
                 details: {
                     totalCitiesExplored: totalCities,
                     cluesCollected: this.gameState.collectedClues.length,
@@ -66,39 +56,89 @@ export class FailureHandler {
         };
     }
 
-    // Get appropriate game over message based on failure type
+    // Check the in-game clock against the case deadline (null while there is time left)
+    checkDeadline() {
+        const { clockHours, deadlineHour } = this.gameState.gameStats;
+        const gameClock = this.gameState.gameClock;
+        if (!gameClock.isPastDeadline(clockHours, deadlineHour)) {
+            return null;
+        }
+
+        return {
+            hasFailed: true,
+            failureType: 'time_exceeded',
+            reason: 'Deadline reached',
+            message: this.gameState.formatSuspectText('Time has run out! {suspect} has disappeared into the shadows once again.'),
+            details: {
+                timeSpent: `${clockHours - gameClock.settings.startHour}h`,
+                timeLimit: gameClock.formatClock(deadlineHour).text,
+                citiesVisited: this.gameState.gameStats.citiesVisited,
+                cluesCollected: this.gameState.collectedClues.length
+            }
+        };
+    }
+
+    // Failure for serving a warrant that does not describe the suspect at the final encounter
+    createWarrantFailure() {
+        const dossier = this.gameState.dossier;
+        return {
+            hasFailed: true,
+            failureType: 'wrong_warrant',
+            reason: 'Warrant does not match the suspect',
+            message: this.gameState.formatSuspectText('Your warrant describes someone else. {suspect} walks free.'),
+            details: {
+                traitsRevealed: Object.keys(this.gameState.revealedTraits).length,
+                totalTraits: dossier ? Object.keys(dossier.traits).length : 0,
+                citiesVisited: this.gameState.gameStats.citiesVisited,
+                cluesCollected: this.gameState.collectedClues.length
+            }
+        };
+    }
+
+    // Get appropriate game over message based on failure type (texts name the case's suspect)
     getGameOverMessage(failureType, details = {}) {
         const messages = {
             attempts_exhausted: {
                 title: '🚫 Investigation Closed',
                 primary: 'You have exhausted all investigation attempts. The trail has gone cold, detective.',
-                secondary: `Despite visiting ${details.citiesVisited || 0} cities and collecting ${details.cluesCollected || 0} clues, Nadine remains one step ahead.`,
+                secondary: `Despite visiting ${details.citiesVisited || 0} cities and collecting ${details.cluesCollected || 0} clues, {suspect} remains one step ahead.`,
                 encouragement: 'Every great detective faces setbacks. Learn from this case and try again!',
                 actionText: 'Reopen Case'
             },
             time_exceeded: {
                 title: '⏰ Time Expired',
-                primary: 'Time has run out! Nadine has vanished into the shadows once again.',
+                primary: 'Time has run out! {suspect} has vanished into the shadows once again.',
                 secondary: `Your ${details.timeSpent || 'lengthy'} investigation covered ${details.citiesVisited || 0} cities and uncovered ${details.cluesCollected || 0} clues.`,
-                encouragement: 'Speed and efficiency are key in detective work. You\'ll catch her next time!',
+                encouragement: 'Speed and efficiency are key in detective work. You\'ll catch {suspect} next time!',
                 actionText: 'New Investigation'
             },
+            wrong_warrant: {
+                title: '📋 Warrant Rejected',
+                primary: 'Your warrant describes someone else, so the arrest does not stand. {suspect} walks free.',
+                secondary: `You had learned ${details.traitsRevealed || 0} of ${details.totalTraits || 0} traits of the suspect after ${details.citiesVisited || 0} cities.`,
+                encouragement: 'Every detail an informant lets slip belongs in the dossier. Check it before you make the arrest!',
+                actionText: 'Reopen Case'
+            },
             no_cities_remaining: {
                 title: '🗺️ Search Exhausted',
-                primary: 'You have searched everywhere, but Nadine proves too elusive for this investigation.',
+                primary: 'You have searched everywhere, but {suspect} proves too elusive for this investigation.',
                 secondary: `All ${details.totalCitiesExplored || 0} cities explored with ${details.cluesCollected || 0} clues collected.`,
                 encouragement: 'Sometimes the best detectives need a fresh perspective. Start a new case!',
                 actionText: 'Fresh Start'
             }
         };
 
-        return messages[failureType] || {
+        const message = messages[failureType] || {
             title: '🚫 Case Unsolved',
             primary: 'The investigation has reached an impasse.',
             secondary: 'The trail has gone cold, but every detective faces challenges.',
             encouragement: 'Persistence is the key to solving any mystery. Try again!',
             actionText: 'Retry Case'
         };
+
+        return Object.fromEntries(
+            Object.entries(message).map(([field, text]) => [field, this.gameState.formatSuspectText(text)])
+        );
     }
 
     // Calculate enhanced game statistics including time tracking and attempt monitoring
@@ -111,9 +151,10 @@ export class FailureHandler {
         const elapsedMinutes = Math.floor(elapsedMs / 60000);
         const elapsedSeconds = Math.floor((elapsedMs % 60000) / 1000);
         
-        // Calculate progress percentage
+        // Calculate progress percentage along the case route
         const totalCities = this.gameState.gameData ? this.gameState.gameData.cities.length : 11;
-        const progressPercentage = Math.min((this.gameState.gameStats.citiesVisited / totalCities) * 100, 100);
+        const routeLength = this.gameState.cityRoute.length || totalCities;
+        const progressPercentage = Math.min(((this.gameState.gameStats.citiesVisited || 0) / routeLength) * 100, 100);
         
         // Calculate efficiency metrics
         const cluesPerCity = this.gameState.gameStats.citiesVisited > 0 ? 
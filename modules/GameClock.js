@@ -0,0 +1,110 @@
+/**
+ * GameClock.js - In-Game Calendar
+ * Case time in in-game hours: informant visits and flights cost hours and every case has a deadline
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const HOURS_PER_WEEK = 7 * 24;
+
+// Clock hours count from Monday 00:00 of the case's first week
+export const CLOCK_SETTINGS = {
+    startHour: 9,               // Cases open on Monday at 9am
+    baseBudgetHours: 56,        // Hours before the deadline on top of the per-leg allowance
+    hoursPerLeg: 24,            // A day for every flight along the route (5 cities: deadline Sunday 5pm)
+    informantHours: 2,          // Questioning an informant who has information
+    emptyInformantHours: 1,     // Questioning an informant with nothing (more) to tell
+    deadEndHours: 3,            // Searching a wrong city before flying back
+    flightSpeedKmh: 850,
+    boardingHours: 1,
+    fallbackFlightHours: 12     // Cities without latitude/longitude in the game data
+};
+
+export class GameClock {
+    constructor(settings = {}, findCity = null) {
+        this.settings = { ...CLOCK_SETTINGS, ...settings };
+        this.findCity = findCity; // Looks up a city's game data (latitude/longitude) by id
+        this.referenceMonday = Date.UTC(2024, 0, 1); // A Monday, used only to name days and format times
+    }
+
+    // Start time and deadline for a case with the given number of cities (budget overrides the time allowances)
+    createCaseClock(routeLength, budget = {}) {
+        const { baseBudgetHours, hoursPerLeg } = { ...this.settings, ...budget };
+        const legs = Math.max(1, routeLength - 1);
+        return {
+            startHour: this.settings.startHour,
+            deadlineHour: this.settings.startHour + baseBudgetHours + legs * hoursPerLeg
+        };
+    }
+
+    // Latitude/longitude of a city from the game data (null when unknown)
+    getCityLocation(cityId) {
+        const city = this.findCity ? this.findCity(cityId) : null;
+        if (!city || typeof city.latitude !== 'number' || typeof city.longitude !== 'number') {
+            return null;
+        }
+
+        return { latitude: city.latitude, longitude: city.longitude };
+    }
+
+    // Great-circle distance between two cities (null when a city has no coordinates)
+    getDistanceKm(fromCityId, toCityId) {
+        const from = this.getCityLocation(fromCityId);
+        const to = this.getCityLocation(toCityId);
+        if (!from || !to) {
+            return null;
+        }
+
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const latitudeDelta = toRadians(to.latitude - from.latitude);
+        const longitudeDelta = toRadians(to.longitude - from.longitude);
+        const haversine = Math.sin(latitudeDelta / 2) ** 2 +
+            Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(haversine));
+    }
+
+    // Hours for a flight between two cities, boarding included
+    getFlightHours(fromCityId, toCityId) {
+        if (!fromCityId || fromCityId === toCityId) {
+            return 0;
+        }
+
+        const distanceKm = this.getDistanceKm(fromCityId, toCityId);
+        if (distanceKm === null) {
+            return this.settings.fallbackFlightHours;
+        }
+
+        return Math.ceil(distanceKm / this.settings.flightSpeedKmh) + this.settings.boardingHours;
+    }
+
+    // Hours spent questioning an informant
+    getInformantHours(outcome) {
+        return outcome === 'clues' ? this.settings.informantHours : this.settings.emptyInformantHours;
+    }
+
+    // Hours lost on a wrong guess: the flight there, the search and the flight back
+    getWrongCityHours(fromCityId, wrongCityId) {
+        return this.getFlightHours(fromCityId, wrongCityId) * 2 + this.settings.deadEndHours;
+    }
+
+    // Check whether the clock has reached the case deadline
+    isPastDeadline(clockHours, deadlineHour) {
+        return typeof deadlineHour === 'number' && clockHours >= deadlineHour;
+    }
+
+    // Day and time for a clock hour in the given locale (e.g. "Sunday 5:00 PM"), plus the case week
+    formatClock(clockHours, locale = undefined, weekday = 'long') {
+        const date = new Date(this.referenceMonday + clockHours * 3600000);
+        const formatted = date.toLocaleString(locale, {
+            weekday: weekday,
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: 'UTC'
+        });
+
+        return {
+            week: Math.floor(clockHours / HOURS_PER_WEEK) + 1,
+            text: formatted
+        };
+    }
+}
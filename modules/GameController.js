@@ -3,10 +3,17 @@
  * Orchestrates all game systems and handles player actions
  */
 
-import { GameState } from './GameState.js';
+import { GameState, ROUTE_LENGTH_LIMITS, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './GameState.js';
+import { GameSettings } from './GameSettings.js';
+import { DailyCaseManager } from './DailyCaseManager.js';
+import { CampaignManager } from './CampaignManager.js';
+import { HighScoreManager } from './HighScoreManager.js';
+import { SaveSlotManager } from './SaveSlotManager.js';
+import { CaseFileManager } from './CaseFileManager.js';
+import { CaseReplay } from './CaseReplay.js';
 import { UIState } from './UIState.js';
 import { DataValidator } from './DataValidator.js';
-import { ClueSystem } from './ClueSystem.js';
+import { ClueSystem, CLUE_CATEGORIES } from './ClueSystem.js';
 import { InformantSystem } from './InformantSystem.js';
 import { FailureHandler } from './FailureHandler.js';
 import { SessionManager } from './SessionManager.js';
@@ -22,20 +29,38 @@ import { RuntimeLanguageSwitcher } from './RuntimeLanguageSwitcher.js';
 export class GameController {
     constructor() {
         this.gameState = new GameState();
+        this.gameSettings = new GameSettings();
+        this.dailyCaseManager = new DailyCaseManager();
+        this.campaignManager = new CampaignManager();
+        this.highScoreManager = new HighScoreManager();
+        this.saveSlotManager = new SaveSlotManager();
+        this.gameState.saveSlotManager = this.saveSlotManager;
+        this.caseFileManager = new CaseFileManager(this.gameState);
         this.uiState = new UIState();
         this.randomizationSystem = new RandomizationSystem(this.gameState);
+        this.gameState.randomizationSystem = this.randomizationSystem;
         this.clueSystem = new ClueSystem(this.gameState, this.randomizationSystem);
         this.failureHandler = new FailureHandler(this.gameState);
         this.sessionManager = new SessionManager(this.gameState, null); // UIManager will be set later
         this.uiManager = new UIManager(this);
+        this.caseReplay = new CaseReplay(this.gameState);
+        this.caseReplay.onChange = (view) => this.uiManager.renderReplay(view);
         
         // Initialize localization and translation services FIRST
         this.localizationManager = new LocalizationManager(this);
         this.translationService = new TranslationService(this.localizationManager);
+        // Translations name the case's suspect through {suspect}, {subject}, {object}, ...
+        this.translationService.setDefaultParamsProvider(() => this.gameState.getSuspectTextParams());
 
         // Now initialize InformantSystem with translation service available
         this.informantSystem = new InformantSystem(this.gameState, this.clueSystem, this.translationService);
 
+        // Shared case requested through the page URL (index.html?case=XYZ)
+        this.sharedCase = null;
+
+        // Node of the informant's dialogue tree whose choices are on screen
+        this.dialogueNodeId = null;
+
         // Initialize language selector (will be rendered after UI initialization)
         this.languageSelector = null;
 
@@ -67,6 +92,9 @@ export class GameController {
             // Initialize randomization system early
             this.randomizationSystem.initialize();
 
+            // Load stored case setup preferences
+            this.gameSettings.load();
+
             // Initialize localization system
             await this.initializeLocalization();
 
@@ -75,6 +103,13 @@ export class GameController {
             
             // Try to load saved game state
             const hasLoadedState = this.gameState.loadGameState();
+            if (hasLoadedState) {
+                this.clueSystem.rebuildClueProgression(this.gameState.collectedClues);
+            }
+
+            // A shared case link takes precedence over resuming a different saved case
+            this.sharedCase = this.getSharedCaseFromUrl();
+            const resumesSharedCase = !this.sharedCase || this.gameState.caseId === this.sharedCase.caseId;
             
             // Enable graceful degradation if needed
             this.uiManager.enableGracefulDegradation();
@@ -88,12 +123,27 @@ export class GameController {
             // Initialize language selector on welcome screen
             this.initializeLanguageSelector();
 
-            if (hasLoadedState && this.gameState.phase !== 'intro') {
+            // Initialize case setup options on welcome screen
+            this.initializeCaseSettings();
+
+            if (hasLoadedState && this.gameState.phase !== 'intro' && resumesSharedCase) {
                 this.uiManager.showScreen(this.gameState.phase + '-screen');
                 this.updateProgressDisplay();
             } else {
                 this.uiManager.showScreen('intro-screen');
             }
+
+            // Tell the player why a corrupt save was discarded instead of silently starting over
+            if (!hasLoadedState && this.gameState.lastLoadProblem) {
+                const reason = this.describeSaveProblem(this.gameState.lastLoadProblem);
+                this.uiManager.showFeedbackMessage(
+                    this.translationService ?
+                        this.translationService.translate('ui.feedback.save_discarded', { reason }, `Your saved game could not be restored because ${reason}. A new investigation is ready.`) :
+                        `Your saved game could not be restored because ${reason}. A new investigation is ready.`,
+                    'warning',
+                    { duration: 8000 }
+                );
+            }
             
         } catch (error) {
             console.error('Failed to initialize game:', error);
@@ -220,6 +270,592 @@ export class GameController {
         }
     }
 
+    // Log a language switch made during an open case
+    recordLanguageChange(newLanguage, oldLanguage) {
+        if (this.gameState.phase === 'intro' || this.gameState.isGameComplete) {
+            return;
+        }
+
+        this.gameState.recordAction('language_changed', { from: oldLanguage, to: newLanguage });
+        this.gameState.saveGameState();
+    }
+
+    // Initialize case setup options (difficulty, route length, clue focus) on welcome screen
+    initializeCaseSettings() {
+        try {
+            // Shared cases also fix the difficulty so scores stay comparable
+            this.uiManager.renderDifficultyOptions(
+                Object.keys(DIFFICULTY_PRESETS),
+                this.sharedCase ? this.sharedCase.difficulty : this.gameSettings.get('difficulty')
+            );
+
+            // Shared cases fix the route length so everyone plays the same route
+            const routeLength = this.sharedCase ?
+                this.sharedCase.routeLength :
+                this.gameState.clampRouteLength(this.gameSettings.get('routeLength'));
+            this.uiManager.renderRouteLengthOptions(
+                ROUTE_LENGTH_LIMITS.min,
+                this.gameState.getMaxRouteLength(),
+                routeLength
+            );
+            this.uiManager.renderClueFocusOptions(['any', ...CLUE_CATEGORIES], this.gameSettings.get('clueFocus'));
+            this.uiManager.showSharedCaseBanner(this.sharedCase);
+            this.uiManager.updateDailyCaseStatus(this.dailyCaseManager.getStatus());
+            this.refreshSaveSlotAvailability();
+        } catch (error) {
+            console.error('Failed to initialize case settings:', error);
+        }
+    }
+
+    // Start today's daily case, or show its result if it was already played
+    startDailyCase() {
+        if (this.dailyCaseManager.getTodayResult()) {
+            this.showDailyCaseResult();
+            return;
+        }
+
+        this.startGame({
+            caseId: this.dailyCaseManager.getCaseId(),
+            routeLength: this.dailyCaseManager.routeLength,
+            difficulty: this.dailyCaseManager.difficulty
+        });
+    }
+
+    // Show the recorded result of today's daily case instead of a replay
+    showDailyCaseResult() {
+        this.uiManager.showDailyCaseResult(this.dailyCaseManager.getStatus());
+    }
+
+    // Record the outcome when today's daily case ends
+    recordDailyCaseResult() {
+        const recorded = this.dailyCaseManager.recordResult(this.gameState.caseId, {
+            solved: this.gameState.hasWon,
+            score: this.gameState.gameStats.score,
+            citiesCompleted: this.gameState.gameStats.citiesCompleted,
+            routeLength: this.gameState.cityRoute.length
+        });
+
+        if (recorded) {
+            const status = this.dailyCaseManager.getStatus();
+            this.uiManager.updateDailyCaseStatus(status);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.daily_case.recorded', { current: status.currentStreak }, `Daily case recorded! Current streak: ${status.currentStreak}`) :
+                    `Daily case recorded! Current streak: ${status.currentStreak}`,
+                'info',
+                { icon: 'fas fa-calendar-check', duration: 4000 }
+            );
+        }
+    }
+
+    // Campaign cases with their unlock state and the localized texts of the campaign screen
+    getCampaignView() {
+        const status = this.campaignManager.getStatus();
+        return {
+            ...status,
+            cases: status.cases.map(campaignCase => {
+                const suspect = this.gameState.getSuspect(campaignCase.suspectId);
+                const finalCity = suspect ? this.getCityData(suspect.final_city) : null;
+                return {
+                    ...campaignCase,
+                    suspectName: suspect ? suspect.name : campaignCase.suspectId,
+                    finalCityName: finalCity ? finalCity.name : null
+                };
+            })
+        };
+    }
+
+    // Show the campaign cases and which of them are open
+    showCampaignScreen() {
+        this.uiManager.renderCampaign(this.getCampaignView());
+        this.uiManager.showScreen('campaign-screen');
+    }
+
+    // Start a fresh attempt at an unlocked campaign case
+    startCampaignCase(caseNumber) {
+        const number = parseInt(caseNumber, 10);
+        if (!this.campaignManager.isUnlocked(number)) {
+            console.warn(`Campaign case ${caseNumber} is locked`);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.campaign.case_locked', {}, 'Solve the previous campaign case to open this one.') :
+                    'Solve the previous campaign case to open this one.',
+                'warning',
+                { duration: 4000 }
+            );
+            return;
+        }
+
+        // A campaign case is a new case, not a replay of the shared one
+        this.clearSharedCase();
+        this.informantSystem.resetDialogueState();
+        this.startGame({
+            caseId: this.campaignManager.getCaseId(number, this.randomizationSystem.generateCaseId())
+        });
+    }
+
+    // Record the outcome when a campaign case ends and announce what it unlocked
+    recordCampaignResult() {
+        const outcome = this.campaignManager.recordResult(this.gameState.caseId, {
+            solved: this.gameState.hasWon,
+            score: this.gameState.gameStats.score
+        });
+        this.uiManager.updateCampaignResultActions(this.campaignManager.isCampaignCaseId(this.gameState.caseId));
+
+        if (!outcome || (!outcome.unlockedCaseNumber && !outcome.campaignComplete)) {
+            return;
+        }
+
+        const message = outcome.campaignComplete ?
+            (this.translationService ?
+                this.translationService.translate('ui.campaign.completed', {}, 'Campaign complete! Every suspect has been found.') :
+                'Campaign complete! Every suspect has been found.') :
+            (this.translationService ?
+                this.translationService.translate('ui.campaign.unlocked', { number: outcome.unlockedCaseNumber }, `Campaign case ${outcome.unlockedCaseNumber} unlocked!`) :
+                `Campaign case ${outcome.unlockedCaseNumber} unlocked!`);
+        this.uiManager.showFeedbackMessage(message, 'success', { icon: 'fas fa-unlock', duration: 5000 });
+    }
+
+    // Read a shared case ID and its route length from the page URL
+    getSharedCaseFromUrl() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            const caseParam = params.get('case');
+            if (!caseParam) {
+                return null;
+            }
+
+            const validation = this.inputValidator.validateUserInput('caseId', caseParam);
+            if (!validation.isValid) {
+                console.warn(`Ignoring invalid case link "${caseParam}": ${validation.error}`);
+                this.uiManager.showFeedbackMessage(
+                    this.translationService ?
+                        this.translationService.translate('ui.feedback.invalid_case_link', {}, 'That case link is not valid. Starting a new case instead.') :
+                        'That case link is not valid. Starting a new case instead.',
+                    'warning',
+                    { duration: 5000 }
+                );
+                return null;
+            }
+
+            // Links without an explicit length use the default route length
+            const requestedLength = parseInt(params.get('length'), 10);
+            const routeLength = this.gameState.clampRouteLength(
+                Number.isInteger(requestedLength) ? requestedLength : ROUTE_LENGTH_LIMITS.default
+            );
+
+            // Links from before difficulty presets were played with the default rules
+            const requestedDifficulty = params.get('difficulty');
+            const difficulty = DIFFICULTY_PRESETS[requestedDifficulty] ? requestedDifficulty : DEFAULT_DIFFICULTY;
+
+            console.log(`Shared case requested: ${validation.sanitizedValue} (${routeLength} cities, ${difficulty})`);
+            return {
+                caseId: validation.sanitizedValue,
+                routeLength: routeLength,
+                difficulty: difficulty
+            };
+        } catch (error) {
+            console.warn('Failed to read shared case from URL:', error);
+            return null;
+        }
+    }
+
+    // Forget the shared case so the next game gets a fresh case ID
+    clearSharedCase() {
+        if (!this.sharedCase) {
+            return;
+        }
+
+        this.sharedCase = null;
+        try {
+            window.history.replaceState(null, '', window.location.pathname);
+        } catch (error) {
+            console.warn('Failed to clear case from URL:', error);
+        }
+        this.initializeCaseSettings();
+    }
+
+    // Build a link that replays the current case
+    getCaseLink() {
+        if (!this.gameState.caseId) {
+            return null;
+        }
+
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('case', this.gameState.caseId);
+        url.searchParams.set('length', String(this.gameState.routeLength));
+        url.searchParams.set('difficulty', this.gameState.difficulty);
+        return url.toString();
+    }
+
+    // Copy the current case link so another candidate can play the same case
+    async copyCaseLink() {
+        const caseLink = this.getCaseLink();
+        if (!caseLink) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_link_unavailable', {}, 'There is no case to share yet.') :
+                    'There is no case to share yet.',
+                'warning',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(caseLink);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_link_copied', { caseId: this.gameState.caseId }, `Case ${this.gameState.caseId} link copied! Share it to play the same case.`) :
+                    `Case ${this.gameState.caseId} link copied! Share it to play the same case.`,
+                'success',
+                { icon: 'fas fa-link', duration: 4000 }
+            );
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. pages opened from file://), so let the player copy it manually
+            console.warn('Clipboard unavailable, showing case link instead:', error);
+            const promptMessage = this.translationService ?
+                this.translationService.translate('ui.labels.case_link_prompt', {}, 'Copy this case link:') :
+                'Copy this case link:';
+            window.prompt(promptMessage, caseLink);
+        }
+    }
+
+    // Change the difficulty preset used for new cases (its route length becomes the new default)
+    setDifficulty(difficulty) {
+        if (!this.gameSettings.set('difficulty', difficulty)) {
+            console.warn(`Unsupported difficulty preset: ${difficulty}`);
+            return;
+        }
+
+        const preset = this.gameState.getDifficultyPreset(difficulty);
+        this.gameSettings.set('routeLength', this.gameState.clampRouteLength(preset.routeLength));
+        this.initializeCaseSettings();
+
+        console.log(`Difficulty set to ${difficulty}`);
+    }
+
+    // Change the number of cities used for new cases
+    setRouteLength(routeLength) {
+        const requestedLength = parseInt(routeLength, 10);
+        const clampedLength = this.gameState.clampRouteLength(requestedLength);
+
+        if (!this.gameSettings.set('routeLength', clampedLength)) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.invalid_route_length', {}, 'That route length is not available.') :
+                    'That route length is not available.',
+                'warning',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        console.log(`Route length set to ${clampedLength} cities`);
+    }
+
+    // Change which clue category informants talk about when the player does not pick one (e.g. a food-only class)
+    setClueFocus(focus) {
+        if (!this.gameSettings.set('clueFocus', focus)) {
+            console.warn(`Unsupported clue focus: ${focus}`);
+            return;
+        }
+
+        console.log(`Clue focus set to ${focus}`);
+    }
+
+    // Clue category to ask about: the one the player picked, else the clue focus setting (null asks about anything)
+    getClueCategory(category = null) {
+        if (CLUE_CATEGORIES.includes(category)) {
+            return category;
+        }
+
+        const focus = this.gameSettings.get('clueFocus');
+        return CLUE_CATEGORIES.includes(focus) ? focus : null;
+    }
+
+    // Translated name of a clue category (e.g. "food")
+    getClueCategoryLabel(category) {
+        return this.translationService ?
+            this.translationService.translate(`ui.clue_categories.${category}`, {}, category) :
+            category;
+    }
+
+    // Enable the "Continue case" entry only when there is something to continue
+    refreshSaveSlotAvailability() {
+        this.uiManager.updateContinueCaseButton(this.saveSlotManager.getSlotCount());
+    }
+
+    // Build display summaries for every save slot
+    getSaveSlotSummaries() {
+        return this.saveSlotManager.listSlots().map(slot => {
+            const cityData = this.getCityData(slot.state.currentCity);
+            return {
+                id: slot.id,
+                name: slot.name,
+                caseId: slot.state.caseId,
+                difficulty: slot.state.difficulty || DEFAULT_DIFFICULTY,
+                cityName: cityData ? `${cityData.name}, ${cityData.country}` : slot.state.currentCity,
+                score: slot.state.gameStats.score,
+                attemptsRemaining: slot.state.gameStats.attemptsRemaining,
+                savedAt: slot.savedAt
+            };
+        });
+    }
+
+    // Show the list of saved cases
+    showContinueScreen() {
+        this.uiManager.renderSaveSlots(this.getSaveSlotSummaries());
+        this.uiManager.showScreen('continue-screen');
+    }
+
+    // Resume a saved case from its slot
+    loadSaveSlot(slotId) {
+        if (!this.gameState.loadSaveSlot(slotId)) {
+            const reason = this.describeSaveProblem(this.gameState.lastLoadProblem);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.save_slot_load_failed', { reason }, `That saved case could not be loaded because ${reason}.`) :
+                    `That saved case could not be loaded because ${reason}.`,
+                'error',
+                { duration: 4000 }
+            );
+            this.showContinueScreen();
+            return;
+        }
+
+        this.showLoadedCase();
+        console.log(`Loaded saved case ${this.gameState.caseId} from slot ${slotId}`);
+    }
+
+    // Show a case that was just loaded from a save slot or case file
+    showLoadedCase() {
+        // A loaded case replaces any shared case from the URL
+        if (this.sharedCase && this.sharedCase.caseId !== this.gameState.caseId) {
+            this.clearSharedCase();
+        }
+
+        this.clueSystem.rebuildClueProgression(this.gameState.collectedClues);
+        this.informantSystem.resetDialogueState();
+        this.hideLanguageSelector();
+        this.updateProgressDisplay();
+        this.uiManager.updateCampaignResultActions(this.campaignManager.isCampaignCaseId(this.gameState.caseId));
+
+        switch (this.gameState.phase) {
+            case 'conclusion': {
+                const suspect = this.gameState.getSuspect();
+                if (suspect && suspect.final_encounter) {
+                    this.uiManager.updateFinalEncounterScreen(this.getFinalEncounterTexts(suspect));
+                }
+                this.uiManager.updateCaseResultSummary(
+                    this.highScoreManager.getSummary(this.gameState.difficulty, this.gameState.gameStats.score)
+                );
+                this.uiManager.showScreen('final-encounter-screen');
+                break;
+            }
+            case 'game_over':
+                if (this.gameState.failureDetails) {
+                    this.uiManager.showGameOverScreen(
+                        this.gameState.failureDetails,
+                        this.highScoreManager.getSummary(this.gameState.difficulty, this.gameState.gameStats.score)
+                    );
+                } else {
+                    this.uiManager.showScreen('game-over-screen');
+                }
+                break;
+            default:
+                this.uiManager.showScreen(this.gameState.phase + '-screen');
+                if (this.gameState.phase === 'investigation') {
+                    this.uiManager.updateInvestigationScreen(this.gameState.currentCity);
+                }
+        }
+    }
+
+    // Download the current case as a JSON case file
+    exportCaseFile() {
+        if (!this.gameState.caseId || this.gameState.cityRoute.length === 0) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_file_unavailable', {}, 'There is no case to export yet.') :
+                    'There is no case to export yet.',
+                'warning',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        try {
+            const language = this.localizationManager ? this.localizationManager.getCurrentLanguage() : null;
+            this.caseFileManager.downloadCaseFile(language);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_file_exported', { caseId: this.gameState.caseId }, `Case ${this.gameState.caseId} exported as a case file.`) :
+                    `Case ${this.gameState.caseId} exported as a case file.`,
+                'success',
+                { icon: 'fas fa-file-export', duration: 4000 }
+            );
+        } catch (error) {
+            console.error('Failed to export case file:', error);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_file_export_failed', {}, 'The case file could not be created.') :
+                    'The case file could not be created.',
+                'error',
+                { duration: 4000 }
+            );
+        }
+    }
+
+    // Load a case from an imported JSON case file
+    async importCaseFile(file) {
+        if (!file) {
+            return;
+        }
+
+        let text = null;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.warn('Failed to read case file:', error);
+        }
+
+        const result = text !== null ? this.caseFileManager.readCaseFile(text) : { state: null, error: 'unreadable' };
+        if (!result.error && !this.confirmSaveSlotReplacement()) {
+            return;
+        }
+
+        if (result.error || !this.gameState.applySavedState(result.state)) {
+            const reason = this.describeSaveProblem(result.error || this.gameState.lastLoadProblem);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.feedback.case_file_import_failed', { reason }, `That case file could not be imported because ${reason}.`) :
+                    `That case file could not be imported because ${reason}.`,
+                'error',
+                { duration: 6000 }
+            );
+            return;
+        }
+
+        // Imported cases get their own save slot so they never overwrite a local one
+        this.gameState.saveSlotId = this.saveSlotManager.generateSlotId();
+        this.gameState.saveGameState();
+        this.refreshSaveSlotAvailability();
+
+        this.showLoadedCase();
+        this.uiManager.showFeedbackMessage(
+            this.translationService ?
+                this.translationService.translate('ui.feedback.case_file_imported', { caseId: this.gameState.caseId }, `Case ${this.gameState.caseId} imported.`) :
+                `Case ${this.gameState.caseId} imported.`,
+            'success',
+            { icon: 'fas fa-file-import', duration: 4000 }
+        );
+        console.log(`Imported case ${this.gameState.caseId} from case file`);
+    }
+
+    // Explain why a saved case could not be used
+    describeSaveProblem(problem) {
+        const fallbackReasons = {
+            unreadable: 'the save data is unreadable',
+            unknown_version: 'its format version is unknown',
+            newer_version: 'it was saved by a newer version of the game',
+            invalid_phase: 'its game phase is unknown',
+            invalid_progress: 'its visited cities or clue level are damaged',
+            invalid_case: 'its case details are damaged',
+            invalid_route: 'its route is damaged',
+            invalid_stats: 'its score or attempts are damaged',
+            invalid_clues: 'its collected clues are damaged',
+            invalid_action_log: 'its action log is damaged',
+            not_case_file: 'it is not a case file',
+            empty_case: 'it does not contain a started case',
+            unknown_cities: 'its route uses cities that are not in this game',
+            unknown_suspect: 'its suspect is not in this game',
+            unknown_locations: 'it uses informant locations that are not in this game'
+        };
+        const fallback = fallbackReasons[problem] || fallbackReasons.unreadable;
+        return this.translationService ?
+            this.translationService.translate(`ui.save_errors.${problem}`, {}, fallback) :
+            fallback;
+    }
+
+    // Give a save slot a custom name
+    renameSaveSlot(slotId) {
+        const slot = this.saveSlotManager.getSlot(slotId);
+        if (!slot) {
+            return;
+        }
+
+        const promptMessage = this.translationService ?
+            this.translationService.translate('ui.save_slots.rename_prompt', {}, 'Name this saved case:') :
+            'Name this saved case:';
+        const newName = window.prompt(promptMessage, slot.name || '');
+        if (newName === null) {
+            return; // Cancelled
+        }
+
+        const trimmedName = newName.trim();
+        if (trimmedName) {
+            const validation = this.inputValidator.validateUserInput('saveSlotName', trimmedName);
+            if (!validation.isValid) {
+                this.uiManager.showFeedbackMessage(
+                    this.translationService ?
+                        this.translationService.translate('ui.feedback.invalid_save_slot_name', { max: this.saveSlotManager.maxNameLength }, `Save names can have up to ${this.saveSlotManager.maxNameLength} characters.`) :
+                        `Save names can have up to ${this.saveSlotManager.maxNameLength} characters.`,
+                    'warning',
+                    { duration: 3000 }
+                );
+                return;
+            }
+        }
+
+        this.saveSlotManager.renameSlot(slotId, trimmedName);
+        this.showContinueScreen();
+    }
+
+    // Delete a save slot after confirmation
+    deleteSaveSlot(slotId) {
+        const confirmMessage = this.translationService ?
+            this.translationService.translate('ui.confirmation.delete_save_slot', {}, 'Delete this saved case? This cannot be undone.') :
+            'Delete this saved case? This cannot be undone.';
+        if (!confirm(confirmMessage)) {
+            return;
+        }
+
+        this.saveSlotManager.deleteSlot(slotId);
+
+        // The deleted case is no longer resumable from the autosave either
+        this.gameState.forgetSaveSlot(slotId);
+
+        this.refreshSaveSlotAvailability();
+        this.showContinueScreen();
+    }
+
+    // Ask before a new case replaces the least recently saved case because every save slot is in use
+    confirmSaveSlotReplacement() {
+        if (!this.saveSlotManager.isFull()) {
+            return true;
+        }
+
+        const oldestSlot = this.saveSlotManager.getOldestSlot();
+        const caseId = oldestSlot.state.caseId || '?';
+        const name = oldestSlot.name || (this.translationService ?
+            this.translationService.translate('ui.save_slots.default_name', { caseId }, `Case ${caseId}`) :
+            `Case ${caseId}`);
+        const max = this.saveSlotManager.maxSlots;
+        const fallback = `All ${max} save slots are in use. This case will replace the least recently saved one, "${name}". Continue? (Cancel to delete a case under Continue Case instead.)`;
+        const confirmMessage = this.translationService ?
+            this.translationService.translate('ui.confirmation.replace_save_slot', { max, name }, fallback) :
+            fallback;
+        return confirm(confirmMessage);
+    }
+
+    // Return from the continue screen to the welcome screen
+    backToIntro() {
+        this.refreshSaveSlotAvailability();
+        this.uiManager.showScreen('intro-screen');
+    }
+
     // Initialize runtime language switcher for settings menu
     initializeRuntimeLanguageSwitcher() {
         try {
@@ -267,6 +903,11 @@ export class GameController {
             // Update progress display with translated labels
             this.updateProgressDisplay();
 
+            // Dialogue trees have the same nodes in every language, so the choices on screen can be re-read
+            if (this.dialogueNodeId) {
+                this.offerDialogueOptions(this.dialogueNodeId);
+            }
+
             console.log(`Game data reloaded successfully for language: ${languageCode}`);
 
         } catch (error) {
@@ -399,8 +1040,8 @@ export class GameController {
         }
     }
 
-    // Start new game
-    startGame() {
+    // Start new game (caseOptions can fix the case ID, route length and difficulty, e.g. for daily cases)
+    startGame(caseOptions = {}) {
         // Ensure we have game data before starting
         if (!this.gameState.gameData || !this.gameState.gameData.cities) {
             console.error('No game data available for starting game');
@@ -412,13 +1053,52 @@ export class GameController {
             return;
             }
 
-        // Re-initialize randomization system for new game
-        this.randomizationSystem.initialize();
+        // Shared cases replay their seed; every other game gets a fresh shareable case ID
+        const caseId = caseOptions.caseId ||
+            (this.sharedCase ? this.sharedCase.caseId : this.randomizationSystem.generateCaseId());
+        let routeLength = caseOptions.routeLength ||
+            (this.sharedCase ?
+                this.sharedCase.routeLength :
+                this.gameState.clampRouteLength(this.gameSettings.get('routeLength'), this.gameState.gameData));
+        let difficulty = caseOptions.difficulty ||
+            (this.sharedCase ? this.sharedCase.difficulty : this.gameSettings.get('difficulty'));
+        let suspectId = null; // Picked from the case ID seed unless the case names one
+
+        // Daily cases (even when opened from a shared link) always use the daily route length and difficulty
+        if (this.dailyCaseManager.isDailyCaseId(caseId)) {
+            routeLength = this.dailyCaseManager.routeLength;
+            difficulty = this.dailyCaseManager.difficulty;
+
+            // Today's daily case can only be played once
+            if (this.dailyCaseManager.isTodaysCase(caseId) && this.dailyCaseManager.getTodayResult()) {
+                this.showDailyCaseResult();
+                return;
+            }
+        }
+
+        // Campaign cases (even when opened from a shared link) always follow their campaign entry
+        const campaignCase = this.campaignManager.getCase(this.campaignManager.getCaseNumber(caseId));
+        if (campaignCase) {
+            routeLength = this.gameState.clampRouteLength(campaignCase.routeLength, this.gameState.gameData);
+            difficulty = campaignCase.difficulty;
+            suspectId = campaignCase.suspectId;
+        }
+
+        if (!this.confirmSaveSlotReplacement()) {
+            return;
+        }
+
+        // Re-initialize randomization system for new game, seeded from the case ID
+        this.randomizationSystem.initialize(caseId);
+        this.clueSystem.resetClueProgression();
 
         // Initialize game state with route generation using fair randomization
-        this.gameState.initializeGame(this.gameState.gameData, this.randomizationSystem);
+        this.gameState.initializeGame(this.gameState.gameData, this.randomizationSystem, { routeLength, caseId, difficulty, suspectId });
         this.gameState.phase = 'investigation';
 
+        // Every new case gets its own save slot instead of overwriting an older one
+        this.gameState.saveSlotId = this.saveSlotManager.generateSlotId();
+
         // Ensure we have a valid route and starting city
         if (!this.gameState.cityRoute || this.gameState.cityRoute.length === 0) {
             console.error('Failed to generate city route during initialization');
@@ -426,16 +1106,16 @@ export class GameController {
 
             // Try to regenerate route once more with detailed logging
             console.log('Attempting manual route generation...');
-            this.gameState.cityRoute = this.gameState.generateCityRoute(this.gameState.gameData, this.randomizationSystem);
+            this.gameState.cityRoute = this.gameState.generateCityRoute(this.gameState.gameData, this.randomizationSystem, routeLength);
 
             console.log('Manual route generation result:', this.gameState.cityRoute);
 
             if (!this.gameState.cityRoute || this.gameState.cityRoute.length === 0) {
                 // Try a simple fallback route generation
                 console.log('Attempting fallback route generation...');
-                const fallbackRoute = this.createFallbackRoute(this.gameState.gameData);
+                const fallbackRoute = this.createFallbackRoute(this.gameState.gameData, routeLength);
 
-                if (fallbackRoute && fallbackRoute.length === 5) {
+                if (fallbackRoute && fallbackRoute.length === routeLength) {
                     console.log('Fallback route created:', fallbackRoute);
                     this.gameState.cityRoute = fallbackRoute;
                     this.gameState.currentCity = fallbackRoute[0];
@@ -462,7 +1142,23 @@ export class GameController {
         console.log('Game started with fair randomization:', randomizationStats);
         console.log('Generated route:', this.gameState.cityRoute);
         console.log('Starting city:', this.gameState.currentCity);
-        
+
+        // First entry of the action log: everything after it replays from this route
+        this.gameState.recordAction('case_started', {
+            caseId: this.gameState.caseId,
+            routeLength: this.gameState.cityRoute.length,
+            difficulty: this.gameState.difficulty,
+            suspectId: this.gameState.suspectId,
+            cityRoute: this.gameState.cityRoute,
+            startingCity: this.gameState.currentCity,
+            attempts: this.gameState.gameStats.attemptsRemaining,
+            clock: this.gameState.gameClock.createCaseClock(
+                this.gameState.cityRoute.length,
+                this.gameState.getDifficultyPreset().clock
+            ),
+            dossier: this.gameState.generateDossier(this.gameState.gameData, this.gameState.cityRoute, this.randomizationSystem)
+        });
+
         this.gameState.saveGameState();
 
         // Hide language selector when game starts
@@ -477,36 +1173,36 @@ export class GameController {
     }
 
     // Create a simple fallback route when the main generation fails
-    createFallbackRoute(gameData) {
+    createFallbackRoute(gameData, routeLength = this.gameState.routeLength) {
         try {
             console.log('Creating fallback route...');
 
-            if (!gameData || !gameData.cities || gameData.cities.length < 5) {
+            if (!gameData || !gameData.cities || gameData.cities.length < routeLength) {
                 console.error('Insufficient game data for fallback route');
                 return null;
             }
 
-            // Find Buenos Aires
-            const buenosAires = gameData.cities.find(city => city.is_final === true);
-            if (!buenosAires) {
-                console.error('Buenos Aires not found for fallback route');
+            // Find the suspect's final city
+            const finalCity = gameData.cities.find(city => city.id === this.gameState.getFinalCityId(gameData));
+            if (!finalCity) {
+                console.error('Final city not found for fallback route');
                 return null;
             }
 
             // Get non-final cities
-            const regularCities = gameData.cities.filter(city => city.is_final !== true);
-            if (regularCities.length < 4) {
+            const regularCities = gameData.cities.filter(city => city.id !== finalCity.id);
+            if (regularCities.length < routeLength - 1) {
                 console.error('Not enough regular cities for fallback route');
                 return null;
             }
 
-            // Simple selection: take first 4 cities alphabetically for consistency
+            // Simple selection: take the first stops alphabetically for consistency
             const selectedCities = regularCities
                 .sort((a, b) => a.id.localeCompare(b.id))
-                .slice(0, 4);
+                .slice(0, routeLength - 1);
 
             const route = selectedCities.map(city => city.id);
-            route.push(buenosAires.id);
+            route.push(finalCity.id);
 
             console.log('Fallback route created:', route);
             return route;
@@ -517,6 +1213,29 @@ export class GameController {
         }
     }
 
+    // Open the city-by-city replay of the finished case
+    showReplay() {
+        if (!this.caseReplay.load(this.gameState.actionLog.getEntries())) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.replay.unavailable', {}, 'This case has no recorded history to replay.') :
+                    'This case has no recorded history to replay.',
+                'info',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        this.uiManager.renderReplay(this.caseReplay.getView());
+        this.uiManager.showScreen('replay-screen');
+    }
+
+    // Leave the replay and return to the case result
+    closeReplay() {
+        this.caseReplay.pause();
+        this.uiManager.showScreen(this.gameState.phase === 'game_over' ? 'game-over-screen' : 'final-encounter-screen');
+    }
+
     // Hide language selector when game starts
     hideLanguageSelector() {
         try {
@@ -549,9 +1268,85 @@ export class GameController {
             case 'start-game':
                 this.startGame();
                 break;
+            case 'start-daily-case':
+                this.startDailyCase();
+                break;
+            case 'show-campaign-screen':
+                this.showCampaignScreen();
+                break;
+            case 'start-campaign-case':
+                this.startCampaignCase(data.caseNumber);
+                break;
+            case 'set-route-length':
+                this.setRouteLength(data.routeLength);
+                break;
+            case 'set-clue-focus':
+                this.setClueFocus(data.focus);
+                break;
+            case 'set-difficulty':
+                this.setDifficulty(data.difficulty);
+                break;
+            case 'buy-hint':
+                this.buyHint(data.payment);
+                break;
+            case 'view-dossier':
+                this.showDossierScreen();
+                break;
+            case 'issue-warrant':
+                this.issueWarrant(data.traits);
+                break;
+            case 'copy-case-link':
+                this.copyCaseLink();
+                break;
+            case 'show-continue-screen':
+                this.showContinueScreen();
+                break;
+            case 'load-save-slot':
+                this.loadSaveSlot(data.slotId);
+                break;
+            case 'rename-save-slot':
+                this.renameSaveSlot(data.slotId);
+                break;
+            case 'delete-save-slot':
+                this.deleteSaveSlot(data.slotId);
+                break;
+            case 'back-to-intro':
+                this.backToIntro();
+                break;
+            case 'export-case-file':
+                this.exportCaseFile();
+                break;
+            case 'import-case-file':
+                this.importCaseFile(data.file);
+                break;
+            case 'show-replay':
+                this.showReplay();
+                break;
+            case 'replay-toggle-play':
+                this.caseReplay.togglePlay();
+                break;
+            case 'replay-step':
+                this.caseReplay.pause();
+                this.caseReplay.step();
+                break;
+            case 'replay-set-speed':
+                this.caseReplay.setSpeed(data.speed);
+                break;
+            case 'replay-jump-to-city':
+                this.caseReplay.jumpToStage(Number(data.stageIndex));
+                break;
+            case 'close-replay':
+                this.closeReplay();
+                break;
             case 'collect-clues':
                 this.collectClues();
                 break;
+            case 'visit-location':
+                this.visitLocation(data.locationId);
+                break;
+            case 'choose-dialogue-option':
+                this.chooseDialogueOption(data.optionIndex);
+                break;
             case 'travel':
                 this.showTravelScreen();
                 break;
@@ -582,8 +1377,8 @@ export class GameController {
         this.updateProgressDisplay();
     }
 
-    // Collect clues from current city about the NEXT city in the route
-    collectClues() {
+    // Collect clues from current city about the NEXT city in the route (optionally about one clue category)
+    collectClues(category = null) {
         const currentCityData = this.getCityData(this.gameState.currentCity);
         
         if (!currentCityData) {
@@ -591,10 +1386,10 @@ export class GameController {
             return;
         }
 
-        // Check if we're in Buenos Aires (final destination) FIRST
-        if (currentCityData.is_final) {
-            // In Buenos Aires, show the final encounter dialogs instead of regular clues
-            this.handleBuenosAiresFinalEncounter();
+        // Check if we're in the suspect's final city (final destination) FIRST
+        if (this.gameState.isFinalCity(currentCityData.id)) {
+            // There, show the final encounter dialogs instead of regular clues
+            this.handleFinalEncounter();
             return;
         }
 
@@ -606,12 +1401,14 @@ export class GameController {
             return;
         }
 
-        // Check if we're in "no more info" state first
-        const nextDifficulty = this.clueSystem.getNextClueDifficulty(this.gameState.currentCity);
+        // Check if we're in "no more info" state first (each location's informant is asked separately)
+        const location = this.gameState.getCurrentLocation();
+        const nextDifficulty = this.clueSystem.getNextClueDifficulty(this.gameState.currentCity, location ? location.id : null);
         if (nextDifficulty === 'no_more_info') {
             // Show "no more information" message with farewell_helpful
-            const noMoreInfoMessage = "I have no more information.";
-            this.uiManager.displayInformantDialogue(noMoreInfoMessage, currentCityData.informant.name, 'no_more_info');
+            const noMoreInfoMessage = this.informantSystem.generateNoMoreInfoResponse(location ? location.informant : null);
+            this.uiManager.displayInformantDialogue(noMoreInfoMessage, location ? location.informant.name : '', 'no_more_info');
+            this.recordClueRequest('no_more_info');
 
             // Show farewell_helpful message
             this.showInformantDialogue(this.gameState.currentCity, 'farewell_helpful');
@@ -622,14 +1419,17 @@ export class GameController {
         const hasClues = this.hasCityClues(this.gameState.currentCity);
 
         if (!hasClues) {
-            // Show "not here" response - Nadine wasn't in this city
+            // Show "not here" response - the suspect wasn't in this city
             this.showInformantDialogue(this.gameState.currentCity, 'not_here');
+            this.recordClueRequest('not_here');
             // this.uiManager.showFeedbackMessage('No clues found in this city.', 'info');
             return;
         }
 
         // Use the enhanced clue system with progression logic to get clues about the NEXT city
-        const collectedClues = this.presentCluesAboutNextCity(this.gameState.currentCity, nextCityId);
+        const collectedClues = this.presentCluesAboutNextCity(
+            this.gameState.currentCity, nextCityId, null, this.getClueCategory(category)
+        );
         
         if (collectedClues.length > 0) {
             // Clues are already displayed in dialogue format by presentCluesAboutNextCity
@@ -643,7 +1443,7 @@ export class GameController {
                 return currentIndex > hardestIndex ? clue.difficulty : hardest;
             }, 'easy');
 
-            this.gameState.currentClueLevel = hardestDifficulty;
+            this.recordClueRequest('clues', hardestDifficulty);
 
             // Debug logging for clue collection
             console.log(`Clue collection: Set difficulty to ${hardestDifficulty} based on collected clues:`, collectedClues.map(c => c.difficulty));
@@ -667,6 +1467,7 @@ export class GameController {
         } else {
             // Show "not here" response
             this.showInformantDialogue(this.gameState.currentCity, 'not_here');
+            this.recordClueRequest('not_here');
 
             // Provide helpful feedback for no clues found
             // this.uiManager.showFeedbackMessage('No clues found in this city.', 'info');
@@ -685,8 +1486,219 @@ export class GameController {
         this.updateProgressDisplay();
     }
 
-    // Present clues about the next city in the route
-    presentCluesAboutNextCity(currentCityId, nextCityId) {
+    // Buy a more obvious clue from the current informant, paid with points or in-game hours
+    buyHint(payment) {
+        const cityId = this.gameState.currentCity;
+        const hintOffer = this.getHintOffer();
+        const nextCityId = this.gameState.getNextCityInRoute();
+
+        if (!hintOffer || !nextCityId) {
+            console.warn(`No hint available in ${cityId}`);
+            return;
+        }
+
+        if (!['points', 'hours'].includes(payment) || (payment === 'points' && !hintOffer.canPayPoints)) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.hints.cannot_pay_points', {}, 'This city\'s reward is too low to pay with points. Spend time instead.') :
+                    'This city\'s reward is too low to pay with points. Spend time instead.',
+                'warning',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        const hintClues = this.presentCluesAboutNextCity(cityId, nextCityId, hintOffer.difficulty, this.getClueCategory());
+        if (hintClues.length === 0) {
+            // Nothing new to tell, so nothing to pay for
+            console.warn(`Hint in ${cityId} gave no new clue, not charging for it`);
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.hints.nothing_new', {}, 'The informant has nothing more to tell you. Nothing was charged.') :
+                    'The informant has nothing more to tell you. Nothing was charged.',
+                'info',
+                { duration: 3000 }
+            );
+            this.updateProgressDisplay();
+            return;
+        }
+
+        this.gameState.recordAction('hint_bought', {
+            cityId: cityId,
+            locationId: hintOffer.locationId,
+            difficulty: hintOffer.difficulty,
+            payment: payment,
+            points: payment === 'points' ? hintOffer.points : 0,
+            hours: payment === 'hours' ? hintOffer.hours : 0
+        });
+        console.log(`Hint bought in ${cityId} (${hintOffer.difficulty}, paid with ${payment}):`, hintClues.map(clue => clue.text));
+
+        this.gameState.saveGameState();
+        this.updateProgressDisplay();
+        this.checkDeadlineReached();
+    }
+
+    // Hint on offer in the current city with its price and whether points can still pay for it
+    getHintOffer() {
+        const cityId = this.gameState.currentCity;
+        const cityData = cityId ? this.getCityData(cityId) : null;
+        if (!cityData || this.gameState.isFinalCity(cityId) || !this.hasCityClues(cityId)) {
+            return null;
+        }
+
+        // Only offer a hint this informant can still give about the next city (their share, on the asked topic)
+        const location = this.gameState.getCurrentLocation();
+        const locationId = location ? location.id : null;
+        const nextCityData = this.getCityData(this.gameState.getNextCityInRoute());
+        const availableClues = nextCityData ?
+            this.clueSystem.getLocationClues(nextCityData.clues, this.gameState.getCityLocations(cityData), locationId, this.getClueCategory()) :
+            null;
+        const offer = this.clueSystem.getHintOffer(cityId, locationId, availableClues);
+        if (!offer) {
+            return null;
+        }
+
+        const reward = this.getCityReward(cityId);
+        return {
+            ...offer,
+            locationId: locationId,
+            reward: reward,
+            canPayPoints: reward - offer.points >= 1 // A correct guess is always worth at least a point
+        };
+    }
+
+    // Locations of the current city for the investigation screen (null when there is only one informant)
+    getLocationView() {
+        const cityData = this.getCityData(this.gameState.currentCity);
+        const locations = this.gameState.getCityLocations(cityData);
+        if (locations.length <= 1) {
+            return null;
+        }
+
+        const currentLocation = this.gameState.getCurrentLocation();
+        return locations.map(location => ({
+            id: location.id,
+            name: location.name,
+            personality: location.informant.personality || '',
+            informantName: location.informant.name,
+            hours: location.hours || 0,
+            isCurrent: location === currentLocation
+        }));
+    }
+
+    // Go to another location in the current city and meet its informant (getting there costs hours)
+    visitLocation(locationId) {
+        const cityData = this.getCityData(this.gameState.currentCity);
+        const location = this.gameState.getCityLocations(cityData).find(entry => entry.id === locationId);
+        if (!location) {
+            console.warn(`Unknown location ${locationId} in ${this.gameState.currentCity}`);
+            return;
+        }
+
+        if (location === this.gameState.getCurrentLocation()) {
+            return;
+        }
+
+        this.gameState.recordAction('location_visited', {
+            cityId: this.gameState.currentCity,
+            locationId: location.id,
+            hours: location.hours || 0
+        });
+        this.gameState.saveGameState();
+        this.updateProgressDisplay();
+
+        if (this.checkDeadlineReached()) {
+            return;
+        }
+
+        this.showInformantDialogue(this.gameState.currentCity, 'greeting');
+    }
+
+    // Show the choices of a node of the current informant's dialogue tree (the start node by default);
+    // there are none outside the investigation or in the suspect's final city, where the arrest follows
+    offerDialogueOptions(nodeId = null) {
+        const cityData = this.getCityData(this.gameState.currentCity);
+        const node = this.gameState.phase === 'investigation' && cityData && !this.gameState.isFinalCity(cityData.id) ?
+            this.informantSystem.getDialogueNode(cityData, nodeId) :
+            null;
+
+        this.dialogueNodeId = node ? node.id : null;
+        this.uiManager.showDialogueOptions(node ? node.options : null);
+    }
+
+    // Follow a choice of the dialogue tree: go to another node, or ask, show the photo or say goodbye
+    chooseDialogueOption(optionIndex) {
+        const cityId = this.gameState.currentCity;
+        const node = this.dialogueNodeId ? this.informantSystem.getDialogueNode(this.getCityData(cityId), this.dialogueNodeId) : null;
+        const option = node ? node.options[Number(optionIndex)] : null;
+        if (!option) {
+            console.warn(`Unknown dialogue option ${optionIndex} at node ${this.dialogueNodeId}`);
+            return;
+        }
+
+        if (option.next) {
+            this.showInformantDialogue(cityId, 'dialogue_node', { nodeId: option.next });
+            this.offerDialogueOptions(option.next);
+            return;
+        }
+
+        switch (option.action) {
+            case 'ask_clues':
+                this.collectClues(option.category);
+                this.offerDialogueOptions();
+                break;
+            case 'show_photo':
+                this.showSuspectPhoto();
+                this.offerDialogueOptions();
+                break;
+            case 'goodbye':
+                this.showInformantDialogue(cityId, 'farewell_helpful');
+                this.dialogueNodeId = null;
+                this.uiManager.showDialogueOptions(null);
+                break;
+            default:
+                console.warn(`Unknown dialogue action: ${option.action}`);
+        }
+    }
+
+    // Show the informant the suspect's photo: they add what they remember to the dossier, if anything
+    showSuspectPhoto() {
+        const cityId = this.gameState.currentCity;
+        const traitReveals = this.revealSuspectTraits(cityId);
+        if (traitReveals.length === 0) {
+            this.showInformantDialogue(cityId, 'photo_unknown');
+            return;
+        }
+
+        const location = this.gameState.getCurrentLocation();
+        this.uiManager.displayInformantDialogue(traitReveals.join('\n'), location ? location.informant.name : '', 'trait_reveal');
+    }
+
+    // Log the informant's answer to a clue request (the hardest clue given sets the scoring level)
+    recordClueRequest(outcome, difficulty = null) {
+        this.gameState.recordAction('clues_requested', {
+            cityId: this.gameState.currentCity,
+            outcome: outcome,
+            difficulty: difficulty,
+            hours: this.gameState.gameClock.getInformantHours(outcome)
+        });
+        this.gameState.saveGameState();
+        this.checkDeadlineReached();
+    }
+
+    // End the case when the in-game clock reaches the deadline
+    checkDeadlineReached() {
+        const deadlineFailure = this.failureHandler.checkDeadline();
+        if (deadlineFailure) {
+            this.triggerGameOver(deadlineFailure);
+            return true;
+        }
+        return false;
+    }
+
+    // Present clues about the next city in the route (a difficulty asks for that tier, e.g. a bought hint;
+    // a category asks about that topic where the tier has such a clue)
+    presentCluesAboutNextCity(currentCityId, nextCityId, difficulty = null, category = null) {
         const currentCityData = this.getCityData(currentCityId);
         const nextCityData = this.getCityData(nextCityId);
 
@@ -694,11 +1706,32 @@ export class GameController {
             return [];
         }
 
-        // Get clues from the NEXT city's data (these are clues about where Nadine went)
+        // Get clues from the NEXT city's data (these are clues about where the suspect went)
         let clues = [];
 
+        // The informant at the current location only knows their share of those clues
+        const location = this.gameState.getCityLocation(currentCityData,
+            currentCityId === this.gameState.currentCity ? this.gameState.currentLocationId : null);
+        const locationId = location ? location.id : null;
+        const informant = location ? location.informant : null;
+        const locationCityData = {
+            ...nextCityData,
+            clues: this.clueSystem.getLocationClues(
+                nextCityData.clues, this.gameState.getCityLocations(currentCityData), locationId, category
+            )
+        };
+
         // Get clues from next city's data but track progression for current city
-        clues = this.clueSystem.getCluesWithProgressionFromCity(nextCityData, currentCityId, true);
+        clues = difficulty ?
+            this.clueSystem.generateClues(locationCityData, {
+                maxCluesPerDifficulty: 1,
+                randomizeSelection: true,
+                includeAllDifficulties: false,
+                specificDifficulty: difficulty,
+                locationId: locationId,
+                category: category
+            }, currentCityId) :
+            this.clueSystem.getCluesWithProgressionFromCity(locationCityData, currentCityId, true, locationId, category);
 
         if (clues.length > 0) {
             const addedClues = [];
@@ -709,8 +1742,14 @@ export class GameController {
                 clue.sourceCity = currentCityId;
                 clue.sourceCityName = currentCityData.name;
 
-                // Transform the clue text to be from the informant's perspective
-                clue.text = this.transformClueToInformantPerspective(clue.text, currentCityData.informant.name);
+                // Transform the clue text to be from the informant's perspective and name the suspect
+                // (phrasing is seeded too, so shared cases read exactly the same)
+                const phrasingRandom = this.randomizationSystem.createScopedRandom(
+                    `phrasing:${this.clueSystem.getProgressionKey(currentCityId, locationId)}:${clue.difficulty}`
+                );
+                clue.text = this.gameState.formatSuspectText(
+                    this.transformClueToInformantPerspective(clue.text, informant, phrasingRandom)
+                );
 
                 if (this.clueSystem.addClueToCollection(clue)) {
                     addedClues.push(clue);
@@ -718,8 +1757,8 @@ export class GameController {
             });
 
             if (addedClues.length > 0) {
-                // Show clues in dialogue format
-                this.displayCluesInDialogue(addedClues, currentCityData.informant.name);
+                // Show clues in dialogue format, with any suspect traits the informant lets slip
+                this.displayCluesInDialogue(addedClues, informant, this.revealSuspectTraits(currentCityId), category);
 
                 // Also add to evidence list
                 this.uiManager.showCluesCollected(addedClues);
@@ -731,22 +1770,43 @@ export class GameController {
         }
     }
 
-    // Display clues in dialogue format
-    displayCluesInDialogue(clues, informantName) {
-        // Check current language and use appropriate intro text
-        let introText;
+    // Record the suspect traits an informant reveals along with their clues and return what they say
+    revealSuspectTraits(cityId) {
+        const traitIds = this.gameState.getTraitsToReveal(cityId);
+        if (traitIds.length === 0) {
+            return [];
+        }
 
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
+        const reveals = traitIds.map(traitId => {
+            const value = this.gameState.dossier.traits[traitId];
+            this.gameState.recordAction('trait_revealed', { cityId, trait: traitId, value });
+            return this.informantSystem.showInformantDialogue(cityId, 'trait_reveal', { trait: traitId, value }).text;
+        });
 
-            if (currentLanguage === 'es') {
-                introText = "Tengo información sobre hacia dónde fue después:";
-            } else {
-                introText = "I have some information about where she went next:";
-            }
-        } else {
-            // Fallback to English
-            introText = "I have some information about where she went next:";
+        this.uiManager.showFeedbackMessage(
+            this.translationService ?
+                this.translationService.translate('ui.dossier.trait_noted', {}, 'New detail added to the suspect dossier.') :
+                'New detail added to the suspect dossier.',
+            'info',
+            { duration: 3000 }
+        );
+        return reveals;
+    }
+
+    // Display clues in dialogue format (trait reveals follow the clues; the informant admits it when they know
+    // nothing about the category asked for)
+    displayCluesInDialogue(clues, informant, traitReveals = [], category = null) {
+        let introText = this.informantSystem.getPhrase('clue_presentation_intro', informant,
+            'I have some information about where {subject} went next:');
+        introText = this.gameState.formatSuspectText(introText);
+
+        if (category && !clues.some(clue => clue.category === category)) {
+            const categoryLabel = this.getClueCategoryLabel(category);
+            const unknownText = this.translationService ?
+                this.translationService.translate('ui.informant.category_unknown', { category: categoryLabel },
+                    `I don't know anything about ${categoryLabel}, but listen to this.`) :
+                `I don't know anything about ${categoryLabel}, but listen to this.`;
+            introText = `${unknownText} ${introText}`;
         }
 
         let clueText = `${introText}\n\n`;
@@ -755,52 +1815,26 @@ export class GameController {
             clueText += `${clue.text}\n`;
         });
 
-        // Show the clues as dialogue
-        this.uiManager.displayInformantDialogue(clueText, informantName, 'clue_presentation');
-    }
-
-    // Transform clue text to be from the informant's perspective
-    transformClueToInformantPerspective(clueText, informantName) {
-        // Check current language and use appropriate transformations
-        let transformations;
-
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
-
-            if (currentLanguage === 'es') {
-                transformations = [
-                    "La vi",
-                    "Mencionó que",
-                    "Noté que",
-                    "Observé que",
-                    "Me dijo que",
-                    "Vi que"
-                ];
-            } else {
-                transformations = [
-                    "I saw her",
-                    "She mentioned",
-                    "I noticed she",
-                    "I observed she",
-                    "She told me",
-                    "I saw that she"
-                ];
-            }
-        } else {
-            // Fallback to English
-            transformations = [
-                "I saw her",
-                "She mentioned",
-                "I noticed she",
-                "I observed she",
-                "She told me",
-                "I saw that she"
-            ];
+        if (traitReveals.length > 0) {
+            clueText += `\n${traitReveals.join('\n')}\n`;
         }
-        
-        // Pick a random transformation and combine with clue text
-        const randomIndex = Math.floor(Math.random() * transformations.length);
-        const prefix = transformations[randomIndex];
+
+        // Show the clues as dialogue
+        this.uiManager.displayInformantDialogue(clueText, informant ? informant.name : '', 'clue_presentation');
+    }
+
+    // Transform clue text to be from the informant's perspective (in their own words, if they have any)
+    transformClueToInformantPerspective(clueText, informant = null, random = Math.random) {
+        const transformations = this.informantSystem.getPhrasePool('clue_transformations', informant, [
+            "I noticed that",
+            "I remember that",
+            "I observed that",
+            "Word is that",
+            "I could tell that"
+        ]);
+
+        // Pick a random transformation and combine with clue text (the caller fills the suspect placeholders)
+        const prefix = this.informantSystem.pickPhrase(transformations, random);
         return `${prefix} ${clueText.toLowerCase()}`;
     }
 
@@ -863,7 +1897,7 @@ export class GameController {
             // City has clues but player didn't collect them
             this.showInformantDialogue(this.gameState.currentCity, 'farewell_unhelpful');
         } else {
-            // City has no clues (Nadine wasn't here)
+            // City has no clues (the suspect wasn't here)
             this.showInformantDialogue(this.gameState.currentCity, 'farewell_unhelpful');
         }
 
@@ -879,11 +1913,17 @@ export class GameController {
 
     // Travel to selected city with guess validation and scoring
     travelToCity(cityId) {
+        // Ignore further destinations while the previous flight is still on screen
+        if (this.uiManager.isTravelAnimating) {
+            console.log(`Travel to ${cityId} ignored: a flight is already in progress`);
+            return;
+        }
+
         // Validate travel possibility
         const travelCheck = this.canTravelToCity(cityId);
         if (!travelCheck.canTravel) {
             // Reduce attempts for invalid travel attempts
-            this.gameState.gameStats.attemptsRemaining--;
+            this.gameState.recordAction('travel_rejected', { cityId, reason: travelCheck.reason });
             
             this.uiManager.showFeedbackMessage(`Cannot travel: ${travelCheck.reason}`, 'error');
             
@@ -939,7 +1979,7 @@ export class GameController {
             reason: isCorrect ? 'correct_destination' : 'incorrect_destination',
             message: isCorrect ?
                 'Correct destination! Following the trail perfectly.' :
-                'Incorrect destination. Nadine wasn\'t here.'
+                this.gameState.formatSuspectText('Incorrect destination. {suspect} wasn\'t here.')
         };
     }
 
@@ -947,23 +1987,26 @@ export class GameController {
     handleCorrectGuess(cityId, guessResult) {
         const cityData = this.getCityData(cityId);
 
-        // Add current city to visited cities before moving
-        if (this.gameState.currentCity && !this.gameState.visitedCities.includes(this.gameState.currentCity)) {
-            this.gameState.visitedCities.push(this.gameState.currentCity);
-        }
-        
         // Award points based on current clue difficulty level BEFORE advancing
         const pointsAwarded = this.awardPointsForCorrectGuess();
 
-        // Move to new city
+        // Move to new city: the logged guess marks the current city visited, adds the points
+        // and advances along the route (which resets the clue level for the new city)
         const previousCity = this.gameState.currentCity;
-        this.gameState.currentCity = cityId;
-        this.gameState.gameStats.citiesVisited++;
-        
-        // Advance to next city in route (this resets clue level for new city)
-        this.gameState.advanceToNextCity();
+        this.gameState.recordAction('guess_made', {
+            cityId,
+            expectedCity: guessResult.expectedCity,
+            correct: true,
+            points: pointsAwarded,
+            hours: this.gameState.gameClock.getFlightHours(previousCity, cityId)
+        });
+
+        // A long flight can land after the deadline
+        if (this.checkDeadlineReached()) {
+            return;
+        }
 
-        // Check for journey completion after 4 cities (before Buenos Aires)
+        // Check for journey completion after the last stop before the final city
         const journeyStatus = this.checkJourneyCompletion();
 
         // Log successful travel
@@ -985,16 +2028,16 @@ export class GameController {
         // Show travel animation and transition
         this.uiManager.animateTravel(previousCity, cityId, () => {
             // Check if this is the final destination
-            if (cityData.is_final) {
-                // For Buenos Aires, first show the investigation screen like a regular city
+            if (this.gameState.isFinalCity(cityId)) {
+                // For the final city, first show the investigation screen like a regular city
                 this.gameState.phase = 'investigation';
                 this.uiManager.showScreen('investigation-screen');
                 this.uiManager.updateInvestigationScreen(cityId);
 
-                // Show greeting dialogue when entering Buenos Aires
+                // Show greeting dialogue when entering the final city
                 this.showInformantDialogue(cityId, 'greeting');
             } else if (journeyStatus.shouldPresentFinalDestination) {
-                // Present Buenos Aires as the final destination after 4 cities
+                // Present the final city as the final destination after the last stop
                 this.presentFinalDestination();
             } else {
                 this.gameState.phase = 'investigation';
@@ -1015,26 +2058,30 @@ export class GameController {
         const citiesCompleted = this.gameState.gameStats.citiesCompleted;
         const totalCitiesInRoute = this.gameState.cityRoute.length;
         const currentCityData = this.getCityData(this.gameState.currentCity);
+        const finalCityData = this.getCityData(this.gameState.getFinalCityId());
+        const finalCityName = finalCityData ? finalCityData.name : '';
 
-        // Check if we've completed 4 cities and are ready for Buenos Aires
-        if (citiesCompleted === 4 && totalCitiesInRoute === 5) {
+        const stopsBeforeFinal = totalCitiesInRoute - 1;
+
+        // Check if we've completed every stop and are ready for the final city
+        if (totalCitiesInRoute > 0 && citiesCompleted === stopsBeforeFinal) {
             return {
                 shouldPresentFinalDestination: true,
                 isJourneyComplete: false,
-                message: 'Four cities completed! Buenos Aires awaits as your final destination.',
+                message: `${stopsBeforeFinal} cities completed! ${finalCityName} awaits as your final destination.`,
                 nextAction: 'present_final_destination',
-                progress: '4/5 cities completed'
+                progress: `${stopsBeforeFinal}/${totalCitiesInRoute} cities completed`
             };
         }
 
-        // Check if we're at the final destination (Buenos Aires)
-        if (currentCityData && currentCityData.is_final) {
+        // Check if we're at the final destination (where the suspect hides)
+        if (currentCityData && this.gameState.isFinalCity(currentCityData.id)) {
             return {
                 shouldPresentFinalDestination: false,
                 isJourneyComplete: true,
-                message: 'Journey complete! You have found Nadine in Buenos Aires!',
+                message: this.gameState.formatSuspectText(`Journey complete! You have found {suspect} in ${finalCityName}!`),
                 nextAction: 'trigger_final_encounter',
-                progress: '5/5 cities completed'
+                progress: `${totalCitiesInRoute}/${totalCitiesInRoute} cities completed`
             };
         }
 
@@ -1048,7 +2095,7 @@ export class GameController {
         };
     }
 
-    // Present Buenos Aires as the final destination after 4 cities
+    // Present the suspect's final city as the final destination after the last stop
     presentFinalDestination() {
         // Show special message about reaching the final stage
         // this.uiManager.showFeedbackMessage(
@@ -1057,7 +2104,7 @@ export class GameController {
         //     { icon: 'fas fa-flag-checkered', duration: 5000 }
         // );
 
-        // Transition to travel screen with Buenos Aires highlighted
+        // Transition to travel screen with the final city highlighted
         setTimeout(() => {
             this.gameState.phase = 'travel';
             this.uiManager.showScreen('travel-screen');
@@ -1068,96 +2115,143 @@ export class GameController {
     // Handle incorrect guess with attempt deduction and "not here" scene
     handleIncorrectGuess(cityId, guessResult) {
         const cityData = this.getCityData(cityId);
+        const previousCity = this.gameState.currentCity;
 
         // Deduct one attempt for incorrect guess
-        this.gameState.gameStats.attemptsRemaining--;
+        this.gameState.recordAction('guess_made', {
+            cityId,
+            expectedCity: guessResult.expectedCity,
+            correct: false,
+            points: 0,
+            hours: this.gameState.gameClock.getWrongCityHours(previousCity, cityId)
+        });
 
         // Log incorrect guess
         console.log(`Incorrect guess: ${cityId} (Expected: ${guessResult.expectedCity}). Attempts remaining: ${this.gameState.gameStats.attemptsRemaining}`);
 
-        // Display "not here" scene for incorrect guess
-        this.displayNotHereScene(cityData);
+        // Check for failure conditions after reducing attempts (game over follows the dead-end flight)
+        const failureCheck = this.failureHandler.checkFailureConditions();
 
-        // Provide feedback about incorrect guess
-        // this.uiManager.showFeedbackMessage(
-        //     `Nadine wasn't in ${cityData.name}. ${this.gameState.gameStats.attemptsRemaining} attempts remaining.`,
-        //     'warning',
-        //     { icon: 'fas fa-exclamation-triangle', duration: 4000 }
-        // );
+        // Fly to the wrong city, then display its "not here" scene
+        this.uiManager.animateTravel(previousCity, cityId, () => {
+            this.displayNotHereScene(cityData, guessResult.expectedCity);
 
-        // Check for failure conditions after reducing attempts
-        const failureCheck = this.failureHandler.checkFailureConditions();
-        if (failureCheck.hasFailed) {
-            this.triggerGameOver(failureCheck);
-            return;
-        }
+            // Provide feedback about incorrect guess
+            // this.uiManager.showFeedbackMessage(
+            //     `Nadine wasn't in ${cityData.name}. ${this.gameState.gameStats.attemptsRemaining} attempts remaining.`,
+            //     'warning',
+            //     { icon: 'fas fa-exclamation-triangle', duration: 4000 }
+            // );
+
+            if (failureCheck.hasFailed) {
+                this.triggerGameOver(failureCheck);
+                return;
+            }
+
+            // Return to travel screen for another attempt
+            setTimeout(() => {
+                this.gameState.phase = 'travel';
+                this.uiManager.showScreen('travel-screen');
+                this.uiManager.showWorldMap();
+                // Reset travel button state
+                this.uiManager.resetTravelButton();
+                // Reset collect clues button state for when player returns to investigation
+                this.uiManager.resetCollectCluesButton();
+            }, 3000);
+        }, { deadEnd: true });
 
-        // Return to travel screen for another attempt
-        setTimeout(() => {
-            this.gameState.phase = 'travel';
-            this.uiManager.showScreen('travel-screen');
-            this.uiManager.showWorldMap();
-            // Reset travel button state
-            this.uiManager.resetTravelButton();
-            // Reset collect clues button state for when player returns to investigation
-            this.uiManager.resetCollectCluesButton();
-        }, 3000);
-        
         this.gameState.saveGameState();
         this.updateProgressDisplay();
     }
 
-    // Award points based on current clue difficulty level
+    // Points for a correct guess from the current city (added to the score by the logged guess)
     awardPointsForCorrectGuess() {
-        const currentClueLevel = this.gameState.currentClueLevel || 'easy';
-
-        const pointValues = {
-            'difficult': 3,
-            'medium': 2,
-            'easy': 1
-        };
-
-        const points = pointValues[currentClueLevel] || 1;
-        this.gameState.gameStats.score += points;
+        const cityId = this.gameState.currentCity;
+        const hintCount = this.gameState.hintsBought.filter(hint => hint.cityId === cityId).length;
+        const points = this.getCityReward(cityId);
 
         // Debug logging for scoring
-        console.log(`Scoring: ${currentClueLevel} clue = ${points} points (Total: ${this.gameState.gameStats.score})`);
+        console.log(`Scoring: ${points} points with ${hintCount} hint(s) bought in ${cityId} (Total: ${this.gameState.gameStats.score + points})`);
 
         return points;
     }
 
-    // Display "not here" scene for incorrect guesses
-    displayNotHereScene(cityData) {
+    // What a correct guess from a city is worth: the hardest clue tier's points minus hints paid for with points
+    getCityReward(cityId = this.gameState.currentCity) {
+        const basePoints = this.clueSystem.pointValues[this.gameState.getStartingClueLevel()] || 1;
+        return Math.max(0, basePoints - this.gameState.getHintPointsSpent(cityId));
+    }
+
+    // Display "not here" scene for incorrect guesses (with distance feedback and a region hint towards the
+    // expected city when the difficulty preset allows them)
+    displayNotHereScene(cityData, expectedCityId = null) {
         // Show the "not here" scene image
         const notHereImagePath = `assets/scenes/${cityData.id}_notHere.png`;
         this.uiManager.showNotHereScene(cityData, notHereImagePath);
 
         // Display informant's "not here" response
-        const notHereResponse = cityData.not_here_response ||
-            `No, that person hasn't been here. Try looking elsewhere.`;
+        let notHereResponse = this.gameState.formatSuspectText(cityData.not_here_response ||
+            `No, that person hasn't been here. Try looking elsewhere.`);
+
+        const expectedCityData = expectedCityId ? this.gameState.findCity(expectedCityId) : null;
+        // How much the informant says about the distance to the suspect and their region depends on the difficulty preset
+        const distanceFeedback = this.informantSystem.generateDistanceFeedback(cityData, expectedCityData);
+        if (distanceFeedback) {
+            notHereResponse = `${notHereResponse} ${distanceFeedback}`;
+        }
+
+        const regionHint = this.informantSystem.generateRegionHint(expectedCityData);
+        if (regionHint) {
+            notHereResponse = `${notHereResponse} ${regionHint}`;
+        }
 
         this.uiManager.displayInformantDialogue(
             notHereResponse,
-            cityData.informant?.name || 'Local Informant',
+            this.gameState.getCityLocation(cityData)?.informant.name || 'Local Informant',
             'not_here'
         );
     }
 
-    // Handle Buenos Aires final encounter sequence
-    handleBuenosAiresFinalEncounter() {
-        const buenosAiresData = this.getCityData(this.gameState.currentCity);
+    // Final encounter script of a suspect with the suspect placeholders filled in
+    getFinalEncounterTexts(suspect) {
+        const encounter = suspect.final_encounter;
+        return {
+            suspectName: suspect.name,
+            portrait: suspect.portrait,
+            suspect_speech: this.gameState.formatSuspectText(encounter.suspect_speech),
+            steve_response: this.gameState.formatSuspectText(encounter.steve_response),
+            victory_message: this.gameState.formatSuspectText(encounter.victory_message)
+        };
+    }
 
-        if (!buenosAiresData || !buenosAiresData.final_encounter) {
-            console.error('Buenos Aires final encounter data not found');
+    // Handle the final encounter sequence with the case's suspect
+    handleFinalEncounter() {
+        const suspect = this.gameState.getSuspect();
+
+        if (!suspect || !suspect.final_encounter) {
+            console.error(`Final encounter data not found for suspect '${this.gameState.suspectId}'`);
             return;
         }
 
+        // The arrest only stands with a warrant matching the suspect (cases from before dossiers need none)
+        if (this.gameState.dossier) {
+            if (!this.gameState.warrant) {
+                this.showInformantDialogue(this.gameState.currentCity, 'warrant_required');
+                return;
+            }
+
+            if (!this.gameState.warrant.matches) {
+                this.triggerGameOver(this.failureHandler.createWarrantFailure());
+                return;
+            }
+        }
+
         // Initialize final encounter state
         this.gameState.finalEncounterStep = 0;
-        this.gameState.finalEncounterData = buenosAiresData.final_encounter;
+        this.gameState.finalEncounterData = this.getFinalEncounterTexts(suspect);
 
-        // First, show the buenosAires_youFoundMe.png image
-        this.uiManager.showFinalEncounterImage('buenosAires_youFoundMe.png');
+        // First, show the suspect's portrait
+        this.uiManager.showFinalEncounterImage(suspect.portrait);
 
         // Start the final encounter sequence
         this.showNextFinalEncounterStep();
@@ -1170,11 +2264,11 @@ export class GameController {
 
         switch (step) {
             case 0:
-                // Show Nadine's speech with proper timing
+                // Show the suspect's speech with proper timing
                 this.uiManager.displayFinalEncounterDialogue(
-                    encounter.nadine_speech,
-                    'Nadine Vuan',
-                    'final_encounter_nadine',
+                    encounter.suspect_speech,
+                    encounter.suspectName,
+                    'final_encounter_suspect',
                     'Continue',
                     () => {
                         this.gameState.finalEncounterStep++;
@@ -1220,23 +2314,24 @@ export class GameController {
     // Trigger final encounter
     triggerFinalEncounter() {
         this.gameState.phase = 'conclusion';
-        this.gameState.isGameComplete = true;
-        this.gameState.hasWon = true;
+        this.gameState.recordAction('case_won', {});
 
-        const finalCityData = this.getCityData(this.gameState.currentCity);
-        if (finalCityData && finalCityData.final_encounter) {
-            this.uiManager.updateFinalEncounterScreen(finalCityData.final_encounter);
+        const suspect = this.gameState.getSuspect();
+        if (suspect && suspect.final_encounter) {
+            this.uiManager.updateFinalEncounterScreen(this.getFinalEncounterTexts(suspect));
         }
+        this.uiManager.updateCaseResultSummary(this.recordCaseScore());
 
         this.uiManager.showScreen('final-encounter-screen');
         this.gameState.saveGameState();
+        this.recordDailyCaseResult();
+        this.recordCampaignResult();
     }
 
     // Trigger game over sequence with enhanced detection
     triggerGameOver(failureResult) {
         this.gameState.phase = 'game_over';
-        this.gameState.isGameComplete = true;
-        this.gameState.hasWon = false;
+        this.gameState.recordAction('case_lost', { failureType: failureResult.failureType || null });
         
         // Save the failure details for display
         this.gameState.failureDetails = failureResult;
@@ -1255,13 +2350,25 @@ export class GameController {
         this.gameState.saveGameState();
         
         // Show game over screen with comprehensive messaging
-        this.uiManager.showGameOverScreen(failureResult);
+        this.uiManager.showGameOverScreen(failureResult, this.recordCaseScore());
+        this.recordDailyCaseResult();
+        this.recordCampaignResult();
         
         // Log failure for analytics
         console.log('Game Over:', failureResult);
         console.log('Final Investigation Summary:', failureResult.details.investigationSummary);
     }
 
+    // Record the finished case's score under its difficulty preset
+    recordCaseScore() {
+        return this.highScoreManager.recordResult(this.gameState.difficulty, this.gameState.caseId, {
+            solved: this.gameState.hasWon,
+            score: this.gameState.gameStats.score,
+            citiesCompleted: this.gameState.gameStats.citiesCompleted,
+            routeLength: this.gameState.cityRoute.length
+        });
+    }
+
     // Generate investigation summary for game over display
     generateInvestigationSummary() {
         const summary = {
@@ -1299,6 +2406,86 @@ export class GameController {
         this.uiManager.updateCluesScreen(this.gameState.collectedClues, evidenceData);
     }
 
+    // Show the suspect dossier with the traits learned so far and the current warrant
+    showDossierScreen() {
+        if (!this.gameState.dossier) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.dossier.unavailable', {}, 'This case has no suspect dossier.') :
+                    'This case has no suspect dossier.',
+                'info',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        this.uiManager.renderDossier(this.getDossierView());
+        this.uiManager.showScreen('dossier-screen');
+    }
+
+    // Dossier traits with their options, what the player has learned and what the warrant says
+    getDossierView() {
+        const dossierData = this.gameState.gameData && this.gameState.gameData.dossier ? this.gameState.gameData.dossier : { traits: [] };
+        const warrantTraits = this.gameState.warrant ? this.gameState.warrant.traits : {};
+
+        return {
+            traits: dossierData.traits
+                .filter(trait => trait.id in this.gameState.dossier.traits)
+                .map(trait => ({
+                    id: trait.id,
+                    label: trait.label,
+                    options: trait.options,
+                    revealed: this.gameState.revealedTraits[trait.id] || null,
+                    selected: warrantTraits[trait.id] || null
+                })),
+            hasWarrant: Boolean(this.gameState.warrant)
+        };
+    }
+
+    // Issue (or replace) the warrant served at the final encounter
+    issueWarrant(traits) {
+        if (!this.gameState.dossier || !traits || typeof traits !== 'object') {
+            console.warn('Cannot issue a warrant without a dossier and traits');
+            return;
+        }
+
+        // Every trait of the suspect needs a value
+        const warrantTraits = {};
+        const missing = Object.keys(this.gameState.dossier.traits).filter(traitId => {
+            if (typeof traits[traitId] !== 'string' || traits[traitId] === '') {
+                return true;
+            }
+            warrantTraits[traitId] = traits[traitId];
+            return false;
+        });
+
+        if (missing.length > 0) {
+            this.uiManager.showFeedbackMessage(
+                this.translationService ?
+                    this.translationService.translate('ui.dossier.incomplete_warrant', {}, 'Fill in every trait before issuing the warrant.') :
+                    'Fill in every trait before issuing the warrant.',
+                'warning',
+                { duration: 3000 }
+            );
+            return;
+        }
+
+        this.gameState.recordAction('warrant_issued', {
+            traits: warrantTraits,
+            matches: this.gameState.warrantMatches(warrantTraits)
+        });
+        this.gameState.saveGameState();
+
+        this.uiManager.showFeedbackMessage(
+            this.translationService ?
+                this.translationService.translate('ui.dossier.warrant_issued', {}, 'Warrant issued. Serve it when you catch up with the suspect.') :
+                'Warrant issued. Serve it when you catch up with the suspect.',
+            'success',
+            { duration: 3000 }
+        );
+        this.backToInvestigation();
+    }
+
     // Back to investigation
     backToInvestigation() {
         this.gameState.phase = 'investigation';
@@ -1319,6 +2506,9 @@ export class GameController {
             // Reset randomization system for fresh session
             this.randomizationSystem.initialize();
 
+            // A new investigation is a new case, not a replay of the shared one
+            this.clearSharedCase();
+
             // Reset informant dialogue state for fresh session
             this.informantSystem.resetDialogueState();
 
@@ -1327,6 +2517,7 @@ export class GameController {
 
             // Show intro screen
             this.uiManager.showScreen('intro-screen');
+            this.refreshSaveSlotAvailability();
 
             // Show language selector again
             this.showLanguageSelector();
@@ -1386,6 +2577,7 @@ export class GameController {
         
         // Return to intro screen
         this.uiManager.showScreen('intro-screen');
+        this.refreshSaveSlotAvailability();
         
         // Clear UI state for fresh start
         this.uiManager.clearUIState();
@@ -1397,6 +2589,8 @@ export class GameController {
     updateProgressDisplay() {
         const enhancedStats = this.failureHandler.calculateEnhancedStats();
         this.uiManager.updateProgressDisplay(enhancedStats);
+        this.uiManager.updateHintOffer(this.gameState.phase === 'investigation' ? this.getHintOffer() : null);
+        this.uiManager.updateLocationOptions(this.gameState.phase === 'investigation' ? this.getLocationView() : null);
     }
 
     // Helper methods
@@ -1428,7 +2622,7 @@ export class GameController {
             return null;
         }
         
-        return this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities);
+        return this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities, this.gameState.getFinalCityId());
     }
 
     // Legacy method for compatibility - now uses fair randomization
@@ -1457,7 +2651,7 @@ export class GameController {
                 return false;
             }
             
-            if (isFinal !== null && city.is_final !== isFinal) {
+            if (isFinal !== null && this.gameState.isFinalCity(city.id) !== isFinal) {
                 return false;
             }
             
@@ -1534,7 +2728,7 @@ export class GameController {
             if (!this.gameState.gameData || !this.gameState.gameData.cities) {
                 throw new Error('Game data not loaded');
             }
-            return this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities);
+            return this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities, this.gameState.getFinalCityId());
         };
 
         const startingCityResults = this.randomizationSystem.testRandomizationFairness(startingCityTest, iterations);
@@ -1546,7 +2740,7 @@ export class GameController {
             }
 
             // Use first non-final city for testing
-            const testCity = this.gameState.gameData.cities.find(city => !city.is_final);
+            const testCity = this.gameState.gameData.cities.find(city => !this.gameState.isFinalCity(city.id));
             if (!testCity || !testCity.clues) {
                 throw new Error('No valid test city found');
             }
@@ -1603,7 +2797,7 @@ export class GameController {
         }
 
         // Check for adequate number of starting cities
-        const startingCities = cities.filter(city => !city.is_final);
+        const startingCities = cities.filter(city => !this.gameState.isFinalCity(city.id));
         if (startingCities.length < 3) {
             warnings.push(`Only ${startingCities.length} starting cities available - may affect randomization quality`);
         }
@@ -1718,7 +2912,7 @@ export class GameController {
             errors: []
         };
 
-        const nonFinalCities = this.gameState.gameData.cities.filter(city => !city.is_final);
+        const nonFinalCities = this.gameState.gameData.cities.filter(city => !this.gameState.isFinalCity(city.id));
 
         // Initialize selection counters
         nonFinalCities.forEach(city => {
@@ -1728,7 +2922,7 @@ export class GameController {
         // Run fairness test
         for (let i = 0; i < iterations; i++) {
             try {
-                const selectedCity = this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities);
+                const selectedCity = this.randomizationSystem.selectRandomStartingCity(this.gameState.gameData.cities, this.gameState.getFinalCityId());
                 if (selectedCity && selectedCity.id) {
                     results.selections[selectedCity.id]++;
                 } else {
@@ -1768,7 +2962,7 @@ export class GameController {
             errors: []
         };
 
-        const nonFinalCities = this.gameState.gameData.cities.filter(city => !city.is_final);
+        const nonFinalCities = this.gameState.gameData.cities.filter(city => !this.gameState.isFinalCity(city.id));
 
         // Initialize appearance counters
         nonFinalCities.forEach(city => {
@@ -1780,9 +2974,9 @@ export class GameController {
             try {
                 const route = this.gameState.generateCityRoute(this.gameState.gameData, this.randomizationSystem);
 
-                if (route && route.length === 5) {
-                    // Count city appearances (first 4 cities, excluding Buenos Aires)
-                    route.slice(0, 4).forEach(cityId => {
+                if (route && route.length === this.gameState.routeLength) {
+                    // Count city appearances (every stop, excluding the final city)
+                    route.slice(0, -1).forEach(cityId => {
                         if (results.cityAppearances[cityId] !== undefined) {
                             results.cityAppearances[cityId]++;
                         }
@@ -1899,8 +3093,8 @@ export class GameController {
     // Informant System delegation methods
 
     // Create showInformantDialogue() function
-    showInformantDialogue(cityId, dialogueType = 'greeting') {
-        const dialogueData = this.informantSystem.showInformantDialogue(cityId, dialogueType);
+    showInformantDialogue(cityId, dialogueType = 'greeting', context = {}) {
+        const dialogueData = this.informantSystem.showInformantDialogue(cityId, dialogueType, context);
 
         // Integrate with UI system
         if (this.uiManager && this.uiManager.displayInformantDialogue) {
@@ -1911,6 +3105,11 @@ export class GameController {
             );
         }
 
+        // A greeting opens the conversation: the informant's dialogue tree offers its first choices
+        if (dialogueType === 'greeting' && cityId === this.gameState.currentCity) {
+            this.offerDialogueOptions();
+        }
+
         return dialogueData.text;
     }
 
@@ -0,0 +1,87 @@
+/**
+ * GameSettings.js - Player Game Settings
+ * Stores case setup preferences (such as difficulty, route length and clue focus) between sessions
+ */
+
+import { ROUTE_LENGTH_LIMITS, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './GameState.js';
+import { CLUE_CATEGORIES } from './ClueSystem.js';
+import { PERSISTENT_STORAGE_KEYS } from './SessionManager.js';
+
+export class GameSettings {
+    constructor() {
+        this.storageKey = PERSISTENT_STORAGE_KEYS.gameSettings;
+        this.settings = this.getDefaultSettings();
+    }
+
+    // Default values for every supported setting
+    getDefaultSettings() {
+        return {
+            difficulty: DEFAULT_DIFFICULTY,
+            routeLength: ROUTE_LENGTH_LIMITS.default,
+            clueFocus: 'any' // A clue category informants talk about unless asked about another one
+        };
+    }
+
+    // Load stored settings, ignoring unknown or invalid values
+    load() {
+        this.settings = this.getDefaultSettings();
+
+        try {
+            const storedSettings = localStorage.getItem(this.storageKey);
+            if (!storedSettings) {
+                return this.settings;
+            }
+
+            const parsedSettings = JSON.parse(storedSettings);
+            Object.keys(this.settings).forEach(key => {
+                if (parsedSettings && this.isValidSetting(key, parsedSettings[key])) {
+                    this.settings[key] = parsedSettings[key];
+                }
+            });
+        } catch (error) {
+            console.warn('GameSettings: Could not load stored settings, using defaults:', error);
+        }
+
+        return this.settings;
+    }
+
+    // Persist current settings
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('GameSettings: Could not save settings:', error);
+        }
+    }
+
+    // Get a single setting value
+    get(key) {
+        return this.settings[key];
+    }
+
+    // Update a single setting and persist it when valid
+    set(key, value) {
+        if (!this.isValidSetting(key, value)) {
+            console.warn(`GameSettings: Rejected invalid value for ${key}:`, value);
+            return false;
+        }
+
+        this.settings[key] = value;
+        this.save();
+        return true;
+    }
+
+    // Check a value against the rules for its setting
+    isValidSetting(key, value) {
+        switch (key) {
+            case 'difficulty':
+                return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, value);
+            case 'routeLength':
+                return Number.isInteger(value) && value >= ROUTE_LENGTH_LIMITS.min;
+            case 'clueFocus':
+                return value === 'any' || CLUE_CATEGORIES.includes(value);
+            default:
+                return false;
+        }
+    }
+}
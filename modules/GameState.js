@@ -3,27 +3,140 @@
  * Handles all game state data and persistence
  */
 
+import { SaveStateMigrator, SAVE_SCHEMA_VERSION } from './SaveStateMigrator.js';
+import { ActionLog } from './ActionLog.js';
+import { GameClock, CLOCK_SETTINGS } from './GameClock.js';
+
+// Total cities in a route, final destination included
+export const ROUTE_LENGTH_LIMITS = {
+    min: 3,
+    default: 5
+};
+
+// Case rules per difficulty preset (clock values override CLOCK_SETTINGS when setting the case deadline)
+export const DIFFICULTY_PRESETS = {
+    rookie: {
+        attempts: 5,
+        clueTiers: ['difficult', 'medium', 'easy'],
+        clock: { baseBudgetHours: 80, hoursPerLeg: 30 },
+        routeLength: 4,
+        continentHints: true, // The travel map points out the continent of the next city
+        regionHints: 'region', // Informants name the region the suspect went to after a wrong guess
+        distanceFeedback: 'precise' // ...and how far the guessed city is from it
+    },
+    detective: {
+        attempts: 3,
+        clueTiers: ['difficult', 'medium', 'easy'],
+        clock: {}, // Standard CLOCK_SETTINGS budget
+        routeLength: ROUTE_LENGTH_LIMITS.default,
+        continentHints: false,
+        regionHints: 'continent', // ...or only its continent
+        distanceFeedback: 'vague' // ...and only whether it is on the guessed city's continent
+    },
+    master: {
+        attempts: 2,
+        clueTiers: ['difficult', 'medium'], // Informants never give away an easy clue
+        clock: { baseBudgetHours: 32, hoursPerLeg: 20 },
+        routeLength: 6,
+        continentHints: false,
+        regionHints: 'off',
+        distanceFeedback: 'off'
+    }
+};
+
+// Preset for new players and for cases saved before presets existed
+export const DEFAULT_DIFFICULTY = 'detective';
+
+// Suspect of cases saved before the game had more than one
+export const DEFAULT_SUSPECT_ID = 'nadine';
+
 export class GameState {
     constructor() {
         this.phase = 'intro';
         this.currentCity = null;
-        this.cityRoute = []; // Predetermined 5-city journey ending with Buenos Aires
-        this.currentCityIndex = 0; // Position in the route (0-4)
+        this.currentLocationId = null; // Location the player is at in the current city (null: where they arrived)
+        this.cityRoute = []; // Predetermined journey ending in the suspect's final city
+        this.suspectId = DEFAULT_SUSPECT_ID; // Suspect chased in the current case (see gameData.suspects)
+        this.routeLength = ROUTE_LENGTH_LIMITS.default; // Number of cities in the route
+        this.currentCityIndex = 0; // Position in the route (0 to routeLength - 1)
         this.visitedCities = [];
         this.collectedClues = [];
+        this.hintsBought = []; // Easier clues bought from informants: { cityId, locationId, difficulty, payment, points, hours }
+        this.dossier = null; // Suspect traits of the case and the cities whose informants reveal them (null: no warrant needed)
+        this.revealedTraits = {}; // Trait id -> option id the player has learned so far
+        this.warrant = null; // Last warrant issued: { traits, matches }
+        this.difficulty = DEFAULT_DIFFICULTY; // Difficulty preset of the current case
         this.currentClueLevel = 'difficult'; // Current clue difficulty level
         this.gameStats = {
             startTime: null,
             score: 0, // Points accumulated based on clue difficulty
-            attemptsRemaining: 3, // Three attempts as per requirements
-            citiesCompleted: 0 // Number of cities successfully completed
+            attemptsRemaining: DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].attempts, // Set by the difficulty preset
+            citiesCompleted: 0, // Number of cities successfully completed
+            clockHours: CLOCK_SETTINGS.startHour, // In-game time (hours since Monday 00:00)
+            deadlineHour: null // In-game time at which the case is lost
         };
         this.isGameComplete = false;
         this.hasWon = false;
         this.gameData = null;
         this.sessionId = this.generateSessionId();
+        this.caseId = null; // Shareable seed that determines route and clue selections
         this.failureDetails = null;
         this.milestonesReached = null;
+        this.saveSlotId = null; // Save slot this case is autosaved into
+        this.actionLog = new ActionLog(); // Every player action in the current case, in order
+        this.gameClock = new GameClock({}, cityId => this.findCity(cityId)); // In-game calendar (time costs and deadlines)
+        this.randomizationSystem = null; // Set by GameController so saves include the generator state
+        this.saveSlotManager = null; // Set by GameController so every save also updates the case's slot
+        this.saveStateMigrator = new SaveStateMigrator({
+            routeLength: ROUTE_LENGTH_LIMITS.default,
+            maxAttempts: DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].attempts,
+            difficulty: DEFAULT_DIFFICULTY,
+            suspectId: DEFAULT_SUSPECT_ID
+        });
+        this.lastLoadProblem = null; // Why the last saved state could not be loaded (shown to the player)
+    }
+
+    // City data from the loaded game data (null when unknown)
+    findCity(cityId) {
+        if (!this.gameData || !Array.isArray(this.gameData.cities)) {
+            return null;
+        }
+
+        return this.gameData.cities.find(city => city.id === cityId) || null;
+    }
+
+    // Places to question informants in a city; cities with a single informant have one implicit location
+    getCityLocations(cityData) {
+        if (!cityData) {
+            return [];
+        }
+
+        if (Array.isArray(cityData.locations) && cityData.locations.length > 0) {
+            return cityData.locations;
+        }
+
+        return cityData.informant ? [{ id: null, name: null, hours: 0, informant: cityData.informant }] : [];
+    }
+
+    // A location of a city by id (null or unknown ids give the location players arrive at)
+    getCityLocation(cityData, locationId = null) {
+        const locations = this.getCityLocations(cityData);
+        return locations.find(location => location.id === locationId) || locations[0] || null;
+    }
+
+    // Location the player is at in the current city
+    getCurrentLocation() {
+        return this.getCityLocation(this.findCity(this.currentCity), this.currentLocationId);
+    }
+
+    // Rules of a difficulty preset (unknown presets fall back to the default one)
+    getDifficultyPreset(difficulty = this.difficulty) {
+        return DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+    }
+
+    // Clue tier informants start every city with
+    getStartingClueLevel(difficulty = this.difficulty) {
+        return this.getDifficultyPreset(difficulty).clueTiers[0];
     }
 
     // Generate unique session ID for session isolation
@@ -32,36 +145,48 @@ export class GameState {
     }
 
     // Initialize new game session with fresh randomization
-    initializeGame(gameData = null, randomizationSystem = null) {
+    initializeGame(gameData = null, randomizationSystem = null, options = {}) {
         this.phase = 'intro';
         this.currentCity = null;
+        this.currentLocationId = null;
         this.currentCityIndex = 0;
         this.visitedCities = [];
         this.collectedClues = [];
-        this.currentClueLevel = 'difficult';
+        this.hintsBought = [];
+        this.dossier = null;
+        this.revealedTraits = {};
+        this.warrant = null;
+        this.suspectId = DEFAULT_SUSPECT_ID;
+        this.difficulty = DIFFICULTY_PRESETS[options.difficulty] ? options.difficulty : DEFAULT_DIFFICULTY;
+        this.currentClueLevel = this.getStartingClueLevel();
         this.gameStats = {
             startTime: new Date(),
             score: 0,
-            attemptsRemaining: 3,
-            citiesCompleted: 0
+            attemptsRemaining: this.getDifficultyPreset().attempts,
+            citiesCompleted: 0,
+            clockHours: CLOCK_SETTINGS.startHour,
+            deadlineHour: null
         };
         this.isGameComplete = false;
         this.hasWon = false;
         this.failureDetails = null;
         this.milestonesReached = null;
+        this.actionLog.clear();
         
         // Generate new session ID for complete isolation
         this.sessionId = this.generateSessionId();
         
-        // Reset random seed for fresh randomization (if needed)
-        this.resetRandomSeed();
+        // Reset random seed for fresh randomization (shared cases reuse their case ID)
+        this.resetRandomSeed(options.caseId || null);
 
-        // Generate predetermined 5-city route ending with Buenos Aires using fair randomization
+        // Pick the suspect, then a predetermined route ending in their final city using fair randomization
         if (gameData) {
             this.gameData = gameData;
+            this.suspectId = this.pickSuspect(gameData, randomizationSystem, options.suspectId);
+            this.routeLength = this.clampRouteLength(options.routeLength || this.routeLength, gameData);
 
             // Generate fair route using RandomizationSystem
-            this.cityRoute = this.generateCityRoute(gameData, randomizationSystem);
+            this.cityRoute = this.generateCityRoute(gameData, randomizationSystem, this.routeLength);
 
             // Select fair starting city using RandomizationSystem
             if (this.cityRoute.length > 0) {
@@ -70,7 +195,7 @@ export class GameState {
 
                 // Validate starting city selection
                 const startingCityData = gameData.cities.find(city => city.id === this.currentCity);
-                if (!startingCityData || startingCityData.is_final) {
+                if (!startingCityData || startingCityData.id === this.getFinalCityId(gameData)) {
                     console.error('Invalid starting city in generated route:', this.currentCity);
                     // Fallback: select a fair starting city separately
                     const fairStartingCity = this.getRandomStartingCity(gameData, randomizationSystem);
@@ -87,35 +212,122 @@ export class GameState {
         this.randomizationNeedsReset = true;
 
         console.log('Game initialized with fair randomization');
+        console.log('Suspect:', this.suspectId);
         console.log('Route:', this.cityRoute);
         console.log('Starting city:', this.currentCity);
     }
 
     // Reset random seed for fresh randomization in new sessions
-    resetRandomSeed() {
-        // JavaScript doesn't have a built-in way to seed Math.random()
-        // But we can create a simple seeded random number generator for consistency
-        this.randomSeed = Date.now() + Math.random();
+    resetRandomSeed(caseId = null) {
+        // JavaScript doesn't have a built-in way to seed Math.random(), so the
+        // RandomizationSystem is seeded from the case ID instead
+        this.caseId = caseId;
+        this.randomSeed = caseId !== null ? caseId : Date.now() + Math.random();
     }
 
-    // Generate predetermined 5-city route ending with Buenos Aires using fair randomization
-    generateCityRoute(gameData, randomizationSystem = null) {
+    // Get the longest route the loaded cities allow (every city once, the final one last)
+    getMaxRouteLength(gameData = this.gameData) {
+        if (!gameData || !gameData.cities) {
+            return ROUTE_LENGTH_LIMITS.default;
+        }
+        return gameData.cities.length;
+    }
+
+    // Pick the suspect of a new case (seeded by the case ID, so shared cases chase the same suspect)
+    pickSuspect(gameData, randomizationSystem = null, requestedSuspectId = null) {
+        const suspects = gameData && Array.isArray(gameData.suspects) ? gameData.suspects : [];
+        if (suspects.length === 0) {
+            return DEFAULT_SUSPECT_ID;
+        }
+
+        if (requestedSuspectId && suspects.some(suspect => suspect.id === requestedSuspectId)) {
+            return requestedSuspectId;
+        }
+
+        const random = randomizationSystem ? randomizationSystem.createScopedRandom('suspect') : Math.random;
+        return suspects[Math.floor(random() * suspects.length)].id;
+    }
+
+    // Suspect data from the loaded game data (null when unknown)
+    getSuspect(suspectId = this.suspectId, gameData = this.gameData) {
+        if (!gameData || !Array.isArray(gameData.suspects)) {
+            return null;
+        }
+
+        return gameData.suspects.find(suspect => suspect.id === suspectId) || null;
+    }
+
+    // City where the case's suspect hides (the last city of the route)
+    getFinalCityId(gameData = this.gameData) {
+        const suspect = this.getSuspect(this.suspectId, gameData);
+        return suspect ? suspect.final_city : null;
+    }
+
+    // Check whether a city is where the case's suspect hides
+    isFinalCity(cityId) {
+        return cityId !== null && cityId === this.getFinalCityId();
+    }
+
+    // Parameters that name the suspect in texts: {suspect}, {suspect_full_name}, {suspect_role}, {final_city} and
+    // pronouns ({subject}, {object}, {possessive}; capitalized as {Subject}, {Object}, {Possessive})
+    getSuspectTextParams() {
+        const suspect = this.getSuspect();
+        if (!suspect) {
+            return {};
+        }
+
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const pronouns = suspect.pronouns || {};
+        const finalCity = this.findCity(suspect.final_city);
+        const params = {
+            suspect: suspect.short_name,
+            suspect_full_name: suspect.name,
+            suspect_role: suspect.role,
+            final_city: finalCity ? finalCity.name : suspect.final_city
+        };
+        ['subject', 'object', 'possessive'].forEach(form => {
+            params[form] = pronouns[form] || '';
+            params[capitalize(form)] = capitalize(pronouns[form] || '');
+        });
+        return params;
+    }
+
+    // Fill the suspect placeholders of a game data text (unknown placeholders are left as they are)
+    formatSuspectText(text) {
+        if (typeof text !== 'string') {
+            return text;
+        }
+
+        const params = this.getSuspectTextParams();
+        return text.replace(/\{(\w+)\}/g, (placeholder, key) => (key in params ? params[key] : placeholder));
+    }
+
+    // Keep a requested route length within the supported bounds for the loaded data
+    clampRouteLength(routeLength, gameData = this.gameData) {
+        const requestedLength = Number.isInteger(routeLength) ? routeLength : ROUTE_LENGTH_LIMITS.default;
+        const maxLength = Math.max(ROUTE_LENGTH_LIMITS.min, this.getMaxRouteLength(gameData));
+        return Math.min(Math.max(requestedLength, ROUTE_LENGTH_LIMITS.min), maxLength);
+    }
+
+    // Generate predetermined route ending in the suspect's final city using fair randomization
+    generateCityRoute(gameData, randomizationSystem = null, routeLength = this.routeLength, finalCityId = this.getFinalCityId(gameData)) {
         if (!gameData || !gameData.cities) {
             console.warn('No game data available for route generation');
             return [];
         }
 
-        // Find Buenos Aires (final destination)
-        const buenosAires = gameData.cities.find(city => city.is_final === true);
-        if (!buenosAires) {
-            console.error('Buenos Aires not found in game data');
+        // Find the suspect's final city (final destination)
+        const finalCity = gameData.cities.find(city => city.id === finalCityId);
+        if (!finalCity) {
+            console.error(`Final city '${finalCityId}' not found in game data`);
             return [];
         }
 
-        // Get all non-final cities for route generation
-        const availableCities = gameData.cities.filter(city => city.is_final !== true);
-        if (availableCities.length < 4) {
-            console.error('Not enough cities available for 5-city route');
+        // Get all other cities for route generation
+        const stopCount = routeLength - 1;
+        const availableCities = gameData.cities.filter(city => city.id !== finalCity.id);
+        if (availableCities.length < stopCount) {
+            console.error(`Not enough cities available for ${routeLength}-city route`);
             return [];
         }
 
@@ -125,7 +337,7 @@ export class GameState {
             // Use fair randomization system for balanced selection
             selectedCities = randomizationSystem.balancedRandomSelection(
                 availableCities,
-                4,
+                stopCount,
                 {
                     ensureUniqueness: true,
                     avoidRecentSelections: true
@@ -135,41 +347,42 @@ export class GameState {
             // Fallback to basic randomization if system not available
             console.warn('RandomizationSystem not available, using basic randomization');
             const cityPool = [...availableCities];
-            for (let i = 0; i < 4; i++) {
+            for (let i = 0; i < stopCount; i++) {
                 const randomIndex = Math.floor(Math.random() * cityPool.length);
                 selectedCities.push(cityPool.splice(randomIndex, 1)[0]);
             }
         }
 
         // Validate selection
-        if (selectedCities.length !== 4) {
-            console.error(`Route generation failed: expected 4 cities, got ${selectedCities.length}`);
+        if (selectedCities.length !== stopCount) {
+            console.error(`Route generation failed: expected ${stopCount} cities, got ${selectedCities.length}`);
             return [];
         }
 
-        // Create the 5-city route: 4 random cities + Buenos Aires as final
+        // Create the route: random stops + the final city
         const route = selectedCities.map(city => city.id);
-        route.push(buenosAires.id);
+        route.push(finalCity.id);
 
         // Validate final route
-        const validationResult = this.validateGeneratedRoute(route, gameData);
+        const validationResult = this.validateGeneratedRoute(route, gameData, routeLength, finalCity.id);
         if (!validationResult.isValid) {
             console.error('Generated route validation failed:', validationResult.errors);
             return [];
         }
 
-        console.log('Generated fair 5-city route:', route);
+        console.log(`Generated fair ${routeLength}-city route:`, route);
         return route;
     }
 
-    // Get fair random starting city from the 10 non-Buenos Aires cities
+    // Get fair random starting city from every city but the suspect's final one
     getRandomStartingCity(gameData, randomizationSystem = null) {
         if (!gameData || !gameData.cities) {
             console.warn('No game data available for starting city selection');
             return null;
         }
 
-        const nonFinalCities = gameData.cities.filter(city => city.is_final !== true);
+        const finalCityId = this.getFinalCityId(gameData);
+        const nonFinalCities = gameData.cities.filter(city => city.id !== finalCityId);
         if (nonFinalCities.length === 0) {
             console.error('No starting cities available');
             return null;
@@ -179,7 +392,7 @@ export class GameState {
 
         if (randomizationSystem) {
             // Use fair randomization system for balanced starting city selection
-            selectedCity = randomizationSystem.selectRandomStartingCity(gameData.cities);
+            selectedCity = randomizationSystem.selectRandomStartingCity(gameData.cities, finalCityId);
         } else {
             // Fallback to basic randomization if system not available
             console.warn('RandomizationSystem not available, using basic randomization');
@@ -188,7 +401,7 @@ export class GameState {
         }
 
         // Validate selection
-        if (!selectedCity || selectedCity.is_final) {
+        if (!selectedCity || selectedCity.id === finalCityId) {
             console.error('Invalid starting city selected:', selectedCity);
             return null;
         }
@@ -202,16 +415,25 @@ export class GameState {
         // Clear all game state properties completely
         this.phase = 'intro';
         this.currentCity = null;
+        this.currentLocationId = null;
         this.cityRoute = [];
         this.currentCityIndex = 0;
         this.visitedCities = [];
         this.collectedClues = [];
-        this.currentClueLevel = 'difficult';
+        this.hintsBought = [];
+        this.dossier = null;
+        this.revealedTraits = {};
+        this.warrant = null;
+        this.suspectId = DEFAULT_SUSPECT_ID;
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.currentClueLevel = this.getStartingClueLevel();
         this.gameStats = {
             startTime: null,
             score: 0,
-            attemptsRemaining: 3,
-            citiesCompleted: 0
+            attemptsRemaining: this.getDifficultyPreset().attempts,
+            citiesCompleted: 0,
+            clockHours: CLOCK_SETTINGS.startHour,
+            deadlineHour: null
         };
         this.isGameComplete = false;
         this.hasWon = false;
@@ -220,6 +442,9 @@ export class GameState {
         
         // Generate new session ID for isolation
         this.sessionId = this.generateSessionId();
+        this.caseId = null;
+        this.saveSlotId = null;
+        this.actionLog.clear();
         
         // Clear any cached data that might contaminate new session
         this.clearSessionCache();
@@ -244,142 +469,394 @@ export class GameState {
         }
     }
 
+    // Build the serializable snapshot used for saves, save slots and case files
+    createSaveSnapshot() {
+        return {
+            schemaVersion: SAVE_SCHEMA_VERSION,
+            sessionId: this.sessionId,
+            caseId: this.caseId,
+            saveSlotId: this.saveSlotId,
+            phase: this.phase,
+            currentCity: this.currentCity,
+            currentLocationId: this.currentLocationId,
+            cityRoute: [...this.cityRoute],
+            routeLength: this.routeLength,
+            difficulty: this.difficulty,
+            suspectId: this.suspectId,
+            currentCityIndex: this.currentCityIndex,
+            visitedCities: [...this.visitedCities],
+            collectedClues: [...this.collectedClues],
+            hintsBought: this.hintsBought.map(hint => ({ ...hint })),
+            dossier: this.dossier,
+            revealedTraits: { ...this.revealedTraits },
+            warrant: this.warrant,
+            currentClueLevel: this.currentClueLevel,
+            gameStats: { ...this.gameStats },
+            isGameComplete: this.isGameComplete,
+            hasWon: this.hasWon,
+            failureDetails: this.failureDetails,
+            milestonesReached: this.milestonesReached,
+            actionLog: this.actionLog.toJSON(),
+            randomState: this.randomizationSystem ? this.randomizationSystem.getGeneratorState() : null,
+            savedAt: new Date().toISOString()
+        };
+    }
+
     // Save game state to localStorage with session validation
     saveGameState() {
         try {
-            const stateToSave = {
-                sessionId: this.sessionId,
-                phase: this.phase,
-                currentCity: this.currentCity,
-                cityRoute: [...this.cityRoute],
-                currentCityIndex: this.currentCityIndex,
-                visitedCities: [...this.visitedCities],
-                collectedClues: [...this.collectedClues],
-                currentClueLevel: this.currentClueLevel,
-                gameStats: { ...this.gameStats },
-                isGameComplete: this.isGameComplete,
-                hasWon: this.hasWon,
-                failureDetails: this.failureDetails,
-                milestonesReached: this.milestonesReached,
-                savedAt: new Date().toISOString()
-            };
+            const stateToSave = this.createSaveSnapshot();
             localStorage.setItem('nadine-vuan-game-state', JSON.stringify(stateToSave));
+            this.writeSaveSlot(stateToSave);
         } catch (error) {
             console.warn('Could not save game state:', error);
         }
     }
 
+    // Keep the active case's save slot in sync with the autosave
+    writeSaveSlot(stateToSave) {
+        if (!this.saveSlotManager || !this.saveSlotId) {
+            return;
+        }
+
+        // A closed case has nothing left to continue
+        if (this.isGameComplete) {
+            this.saveSlotManager.deleteSlot(this.saveSlotId);
+            return;
+        }
+
+        if (this.phase !== 'intro') {
+            this.saveSlotManager.writeSlot(this.saveSlotId, stateToSave);
+        }
+    }
+
+    // Detach a deleted save slot from the active case and drop the autosave of that case, so neither
+    // resumes it on the next visit nor writes the slot back
+    forgetSaveSlot(slotId) {
+        if (this.saveSlotId === slotId) {
+            this.saveSlotId = null;
+        }
+
+        try {
+            const savedState = JSON.parse(localStorage.getItem('nadine-vuan-game-state'));
+            if (savedState && savedState.saveSlotId === slotId) {
+                localStorage.removeItem('nadine-vuan-game-state');
+            }
+        } catch (error) {
+            console.warn('Could not check saved game state:', error);
+        }
+    }
+
+    // Load a case from a save slot and make it the active game
+    loadSaveSlot(slotId) {
+        const slot = this.saveSlotManager ? this.saveSlotManager.getSlot(slotId) : null;
+        if (!slot) {
+            console.warn(`Save slot not found: ${slotId}`);
+            return false;
+        }
+
+        if (!this.applySavedState(slot.state)) {
+            return false;
+        }
+
+        this.saveSlotId = slot.id;
+        this.saveGameState();
+        return true;
+    }
+
     // Load game state from localStorage with session validation
     loadGameState() {
+        this.lastLoadProblem = null;
+
+        const savedState = localStorage.getItem('nadine-vuan-game-state');
+        if (!savedState) {
+            return false;
+        }
+
+        let parsedState = null;
         try {
-            const savedState = localStorage.getItem('nadine-vuan-game-state');
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                
-                // Validate session data integrity
-                if (!this.validateSavedState(state)) {
-                    console.warn('Saved state validation failed, starting fresh session');
-                    return false;
-                }
-                
-                this.sessionId = state.sessionId || this.generateSessionId();
-                this.phase = state.phase || 'intro';
-                this.currentCity = state.currentCity;
-                this.cityRoute = state.cityRoute || [];
-                this.currentCityIndex = state.currentCityIndex || 0;
-                this.visitedCities = state.visitedCities || [];
-                this.collectedClues = state.collectedClues || [];
-                this.currentClueLevel = state.currentClueLevel || 'difficult';
-                this.gameStats = state.gameStats || {
-                    startTime: new Date(),
-                    score: 0,
-                    attemptsRemaining: 3,
-                    citiesCompleted: 0
-                };
-                this.isGameComplete = state.isGameComplete || false;
-                this.hasWon = state.hasWon || false;
-                this.failureDetails = state.failureDetails || null;
-                this.milestonesReached = state.milestonesReached || null;
-                
-                return true;
+            parsedState = JSON.parse(savedState);
+        } catch (error) {
+            console.warn('Could not parse saved game state:', error);
+            this.lastLoadProblem = 'unreadable';
+        }
+
+        if (parsedState && this.applySavedState(parsedState)) {
+            // Cases saved before save slots get their own slot so they show up under Continue Case
+            const needsSaveSlot = !this.saveSlotId && this.saveSlotManager && this.phase !== 'intro' && !this.isGameComplete;
+            if (needsSaveSlot) {
+                this.saveSlotId = this.saveSlotManager.generateSlotId();
+            }
+
+            // Store upgraded saves in the current schema right away
+            if (needsSaveSlot || parsedState.schemaVersion !== SAVE_SCHEMA_VERSION) {
+                this.saveGameState();
+            }
+            return true;
+        }
+
+        // Only corrupt data reaches this point; discard it so it is not reported again
+        console.warn(`Discarding unusable saved game state (${this.lastLoadProblem})`);
+        localStorage.removeItem('nadine-vuan-game-state');
+        return false;
+    }
+
+    // Apply a saved state object after upgrading and validating it
+    applySavedState(savedState) {
+        this.lastLoadProblem = null;
+
+        try {
+            // Upgrade older schema versions before validating
+            const migration = this.saveStateMigrator.migrate(savedState);
+            if (migration.error) {
+                console.warn(`Saved state migration failed: ${migration.error}`);
+                this.lastLoadProblem = migration.error;
+                return false;
             }
+            const state = migration.state;
+
+            // Validate session data integrity
+            const problem = this.getSavedStateProblem(state);
+            if (problem) {
+                console.warn(`Saved state validation failed (${problem}), starting fresh session`);
+                this.lastLoadProblem = problem;
+                return false;
+            }
+            
+            this.sessionId = state.sessionId || this.generateSessionId();
+            this.caseId = state.caseId || null;
+            this.saveSlotId = state.saveSlotId || null;
+            this.phase = state.phase || 'intro';
+            this.currentCity = state.currentCity;
+            this.currentLocationId = state.currentLocationId || null;
+            this.cityRoute = state.cityRoute || [];
+            this.routeLength = state.routeLength || this.cityRoute.length || ROUTE_LENGTH_LIMITS.default;
+            this.difficulty = state.difficulty || DEFAULT_DIFFICULTY;
+            this.suspectId = state.suspectId || DEFAULT_SUSPECT_ID;
+            this.currentCityIndex = state.currentCityIndex || 0;
+            this.visitedCities = state.visitedCities || [];
+            this.collectedClues = state.collectedClues || [];
+            this.hintsBought = state.hintsBought || [];
+            this.dossier = state.dossier || null;
+            this.revealedTraits = state.revealedTraits || {};
+            this.warrant = state.warrant || null;
+            this.currentClueLevel = state.currentClueLevel || this.getStartingClueLevel();
+            this.gameStats = state.gameStats || {
+                startTime: new Date(),
+                score: 0,
+                attemptsRemaining: this.getDifficultyPreset().attempts,
+                citiesCompleted: 0
+            };
+            this.isGameComplete = state.isGameComplete || false;
+            this.hasWon = state.hasWon || false;
+            this.failureDetails = state.failureDetails || null;
+            this.milestonesReached = state.milestonesReached || null;
+            this.actionLog.load(state.actionLog || []);
+
+            // A log that no longer replays to the saved progress points at a bug or an edited save
+            const verification = this.verifyActionLog();
+            if (verification.consistent === false) {
+                console.warn('Saved action log does not match the saved progress:', verification.mismatches);
+            }
+
+            // Resume the random sequence where the saved game left it
+            this.restoreRandomState(state);
+            
+            return true;
         } catch (error) {
-            console.warn('Could not load game state:', error);
+            console.warn('Could not apply saved game state:', error);
+            this.lastLoadProblem = 'unreadable';
         }
         return false;
     }
 
+    // Restore the saved generator state (older saves without one are reseeded from their case ID)
+    restoreRandomState(state) {
+        if (!this.randomizationSystem) {
+            return;
+        }
+
+        if (state.randomState && this.randomizationSystem.restoreGeneratorState(state.randomState)) {
+            return;
+        }
+
+        if (this.caseId) {
+            this.randomizationSystem.initialize(this.caseId);
+        }
+    }
+
     // Validate saved state for data integrity
     validateSavedState(state) {
+        return this.getSavedStateProblem(state) === null;
+    }
+
+    // Find why a saved state is unusable (null when it is valid)
+    getSavedStateProblem(state) {
         // Check required fields
         if (!state || typeof state !== 'object') {
-            return false;
+            return 'unreadable';
         }
         
         // Validate phase
         const validPhases = ['intro', 'investigation', 'travel', 'conclusion', 'game_over'];
         if (!validPhases.includes(state.phase)) {
-            return false;
+            return 'invalid_phase';
         }
         
         // Validate arrays
         if (!Array.isArray(state.visitedCities) || !Array.isArray(state.collectedClues)) {
-            return false;
+            return 'invalid_progress';
+        }
+
+        // Validate bought hints (older saves have none)
+        if (state.hintsBought !== undefined && (!Array.isArray(state.hintsBought) ||
+            state.hintsBought.some(hint => !hint || typeof hint.cityId !== 'string' || typeof hint.points !== 'number'))) {
+            return 'invalid_progress';
+        }
+
+        // Validate the suspect dossier and warrant (older saves have neither)
+        if (state.dossier !== undefined && state.dossier !== null && (typeof state.dossier !== 'object' ||
+            !state.dossier.traits || typeof state.dossier.traits !== 'object' ||
+            !state.dossier.reveals || typeof state.dossier.reveals !== 'object')) {
+            return 'invalid_progress';
+        }
+        if (state.revealedTraits !== undefined && (!state.revealedTraits || typeof state.revealedTraits !== 'object' ||
+            Array.isArray(state.revealedTraits))) {
+            return 'invalid_progress';
+        }
+        if (state.warrant !== undefined && state.warrant !== null && (typeof state.warrant !== 'object' ||
+            !state.warrant.traits || typeof state.warrant.matches !== 'boolean')) {
+            return 'invalid_progress';
         }
         
-        // Validate cityRoute array (should be empty or contain exactly 5 cities)
-        if (state.cityRoute && (!Array.isArray(state.cityRoute) || state.cityRoute.length > 5)) {
-            return false;
+        // Validate the case's suspect (older saves chase the default one)
+        if (state.suspectId !== undefined && (typeof state.suspectId !== 'string' || state.suspectId === '')) {
+            return 'invalid_case';
+        }
+
+        // Validate the location in the current city (older saves are where they arrived)
+        if (state.currentLocationId !== undefined && state.currentLocationId !== null &&
+            (typeof state.currentLocationId !== 'string' || state.currentLocationId === '')) {
+            return 'invalid_progress';
+        }
+
+        // Validate shareable case ID (older saves have none)
+        if (state.caseId !== undefined && state.caseId !== null && typeof state.caseId !== 'string') {
+            return 'invalid_case';
+        }
+
+        // Validate save slot ID (older saves have none)
+        if (state.saveSlotId !== undefined && state.saveSlotId !== null && typeof state.saveSlotId !== 'string') {
+            return 'invalid_case';
+        }
+
+        // Validate random generator snapshot (older saves have none)
+        if (state.randomState !== undefined && state.randomState !== null &&
+            (typeof state.randomState !== 'object' || !Number.isInteger(state.randomState.state))) {
+            return 'invalid_case';
+        }
+
+        // Validate action log (older saves have none)
+        if (state.actionLog !== undefined && !this.actionLog.isValidLog(state.actionLog)) {
+            return 'invalid_action_log';
+        }
+
+        // Validate route length setting (older saves without it use the route itself)
+        if (state.routeLength !== undefined &&
+            (!Number.isInteger(state.routeLength) || state.routeLength < ROUTE_LENGTH_LIMITS.min)) {
+            return 'invalid_route';
+        }
+
+        // Validate cityRoute array (should be empty or contain exactly routeLength cities)
+        if (state.cityRoute && !Array.isArray(state.cityRoute)) {
+            return 'invalid_route';
+        }
+
+        const routeLength = state.cityRoute && state.cityRoute.length > 0 ?
+            state.cityRoute.length :
+            (state.routeLength || ROUTE_LENGTH_LIMITS.default);
+        if (state.cityRoute && state.cityRoute.length > 0) {
+            if (state.cityRoute.length < ROUTE_LENGTH_LIMITS.min) {
+                return 'invalid_route';
+            }
+            if (state.routeLength !== undefined && state.cityRoute.length !== state.routeLength) {
+                return 'invalid_route';
+            }
+        }
+
+        // The suspect must exist in the loaded game data and hide in the last city of the route,
+        // otherwise the final encounter can never be played
+        if (this.gameData && Array.isArray(this.gameData.suspects) && state.cityRoute && state.cityRoute.length > 0) {
+            const suspect = this.getSuspect(state.suspectId || DEFAULT_SUSPECT_ID);
+            if (!suspect) {
+                return 'unknown_suspect';
+            }
+            if (suspect.final_city !== state.cityRoute[state.cityRoute.length - 1]) {
+                return 'invalid_case';
+            }
         }
 
         // Validate currentCityIndex
         if (state.currentCityIndex !== undefined &&
             (typeof state.currentCityIndex !== 'number' ||
                 state.currentCityIndex < 0 ||
-                state.currentCityIndex > 4)) {
-            return false;
+                state.currentCityIndex > routeLength - 1)) {
+            return 'invalid_route';
         }
 
         // Validate currentClueLevel
         if (state.currentClueLevel && !['easy', 'medium', 'difficult'].includes(state.currentClueLevel)) {
-            return false;
+            return 'invalid_progress';
         }
 
         // Validate game stats structure
         if (!state.gameStats || typeof state.gameStats !== 'object') {
-            return false;
+            return 'invalid_stats';
         }
         
         const requiredStats = ['score', 'attemptsRemaining', 'citiesCompleted'];
         for (const stat of requiredStats) {
             if (typeof state.gameStats[stat] !== 'number') {
-                return false;
+                return 'invalid_stats';
             }
         }
         
-        // Validate attempts remaining is within reasonable bounds (0-3)
-        if (state.gameStats.attemptsRemaining < 0 || state.gameStats.attemptsRemaining > 3) {
-            return false;
+        // Validate difficulty preset (older saves have none)
+        if (state.difficulty !== undefined && !DIFFICULTY_PRESETS[state.difficulty]) {
+            return 'invalid_case';
+        }
+
+        // Validate attempts remaining is within the preset's bounds
+        if (state.gameStats.attemptsRemaining < 0 ||
+            state.gameStats.attemptsRemaining > this.getDifficultyPreset(state.difficulty).attempts) {
+            return 'invalid_stats';
         }
 
         // Validate score is non-negative
         if (state.gameStats.score < 0) {
-            return false;
+            return 'invalid_stats';
         }
 
-        // Validate cities completed is within bounds (0-5)
-        if (state.gameStats.citiesCompleted < 0 || state.gameStats.citiesCompleted > 5) {
-            return false;
+        // Validate cities completed is within bounds (0 to route length)
+        if (state.gameStats.citiesCompleted < 0 || state.gameStats.citiesCompleted > routeLength) {
+            return 'invalid_stats';
+        }
+
+        // Validate in-game clock (older saves have none)
+        if ((state.gameStats.clockHours !== undefined && typeof state.gameStats.clockHours !== 'number') ||
+            (state.gameStats.deadlineHour !== undefined && state.gameStats.deadlineHour !== null &&
+                typeof state.gameStats.deadlineHour !== 'number')) {
+            return 'invalid_stats';
         }
         
         // Check for data contamination - ensure clues have proper structure
         for (const clue of state.collectedClues) {
             if (!clue || typeof clue !== 'object' || !clue.text || !clue.difficulty || !clue.sourceCity) {
-                return false;
+                return 'invalid_clues';
             }
         }
         
-        return true;
+        return null;
     }
 
     // Get the next city in the predetermined route
@@ -395,17 +872,321 @@ export class GameState {
         if (this.currentCityIndex < this.cityRoute.length - 1) {
             this.currentCityIndex++;
             this.currentCity = this.cityRoute[this.currentCityIndex];
+            this.currentLocationId = null;
             this.gameStats.citiesCompleted++;
 
             // Reset clue level for new city
-            this.currentClueLevel = 'difficult';
+            this.currentClueLevel = this.getStartingClueLevel();
 
             return true;
         }
         return false; // Cannot advance further
     }
 
-    // Check if current city is the final destination (Buenos Aires)
+    // Record a player action and apply it to the live state, so progress always matches the log
+    recordAction(type, data = {}) {
+        const entry = this.actionLog.append(type, data);
+        if (!entry) {
+            return null;
+        }
+
+        this.applyProgress(this.applyAction(this.getProgress(), entry));
+        return entry;
+    }
+
+    // Progress before any action has been recorded
+    createInitialProgress() {
+        return {
+            caseId: null,
+            cityRoute: [],
+            routeLength: this.routeLength,
+            difficulty: DEFAULT_DIFFICULTY,
+            suspectId: DEFAULT_SUSPECT_ID,
+            currentCity: null,
+            currentLocationId: null,
+            currentCityIndex: 0,
+            visitedCities: [],
+            collectedClues: [],
+            hintsBought: [],
+            dossier: null,
+            revealedTraits: {},
+            warrant: null,
+            currentClueLevel: this.getStartingClueLevel(DEFAULT_DIFFICULTY),
+            score: 0,
+            attemptsRemaining: DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].attempts,
+            citiesCompleted: 0,
+            citiesVisited: 0,
+            clockHours: CLOCK_SETTINGS.startHour,
+            deadlineHour: null,
+            isGameComplete: false,
+            hasWon: false
+        };
+    }
+
+    // Progress fields of the live state (the part of the state the action log derives)
+    getProgress() {
+        return {
+            caseId: this.caseId,
+            cityRoute: [...this.cityRoute],
+            routeLength: this.routeLength,
+            difficulty: this.difficulty,
+            suspectId: this.suspectId,
+            currentCity: this.currentCity,
+            currentLocationId: this.currentLocationId,
+            currentCityIndex: this.currentCityIndex,
+            visitedCities: [...this.visitedCities],
+            collectedClues: this.collectedClues.map(clue => ({ ...clue })),
+            hintsBought: this.hintsBought.map(hint => ({ ...hint })),
+            dossier: this.dossier,
+            revealedTraits: { ...this.revealedTraits },
+            warrant: this.warrant,
+            currentClueLevel: this.currentClueLevel,
+            score: this.gameStats.score,
+            attemptsRemaining: this.gameStats.attemptsRemaining,
+            citiesCompleted: this.gameStats.citiesCompleted,
+            citiesVisited: this.gameStats.citiesVisited || 0,
+            clockHours: this.gameStats.clockHours,
+            deadlineHour: this.gameStats.deadlineHour,
+            isGameComplete: this.isGameComplete,
+            hasWon: this.hasWon
+        };
+    }
+
+    // Write derived progress back into the live state
+    applyProgress(progress) {
+        this.caseId = progress.caseId;
+        this.cityRoute = progress.cityRoute;
+        this.routeLength = progress.routeLength;
+        this.difficulty = progress.difficulty;
+        this.suspectId = progress.suspectId;
+        this.currentCity = progress.currentCity;
+        this.currentLocationId = progress.currentLocationId;
+        this.currentCityIndex = progress.currentCityIndex;
+        this.visitedCities = progress.visitedCities;
+        this.collectedClues = progress.collectedClues;
+        this.hintsBought = progress.hintsBought;
+        this.dossier = progress.dossier;
+        this.revealedTraits = progress.revealedTraits;
+        this.warrant = progress.warrant;
+        this.currentClueLevel = progress.currentClueLevel;
+        this.gameStats = {
+            ...this.gameStats,
+            score: progress.score,
+            attemptsRemaining: progress.attemptsRemaining,
+            citiesCompleted: progress.citiesCompleted,
+            citiesVisited: progress.citiesVisited,
+            clockHours: progress.clockHours,
+            deadlineHour: progress.deadlineHour
+        };
+        this.isGameComplete = progress.isGameComplete;
+        this.hasWon = progress.hasWon;
+    }
+
+    // Apply one logged action to a progress object, returning the new progress (never mutates its input)
+    applyAction(progress, action) {
+        const data = action.data || {};
+
+        switch (action.type) {
+            case 'case_started': {
+                // Logs recorded before the in-game clock, difficulty presets or suspects get the default ones
+                const clock = data.clock || this.gameClock.createCaseClock(data.routeLength);
+                const difficulty = data.difficulty || DEFAULT_DIFFICULTY;
+                return {
+                    ...this.createInitialProgress(),
+                    caseId: data.caseId || null,
+                    cityRoute: [...data.cityRoute],
+                    routeLength: data.routeLength,
+                    difficulty: difficulty,
+                    suspectId: data.suspectId || DEFAULT_SUSPECT_ID,
+                    dossier: data.dossier || null,
+                    currentClueLevel: this.getStartingClueLevel(difficulty),
+                    currentCity: data.startingCity,
+                    attemptsRemaining: data.attempts,
+                    clockHours: clock.startHour,
+                    deadlineHour: clock.deadlineHour
+                };
+            }
+
+            case 'clue_collected':
+                return { ...progress, collectedClues: [...progress.collectedClues, { ...data.clue }] };
+
+            case 'clues_requested': {
+                // Questioning takes time; the hardest clue given sets the points for the next correct guess
+                const next = { ...progress, clockHours: progress.clockHours + (data.hours || 0) };
+                if (data.outcome === 'clues' && data.difficulty) {
+                    next.currentClueLevel = data.difficulty;
+                }
+                return next;
+            }
+
+            case 'hint_bought':
+                // A bought hint takes the informant's time or comes off the city's reward, and lowers the clue level
+                return {
+                    ...progress,
+                    hintsBought: [...progress.hintsBought, {
+                        cityId: data.cityId,
+                        locationId: data.locationId || null,
+                        difficulty: data.difficulty,
+                        payment: data.payment,
+                        points: data.points || 0,
+                        hours: data.hours || 0
+                    }],
+                    currentClueLevel: data.difficulty,
+                    clockHours: progress.clockHours + (data.hours || 0)
+                };
+
+            case 'location_visited':
+                // Getting across town to another informant takes time
+                return {
+                    ...progress,
+                    currentLocationId: data.locationId,
+                    clockHours: progress.clockHours + (data.hours || 0)
+                };
+
+            case 'trait_revealed':
+                return { ...progress, revealedTraits: { ...progress.revealedTraits, [data.trait]: data.value } };
+
+            case 'warrant_issued':
+                // A new warrant replaces the previous one
+                return { ...progress, warrant: { traits: { ...data.traits }, matches: Boolean(data.matches) } };
+
+            case 'travel_rejected':
+                return { ...progress, attemptsRemaining: progress.attemptsRemaining - 1 };
+
+            case 'guess_made': {
+                const clockHours = progress.clockHours + (data.hours || 0);
+                if (!data.correct) {
+                    return { ...progress, attemptsRemaining: progress.attemptsRemaining - 1, clockHours };
+                }
+
+                const next = {
+                    ...progress,
+                    clockHours,
+                    visitedCities: progress.currentCity && !progress.visitedCities.includes(progress.currentCity) ?
+                        [...progress.visitedCities, progress.currentCity] :
+                        progress.visitedCities,
+                    currentCity: data.cityId,
+                    currentLocationId: null, // Flights land at the city's first location
+                    score: progress.score + data.points,
+                    citiesVisited: progress.citiesVisited + 1
+                };
+
+                // Same as advanceToNextCity: move along the route and reset the clue level
+                if (next.currentCityIndex < next.cityRoute.length - 1) {
+                    next.currentCityIndex++;
+                    next.currentCity = next.cityRoute[next.currentCityIndex];
+                    next.citiesCompleted++;
+                    next.currentClueLevel = this.getStartingClueLevel(next.difficulty);
+                }
+                return next;
+            }
+
+            case 'case_won':
+                return { ...progress, isGameComplete: true, hasWon: true };
+
+            case 'case_lost':
+                return { ...progress, isGameComplete: true, hasWon: false };
+
+            default:
+                // Recorded for the audit trail only (e.g. language_changed)
+                return progress;
+        }
+    }
+
+    // Points paid for hints in a city, taken off that city's guess reward
+    getHintPointsSpent(cityId = this.currentCity) {
+        return this.hintsBought
+            .filter(hint => hint.cityId === cityId)
+            .reduce((total, hint) => total + hint.points, 0);
+    }
+
+    // Take the suspect's traits for a case and pick the route cities whose informants reveal them
+    generateDossier(gameData, cityRoute, randomizationSystem = null) {
+        const traits = gameData && gameData.dossier && Array.isArray(gameData.dossier.traits) ? gameData.dossier.traits : [];
+        const informantCities = cityRoute.slice(0, -1); // The final city is where the warrant gets served
+        const suspect = this.getSuspect(this.suspectId, gameData);
+        const suspectTraits = suspect && suspect.traits ? suspect.traits : {};
+        if (traits.length === 0 || informantCities.length === 0) {
+            return null;
+        }
+
+        const random = randomizationSystem ? randomizationSystem.createScopedRandom('dossier') : Math.random;
+        const cities = [...informantCities];
+        for (let i = cities.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [cities[i], cities[j]] = [cities[j], cities[i]];
+        }
+
+        const dossier = { traits: {}, reveals: {} };
+        traits.forEach((trait, index) => {
+            // Suspects without a value for a trait get a random one
+            const randomValue = trait.options[Math.floor(random() * trait.options.length)].id;
+            dossier.traits[trait.id] = suspectTraits[trait.id] || randomValue;
+            // Spread the traits over the route so one informant rarely tells everything
+            const cityId = cities[index % cities.length];
+            dossier.reveals[cityId] = [...(dossier.reveals[cityId] || []), trait.id];
+        });
+        return dossier;
+    }
+
+    // Traits the informant in a city still has to reveal
+    getTraitsToReveal(cityId = this.currentCity) {
+        if (!this.dossier) {
+            return [];
+        }
+
+        return (this.dossier.reveals[cityId] || []).filter(traitId => !(traitId in this.revealedTraits));
+    }
+
+    // Check whether warrant traits match the suspect of this case
+    warrantMatches(traits) {
+        if (!this.dossier) {
+            return true;
+        }
+
+        return Object.entries(this.dossier.traits).every(([traitId, value]) => traits[traitId] === value);
+    }
+
+    // Wrong destinations guessed in this case, in order, with the city each guess was made from
+    getWrongGuesses() {
+        const wrongGuesses = [];
+        let currentCity = null;
+
+        this.actionLog.getEntries().forEach(entry => {
+            if (entry.type === 'case_started') {
+                currentCity = entry.data.startingCity;
+            } else if (entry.type === 'guess_made' && entry.data.correct) {
+                currentCity = entry.data.cityId;
+            } else if (entry.type === 'guess_made') {
+                wrongGuesses.push({ cityId: entry.data.cityId, fromCity: currentCity });
+            }
+        });
+
+        return wrongGuesses;
+    }
+
+    // Rebuild progress by replaying logged actions from the start of the case
+    replayActionLog(entries = this.actionLog.getEntries()) {
+        return entries.reduce((progress, entry) => this.applyAction(progress, entry), this.createInitialProgress());
+    }
+
+    // Compare the live progress with a replay of the action log
+    verifyActionLog() {
+        // Saves from before the log existed only have part of the history
+        if (!this.actionLog.isReplayable()) {
+            return { replayable: false, consistent: null, mismatches: [] };
+        }
+
+        const replayed = this.replayActionLog();
+        const live = this.getProgress();
+        const mismatches = Object.keys(replayed).filter(field =>
+            JSON.stringify(replayed[field]) !== JSON.stringify(live[field])
+        );
+
+        return { replayable: true, consistent: mismatches.length === 0, mismatches };
+    }
+
+    // Check if current city is the final destination (where the suspect hides)
     isFinalDestination() {
         return this.currentCityIndex === this.cityRoute.length - 1;
     }
@@ -425,15 +1206,12 @@ export class GameState {
         return points;
     }
 
-    // Progress clue difficulty level (difficult → medium → easy)
+    // Progress clue difficulty level through the preset's tiers (difficult → medium → easy)
     progressClueLevel() {
-        const progression = {
-            'difficult': 'medium',
-            'medium': 'easy',
-            'easy': 'easy' // Stay at easy
-        };
+        const clueTiers = this.getDifficultyPreset().clueTiers;
+        const nextIndex = Math.min(clueTiers.indexOf(this.currentClueLevel) + 1, clueTiers.length - 1);
 
-        this.currentClueLevel = progression[this.currentClueLevel] || 'easy';
+        this.currentClueLevel = clueTiers[nextIndex]; // Stays at the preset's easiest tier
         return this.currentClueLevel;
     }
 
@@ -444,7 +1222,7 @@ export class GameState {
             return {
                 hasFailed: true,
                 reason: 'attempts_exhausted',
-                message: 'You have run out of attempts to find Nadine.'
+                message: this.formatSuspectText('You have run out of attempts to find {suspect}.')
             };
         }
 
@@ -456,12 +1234,13 @@ export class GameState {
 
     // Check if the game should end due to victory conditions
     checkVictoryConditions() {
-        // Reached Buenos Aires (final destination)
+        // Reached the suspect's final city (final destination)
         if (this.isFinalDestination() && this.currentCity === this.cityRoute[this.cityRoute.length - 1]) {
+            const finalCity = this.findCity(this.currentCity);
             return {
                 hasWon: true,
                 reason: 'reached_final_destination',
-                message: 'Congratulations! You have found Nadine in Buenos Aires!'
+                message: this.formatSuspectText(`Congratulations! You have found {suspect} in ${finalCity ? finalCity.name : this.currentCity}!`)
             };
         }
 
@@ -472,13 +1251,13 @@ export class GameState {
     }
 
     // Validate generated route for correctness and fairness
-    validateGeneratedRoute(route, gameData) {
+    validateGeneratedRoute(route, gameData, expectedLength = this.routeLength, finalCityId = this.getFinalCityId(gameData)) {
         const errors = [];
         const warnings = [];
 
         // Check route length
-        if (!Array.isArray(route) || route.length !== 5) {
-            errors.push(`Route must contain exactly 5 cities, got ${route ? route.length : 0}`);
+        if (!Array.isArray(route) || route.length !== expectedLength) {
+            errors.push(`Route must contain exactly ${expectedLength} cities, got ${route ? route.length : 0}`);
             return { isValid: false, errors: errors, warnings: warnings };
         }
 
@@ -496,29 +1275,27 @@ export class GameState {
             }
         });
 
-        // Check that Buenos Aires is the final destination
-        const finalCityId = route[route.length - 1];
-        const finalCityData = gameData.cities.find(city => city.id === finalCityId);
-        if (!finalCityData || !finalCityData.is_final) {
-            errors.push('Final city in route is not Buenos Aires');
+        // Check that the suspect's final city is the final destination
+        const lastCityId = route[route.length - 1];
+        if (lastCityId !== finalCityId) {
+            errors.push(`Final city in route is not ${finalCityId}`);
         }
 
-        // Check that first 4 cities are not final destinations
-        for (let i = 0; i < 4; i++) {
-            const cityData = gameData.cities.find(city => city.id === route[i]);
-            if (cityData && cityData.is_final) {
-                errors.push(`City at position ${i} (${route[i]}) is marked as final destination`);
+        // Check that the stops before the last city are not the final destination
+        for (let i = 0; i < route.length - 1; i++) {
+            if (route[i] === finalCityId) {
+                errors.push(`City at position ${i} (${route[i]}) is the final destination`);
             }
         }
 
         // Validate geographic distribution (warning only)
-        const countries = route.slice(0, 4).map(cityId => {
+        const countries = route.slice(0, -1).map(cityId => {
             const cityData = gameData.cities.find(city => city.id === cityId);
             return cityData ? cityData.country : null;
         }).filter(country => country !== null);
 
         const uniqueCountries = new Set(countries);
-        if (uniqueCountries.size < 3) {
+        if (uniqueCountries.size < Math.min(3, countries.length)) {
             warnings.push(`Route has limited geographic diversity: only ${uniqueCountries.size} different countries`);
         }
 
@@ -530,7 +1307,7 @@ export class GameState {
                 totalCities: route.length,
                 uniqueCities: uniqueCities.size,
                 countries: uniqueCountries.size,
-                finalDestination: finalCityId
+                finalDestination: lastCityId
             }
         };
     }
@@ -0,0 +1,99 @@
+/**
+ * HighScoreManager.js - Best Scores per Difficulty
+ * Remembers the best case results of each difficulty preset locally, so scores from different presets never mix
+ */
+
+import { PERSISTENT_STORAGE_KEYS } from './SessionManager.js';
+
+export class HighScoreManager {
+    constructor() {
+        this.storageKey = PERSISTENT_STORAGE_KEYS.highScores;
+        this.maxScoresPerDifficulty = 5;
+        this.records = this.loadRecords();
+    }
+
+    // Empty record structure
+    createEmptyRecords() {
+        return {
+            scores: {} // difficulty -> [{ caseId, score, solved, citiesCompleted, routeLength, finishedAt }], best first
+        };
+    }
+
+    // Load score records from localStorage
+    loadRecords() {
+        try {
+            const storedRecords = localStorage.getItem(this.storageKey);
+            if (storedRecords) {
+                const parsedRecords = JSON.parse(storedRecords);
+                if (parsedRecords && parsedRecords.scores && typeof parsedRecords.scores === 'object') {
+                    return parsedRecords;
+                }
+                console.warn('HighScoreManager: Ignoring malformed score records');
+            }
+        } catch (error) {
+            console.warn('HighScoreManager: Could not load score records:', error);
+        }
+        return this.createEmptyRecords();
+    }
+
+    // Persist score records
+    saveRecords() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('HighScoreManager: Could not save score records:', error);
+        }
+    }
+
+    // Best results of one difficulty preset, best first
+    getScores(difficulty) {
+        return Array.isArray(this.records.scores[difficulty]) ? [...this.records.scores[difficulty]] : [];
+    }
+
+    // Best result of one difficulty preset, if any
+    getBestScore(difficulty) {
+        return this.getScores(difficulty)[0] || null;
+    }
+
+    // Score summary for a result screen without recording anything (e.g. a case loaded from a file)
+    getSummary(difficulty, score) {
+        return {
+            difficulty: difficulty,
+            score: score || 0,
+            best: this.getBestScore(difficulty),
+            isNewBest: false
+        };
+    }
+
+    // Record a finished case under its difficulty preset (each case counts once)
+    recordResult(difficulty, caseId, result) {
+        const scores = this.getScores(difficulty);
+        const previousBest = scores[0] || null;
+        const existing = caseId ? scores.find(entry => entry.caseId === caseId) : null;
+
+        if (!existing) {
+            scores.push({
+                caseId: caseId || null,
+                score: result.score || 0,
+                solved: Boolean(result.solved),
+                citiesCompleted: result.citiesCompleted || 0,
+                routeLength: result.routeLength || 0,
+                finishedAt: new Date().toISOString()
+            });
+
+            // Higher score first; on a tie the earlier result keeps its place
+            scores.sort((a, b) => b.score - a.score);
+            this.records.scores[difficulty] = scores.slice(0, this.maxScoresPerDifficulty);
+            this.saveRecords();
+            console.log(`HighScoreManager: Recorded ${result.score || 0} points on ${difficulty}`);
+        }
+
+        const score = existing ? existing.score : (result.score || 0);
+        return {
+            difficulty: difficulty,
+            score: score,
+            best: this.getBestScore(difficulty),
+            isNewBest: !existing && score > (previousBest ? previousBest.score : 0)
+        };
+    }
+}
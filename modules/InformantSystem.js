@@ -3,6 +3,14 @@
  * Handles all informant dialogue and interaction logic
  */
 
+// Distance bands for precise warmer/colder feedback, checked in order
+const DISTANCE_BANDS = [
+    { maxKm: 2000, key: 'within_2000' },
+    { maxKm: 5000, key: 'within_5000' },
+    { maxKm: 10000, key: 'within_10000' },
+    { maxKm: Infinity, key: 'far_away' }
+];
+
 export class InformantSystem {
     constructor(gameState, clueSystem = null, translationService = null) {
         this.gameState = gameState;
@@ -19,15 +27,18 @@ export class InformantSystem {
             'farewell_helpful': 'helpful_end',
             'farewell_unhelpful': 'unhelpful_end',
             'not_here': 'unhelpful',
-            'no_more_info': 'no_more_info'
+            'no_more_info': 'no_more_info',
+            'trait_reveal': 'helpful',
+            'warrant_required': 'warrant_required'
         };
     }
 
     // Create showInformantDialogue() function with enhanced interaction
-    showInformantDialogue(cityId, dialogueType = 'greeting') {
+    showInformantDialogue(cityId, dialogueType = 'greeting', context = {}) {
         const cityData = this.getCityDataFromGameState(cityId);
+        const location = this.getInformantLocation(cityData);
         
-        if (!cityData || !cityData.informant) {
+        if (!cityData || !location) {
             console.warn(`No informant data found for city: ${cityId}`);
             const fallbackDialogue = 'Hello, traveler. How can I help you?';
             const dialogueData = this.displayDialogue(fallbackDialogue, 'Unknown Informant', dialogueType);
@@ -38,7 +49,7 @@ export class InformantSystem {
             };
         }
         
-        const informant = cityData.informant;
+        const informant = location.informant;
         let dialogue = '';
         
         // Update dialogue state
@@ -55,7 +66,7 @@ export class InformantSystem {
                 dialogue = this.generateUnhelpfulFarewell(informant, cityData);
                 break;
             case 'not_here':
-                dialogue = this.generateNotHereResponse(cityData);
+                dialogue = this.generateNotHereResponse(cityData, informant);
                 break;
             case 'clue_presentation':
                 dialogue = this.generateCluePresentation(informant, cityData);
@@ -63,10 +74,25 @@ export class InformantSystem {
             case 'no_more_info':
                 dialogue = this.generateNoMoreInfoResponse(informant, cityData);
                 break;
+            case 'trait_reveal':
+                dialogue = this.generateTraitReveal(context.trait, context.value);
+                break;
+            case 'warrant_required':
+                dialogue = this.generateWarrantReminder();
+                break;
+            case 'dialogue_node':
+                dialogue = this.generateDialogueNodeText(informant, cityData, context.nodeId);
+                break;
+            case 'photo_unknown':
+                dialogue = this.generatePhotoUnknownResponse();
+                break;
             default:
                 console.warn(`Unknown dialogue type: ${dialogueType}`);
                 dialogue = informant.greeting || 'Hello, traveler.';
         }
+
+        // Name the case's suspect in game data texts and fallbacks ({suspect}, {subject}, {object}, ...)
+        dialogue = this.gameState.formatSuspectText(dialogue);
         
         // Display dialogue with enhanced formatting
         const dialogueData = this.displayDialogue(dialogue, informant.name, dialogueType, cityData);
@@ -79,14 +105,54 @@ export class InformantSystem {
         };
     }
 
+    // Phrase pool an informant picks from (e.g. 'clue_transformations' or 'encouragements.easy'): their own
+    // `phrases` in the game data, else the shared pool of the UI translations, else the English fallback
+    getPhrasePool(key, informant = null, fallback = []) {
+        const ownPool = this.getInformantPhrases(key, informant);
+        if (Array.isArray(ownPool) && ownPool.length > 0) {
+            return ownPool;
+        }
+
+        const pool = this.translationService ?
+            this.translationService.getTranslationArray(`ui.informant.${key}`, []) :
+            [];
+        return pool.length > 0 ? pool : fallback;
+    }
+
+    // Single phrase of an informant (e.g. 'no_more_info'), looked up like a phrase pool
+    getPhrase(key, informant = null, fallback = '') {
+        const ownPhrase = this.getInformantPhrases(key, informant);
+        if (typeof ownPhrase === 'string' && ownPhrase.trim() !== '') {
+            return ownPhrase;
+        }
+
+        return this.translationService ?
+            this.translationService.translate(`ui.informant.${key}`, {}, fallback) :
+            fallback;
+    }
+
+    // An informant's own phrases under a dotted key (undefined when they have none)
+    getInformantPhrases(key, informant) {
+        if (!informant || !informant.phrases) {
+            return undefined;
+        }
+
+        return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), informant.phrases);
+    }
+
+    // Random phrase of a pool
+    pickPhrase(pool, random = Math.random) {
+        return pool[Math.floor(random() * pool.length)];
+    }
+
     // Generate contextual greeting based on investigation state
     generateGreeting(informant, cityData) {
         const baseGreeting = informant.greeting || 'Hello, traveler.';
         const hasClues = this.hasCityClues(cityData.id);
         
         if (hasClues) {
-            // Add contextual information if Nadine was here
-            const contextualAddition = this.generateContextualGreeting(cityData);
+            // Add contextual information if the suspect was here
+            const contextualAddition = this.generateContextualGreeting(cityData, informant);
             return `${baseGreeting} ${contextualAddition}`;
         } else {
             return baseGreeting;
@@ -94,40 +160,13 @@ export class InformantSystem {
     }
 
     // Generate contextual greeting additions
-    generateContextualGreeting(cityData) {
-        // Check current language and use appropriate translations
-        let greetingVariations;
-
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
-
-            if (currentLanguage === 'es') {
-                greetingVariations = [
-                    "¡Sí, recuerdo a alguien que coincide con esa descripción!",
-                    "Vi a alguien así recientemente. Déjame contarte lo que observé...",
-                    "¡La persona que buscas - sí, estuvo aquí!",
-                    "Tengo información sobre la persona que buscas."
-                ];
-            } else {
-                greetingVariations = [
-                    "Yes, I remember someone matching that description!",
-                    "I saw someone like that recently. Let me tell you what I observed...",
-                    "That person you're looking for - yes, she was here!",
-                    "I have information about the person you seek."
-                ];
-            }
-        } else {
-            // Fallback to English
-            greetingVariations = [
-                "Yes, I remember someone matching that description!",
-                "I saw someone like that recently. Let me tell you what I observed...",
-                "That person you're looking for - yes, she was here!",
-                "I have information about the person you seek."
-            ];
-        }
-        
-        const randomIndex = Math.floor(Math.random() * greetingVariations.length);
-        return greetingVariations[randomIndex];
+    generateContextualGreeting(cityData, informant = null) {
+        return this.pickPhrase(this.getPhrasePool('greeting_variations', informant, [
+            "Yes, I remember someone matching that description!",
+            "I saw someone like that recently. Let me tell you what I observed...",
+            "That person you're looking for - yes, {subject} was here!",
+            "I have information about the person you seek."
+        ]));
     }
 
     // Generate helpful farewell with encouragement
@@ -137,7 +176,7 @@ export class InformantSystem {
         // Add encouraging context based on clue difficulty
         const lastClue = this.getLastCollectedClue(cityData.id);
         if (lastClue) {
-            const encouragement = this.generateEncouragementByDifficulty(lastClue.difficulty);
+            const encouragement = this.generateEncouragementByDifficulty(lastClue.difficulty, informant);
             return `${baseFarewell} ${encouragement}`;
         }
         
@@ -145,197 +184,215 @@ export class InformantSystem {
     }
 
     // Generate encouragement based on clue difficulty
-    generateEncouragementByDifficulty(difficulty) {
-        let encouragements;
-
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
-
-            if (currentLanguage === 'es') {
-                encouragements = {
-                    'difficult': [
-                        "¡Esa fue una pista desafiante - estás pensando como un verdadero detective!",
-                        "¡Excelentes habilidades de deducción! Esa pista debería llevarte en la dirección correcta.",
-                        "¡Impresionante! Entendiste esa pista compleja perfectamente."
-                    ],
-                    'medium': [
-                        "¡Buen trabajo de detective! Esa pista debería ayudar a guiar tu investigación.",
-                        "¡Bien hecho! Te estás acercando a resolver este caso.",
-                        "¡Buen trabajo! Esa pista contiene información valiosa."
-                    ],
-                    'easy': [
-                        "¡Excelente comienzo! Incluso las pistas simples pueden llevar a grandes avances.",
-                        "¡Bien! A veces las pistas más obvias son las más importantes.",
-                        "¡Bien visto! Esa pista definitivamente ayudará a tu investigación."
-                    ]
-                };
-            } else {
-                encouragements = {
-                    'difficult': [
-                        "That was a challenging clue - you're thinking like a true detective!",
-                        "Excellent deduction skills! That clue should lead you in the right direction.",
-                        "Impressive! You understood that complex clue perfectly."
-                    ],
-                    'medium': [
-                        "Good detective work! That clue should help guide your investigation.",
-                        "Well done! You're getting closer to solving this case.",
-                        "Nice work! That clue contains valuable information."
-                    ],
-                    'easy': [
-                        "Great start! Even simple clues can lead to big breakthroughs.",
-                        "Good! Sometimes the most obvious clues are the most important.",
-                        "Well spotted! That clue will definitely help your investigation."
-                    ]
-                };
-            }
-        } else {
-            // Fallback to English
-            encouragements = {
-                'difficult': [
-                    "That was a challenging clue - you're thinking like a true detective!",
-                    "Excellent deduction skills! That clue should lead you in the right direction.",
-                    "Impressive! You understood that complex clue perfectly."
-                ],
-                'medium': [
-                    "Good detective work! That clue should help guide your investigation.",
-                    "Well done! You're getting closer to solving this case.",
-                    "Nice work! That clue contains valuable information."
-                ],
-                'easy': [
-                    "Great start! Even simple clues can lead to big breakthroughs.",
-                    "Good! Sometimes the most obvious clues are the most important.",
-                    "Well spotted! That clue will definitely help your investigation."
-                ]
-            };
-        }
-        
-        const options = encouragements[difficulty] || encouragements['easy'];
-        const randomIndex = Math.floor(Math.random() * options.length);
-        return options[randomIndex];
+    generateEncouragementByDifficulty(difficulty, informant = null) {
+        const fallbacks = {
+            'difficult': [
+                "That was a challenging clue - you're thinking like a true detective!",
+                "Excellent deduction skills! That clue should lead you in the right direction.",
+                "Impressive! You understood that complex clue perfectly."
+            ],
+            'medium': [
+                "Good detective work! That clue should help guide your investigation.",
+                "Well done! You're getting closer to solving this case.",
+                "Nice work! That clue contains valuable information."
+            ],
+            'easy': [
+                "Great start! Even simple clues can lead to big breakthroughs.",
+                "Good! Sometimes the most obvious clues are the most important.",
+                "Well spotted! That clue will definitely help your investigation."
+            ]
+        };
+        const tier = fallbacks[difficulty] ? difficulty : 'easy';
+
+        return this.pickPhrase(this.getPhrasePool(`encouragements.${tier}`, informant, fallbacks[tier]));
     }
 
     // Generate unhelpful farewell
     generateUnhelpfulFarewell(informant, cityData) {
         const baseFarewell = informant.farewell_unhelpful || 'Sorry I could not help.';
-        
-        let suggestions;
-
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
-
-            if (currentLanguage === 'es') {
-                suggestions = [
-                    "Intenta revisar otras ciudades - alguien allí podría haberla visto.",
-                    "¡Sigue investigando! Todo detective enfrenta callejones sin salida.",
-                    "¡No te rindas! El rastro llevará a algún lugar eventualmente.",
-                    "Tal vez alguien en otra ubicación tenga información.",
-                    "Sigue siguiendo tus pistas - la persistencia da frutos en el trabajo de detective."
-                ];
-            } else {
-                suggestions = [
-                    "Try checking other cities - someone there might have seen her.",
-                    "Keep investigating! Every detective faces dead ends.",
-                    "Don't give up! The trail will lead somewhere eventually.",
-                    "Perhaps someone in another location has information.",
-                    "Keep following your leads - persistence pays off in detective work."
-                ];
-            }
-        } else {
-            // Fallback to English
-            suggestions = [
-                "Try checking other cities - someone there might have seen her.",
-                "Keep investigating! Every detective faces dead ends.",
-                "Don't give up! The trail will lead somewhere eventually.",
-                "Perhaps someone in another location has information.",
-                "Keep following your leads - persistence pays off in detective work."
-            ];
-        }
-        
-        const randomIndex = Math.floor(Math.random() * suggestions.length);
-        return `${baseFarewell} ${suggestions[randomIndex]}`;
+        const suggestion = this.pickPhrase(this.getPhrasePool('suggestions', informant, [
+            "Try checking other cities - someone there might have seen {object}.",
+            "Keep investigating! Every detective faces dead ends.",
+            "Don't give up! The trail will lead somewhere eventually.",
+            "Perhaps someone in another location has information.",
+            "Keep following your leads - persistence pays off in detective work."
+        ]));
+
+        return `${baseFarewell} ${suggestion}`;
     }
 
     // Implement "not here" response handling for incorrect cities
-    generateNotHereResponse(cityData) {
+    generateNotHereResponse(cityData, informant = null) {
         const baseResponse = cityData.not_here_response || 'That person has not been here.';
         
         // Add helpful redirection based on city characteristics
-        const redirectionHint = this.generateRedirectionHint(cityData);
+        const redirectionHint = this.generateRedirectionHint(cityData, informant);
         return `${baseResponse} ${redirectionHint}`;
     }
 
-    // Generate redirection hints based on city characteristics
-    generateRedirectionHint(cityData) {
-        let hints;
-
-        if (this.translationService) {
-            const currentLanguage = this.translationService.localizationManager.getCurrentLanguage();
-
-            if (currentLanguage === 'es') {
-                hints = [
-                    "Intenta buscar en ciudades con más conexiones internacionales.",
-                    "Tal vez revisa ubicaciones conocidas por atracciones culturales.",
-                    "Considera ciudades que son populares entre viajeros y turistas.",
-                    "Busca lugares donde alguien podría ir a experimentar la cultura local.",
-                    "Piensa en destinos que ofrecen experiencias culturales únicas."
-                ];
-            } else {
-                hints = [
-                    "Try looking in cities with more international connections.",
-                    "Perhaps check locations known for cultural attractions.",
-                    "Consider cities that are popular with travelers and tourists.",
-                    "Look for places where someone might go to experience local culture.",
-                    "Think about destinations that offer unique cultural experiences."
-                ];
+    // Generate redirection hints: where the suspect went next when the difficulty preset gives region hints,
+    // else general travel advice
+    generateRedirectionHint(cityData, informant = null) {
+        const nextCityId = this.gameState.getNextCityInRoute();
+        const regionHint = this.generateRegionHint(nextCityId ? this.gameState.findCity(nextCityId) : null);
+        if (regionHint) {
+            return regionHint;
+        }
+
+        return this.pickPhrase(this.getPhrasePool('redirection_hints', informant, [
+            "Try looking in cities with more international connections.",
+            "Perhaps check locations known for cultural attractions.",
+            "Consider cities that are popular with travelers and tourists.",
+            "Look for places where someone might go to experience local culture.",
+            "Think about destinations that offer unique cultural experiences."
+        ]));
+    }
+
+    // Warmer/colder hint after a wrong guess: how far the guessed city is from where the suspect went
+    // ('vague': same continent or not, 'precise': distance band; null when off or coordinates are missing)
+    generateDistanceFeedback(guessedCityData, expectedCityData, mode = this.gameState.getDifficultyPreset().distanceFeedback) {
+        if (mode === 'off' || !guessedCityData || !expectedCityData) {
+            return null;
+        }
+
+        let key;
+        let fallback;
+        if (mode === 'vague') {
+            if (!guessedCityData.continent || !expectedCityData.continent) {
+                return null;
             }
+            const sameContinent = guessedCityData.continent === expectedCityData.continent;
+            key = sameContinent ? 'same_continent' : 'other_continent';
+            fallback = sameContinent ?
+                'Warmer - {subject} went somewhere on this same continent.' :
+                'Colder - {subject} is on another continent entirely.';
         } else {
-            // Fallback to English
-            hints = [
-                "Try looking in cities with more international connections.",
-                "Perhaps check locations known for cultural attractions.",
-                "Consider cities that are popular with travelers and tourists.",
-                "Look for places where someone might go to experience local culture.",
-                "Think about destinations that offer unique cultural experiences."
-            ];
+            const distanceKm = this.gameState.gameClock.getDistanceKm(guessedCityData.id, expectedCityData.id);
+            if (distanceKm === null) {
+                return null;
+            }
+            const band = DISTANCE_BANDS.find(candidate => distanceKm <= candidate.maxKm);
+            const fallbacks = {
+                within_2000: 'Very warm - {subject} is within 2,000 km of here.',
+                within_5000: 'Warm - {subject} is within 5,000 km of here.',
+                within_10000: 'Cold - {subject} is more than 5,000 km from here.',
+                far_away: 'Freezing - {subject} is more than 10,000 km away, on the other side of the world.'
+            };
+            key = band.key;
+            fallback = fallbacks[band.key];
         }
-        
-        // Add region-specific hints based on city country
-        if (cityData.country) {
-            const regionHints = this.getRegionSpecificHints(cityData.country);
-            hints.push(...regionHints);
+
+        return this.translationService ?
+            this.translationService.translate(`ui.informant.distance_feedback.${key}`, {}, fallback) :
+            this.gameState.formatSuspectText(fallback);
+    }
+
+    // Hint at where the suspect went from the region metadata of that city, as vague as the level asks
+    // ('region': e.g. Northern Europe, 'continent': e.g. Europe; null when off or the city lacks the metadata)
+    generateRegionHint(targetCityData, level = this.gameState.getDifficultyPreset().regionHints) {
+        if (!targetCityData || !['region', 'continent'].includes(level)) {
+            return null;
         }
-        
-        const randomIndex = Math.floor(Math.random() * hints.length);
-        return hints[randomIndex];
-    }
-
-    // Get region-specific redirection hints
-    getRegionSpecificHints(country) {
-        const regionHints = {
-            'Japan': ["Maybe try looking in other Asian cultural centers."],
-            'Italy': ["Perhaps check other European destinations with rich history."],
-            'Morocco': ["Consider other North African or Middle Eastern locations."],
-            'England': ["Try other English-speaking countries or European capitals."],
-            'Iceland': ["Look in other Nordic countries or unique natural destinations."],
-            'Mexico': ["Check other Latin American countries with vibrant cultures."],
-            'Australia': ["Consider other Pacific region destinations."],
-            'Turkey': ["Try other countries that bridge Europe and Asia."],
-            'Thailand': ["Look in other Southeast Asian cultural centers."],
-            'United States': ["Check other major international cities."],
-            'Argentina': ["This is often the final destination - are you sure you're on the right trail?"]
-        };
-        
-        return regionHints[country] || ["Keep searching in other international destinations."];
+
+        const useRegion = level === 'region' && Boolean(targetCityData.region);
+        const placeId = useRegion ? targetCityData.region : targetCityData.continent;
+        if (!placeId) {
+            return null;
+        }
+
+        const fallbackPlace = placeId.replace(/_/g, ' ');
+        const place = this.translationService ?
+            this.translationService.translate(`ui.${useRegion ? 'regions' : 'continents'}.${placeId}`, {}, fallbackPlace) :
+            fallbackPlace;
+        const fallback = useRegion ?
+            'I heard {subject} was heading for {place}.' :
+            'I heard {subject} was heading somewhere in {place}.';
+
+        return this.translationService ?
+            this.translationService.translate(`ui.informant.region_hints.${useRegion ? 'region' : 'continent'}`, { place }, fallback) :
+            this.gameState.formatSuspectText(fallback.replace('{place}', place));
     }
 
     // Generate "no more information" response
-    generateNoMoreInfoResponse(informant, cityData) {
-        if (this.translationService) {
-            return this.translationService.translate('ui.informant.no_more_info');
+    generateNoMoreInfoResponse(informant = null, cityData = null) {
+        return this.getPhrase('no_more_info', informant, 'I have no more information.');
+    }
+
+    // Let slip one of the suspect's traits (context of a 'trait_reveal' dialogue)
+    generateTraitReveal(traitId, value) {
+        const fallbacks = {
+            hobby: 'Oh, and {subject} kept going on about {possessive} hobby: {value}.',
+            food: '{Possessive} favourite food? {value}, no doubt about it.',
+            luggage: 'I noticed {possessive} luggage, too: {value}.'
+        };
+        const fallback = fallbacks[traitId] || 'One more thing: {value}.';
+        const params = { value: this.getTraitValueLabel(traitId, value) };
+
+        return this.translationService ?
+            this.translationService.translate(`ui.informant.trait_reveals.${traitId}`, params, fallback) :
+            fallback.replace('{value}', params.value);
+    }
+
+    // Display label of a trait option from the game data dossier
+    getTraitValueLabel(traitId, value) {
+        const dossier = this.gameState.gameData ? this.gameState.gameData.dossier : null;
+        const trait = dossier && Array.isArray(dossier.traits) ? dossier.traits.find(entry => entry.id === traitId) : null;
+        const option = trait ? trait.options.find(entry => entry.id === value) : null;
+        return option ? option.label : value;
+    }
+
+    // Remind the player that the arrest needs a warrant from the dossier
+    generateWarrantReminder() {
+        const fallback = 'Not so fast, detective! You cannot arrest anyone without a warrant. Check your dossier and issue one first.';
+        return this.translationService ?
+            this.translationService.translate('ui.informant.warrant_required', {}, fallback) :
+            fallback;
+    }
+
+    // Answer to the suspect's photo when the informant has nothing (more) to add to the dossier
+    generatePhotoUnknownResponse() {
+        const fallback = 'Yes, I recognise {object}, but I can\'t tell you anything else.';
+        return this.translationService ?
+            this.translationService.translate('ui.informant.photo_unknown', {}, fallback) :
+            fallback;
+    }
+
+    // Dialogue tree of the informant a city's visitor talks to: their own, else the game data's default (null if none)
+    getDialogueTree(cityData) {
+        const location = this.getInformantLocation(cityData);
+        if (location && location.informant.dialogue_tree) {
+            return location.informant.dialogue_tree;
         }
 
-        // Fallback to English if translation service not available
-        return "I have no more information.";
+        return this.gameState.gameData && this.gameState.gameData.dialogue_tree ? this.gameState.gameData.dialogue_tree : null;
+    }
+
+    // One node of the informant's dialogue tree with its choices, texts naming the case's suspect (null if unknown)
+    getDialogueNode(cityData, nodeId = null) {
+        const tree = this.getDialogueTree(cityData);
+        const id = nodeId || (tree ? tree.start : null);
+        const node = tree && tree.nodes ? tree.nodes[id] : null;
+        if (!node) {
+            return null;
+        }
+
+        return {
+            id: id,
+            text: this.gameState.formatSuspectText(node.text || ''),
+            options: (node.options || []).map((option, index) => ({
+                index: index,
+                label: this.gameState.formatSuspectText(option.label),
+                next: option.next || null,
+                action: option.action || null,
+                category: option.category || null
+            }))
+        };
+    }
+
+    // What the informant says on reaching a node of their dialogue tree (context of a 'dialogue_node' dialogue)
+    generateDialogueNodeText(informant, cityData, nodeId) {
+        const node = this.getDialogueNode(cityData, nodeId);
+        return node && node.text ? node.text : (informant.greeting || 'Hello, traveler.');
     }
 
     // Add clue presentation logic with difficulty selection
@@ -343,55 +400,41 @@ export class InformantSystem {
         const baseGreeting = informant.greeting || 'Hello, traveler.';
         
         // Get the next clue difficulty for progression
+        const location = this.getInformantLocation(cityData);
         const nextDifficulty = this.clueSystem ? 
-            this.clueSystem.getNextClueDifficulty(cityData.id) : 'difficult';
+            this.clueSystem.getNextClueDifficulty(cityData.id, location ? location.id : null) : 'difficult';
         
         // Create contextual clue presentation based on difficulty
-        const presentationIntro = this.generateClueIntroduction(nextDifficulty);
+        const presentationIntro = this.generateClueIntroduction(nextDifficulty, informant);
         
         return `${baseGreeting} ${presentationIntro}`;
     }
 
     // Generate clue introduction based on difficulty
-    generateClueIntroduction(difficulty) {
-        let introductions;
-
-        if (this.translationService) {
-            // Get translated introductions
-            introductions = {
-                'difficult': this.translationService.getTranslationArray('ui.informant.clue_introductions.difficult'),
-                'medium': this.translationService.getTranslationArray('ui.informant.clue_introductions.medium'),
-                'easy': this.translationService.getTranslationArray('ui.informant.clue_introductions.easy')
-            };
-        }
+    generateClueIntroduction(difficulty, informant = null) {
+        const fallbacks = {
+            'difficult': [
+                "I have some detailed observations that might help you...",
+                "Let me share some specific details I noticed...",
+                "I observed some particular behaviors that caught my attention...",
+                "There were some subtle clues in what {subject} said and did..."
+            ],
+            'medium': [
+                "I remember some interesting details about {possessive} visit...",
+                "{Subject} mentioned a few things that might be helpful...",
+                "I noticed some things that could guide your investigation...",
+                "There were some clear signs about where {subject} might be headed..."
+            ],
+            'easy': [
+                "I can tell you some basic things I observed...",
+                "{Subject} left some obvious clues about {possessive} interests...",
+                "I remember some straightforward details...",
+                "There were some clear indicators about {possessive} destination..."
+            ]
+        };
+        const tier = fallbacks[difficulty] ? difficulty : 'easy';
 
-        // Fallback to English if translation service not available
-        if (!introductions || !introductions[difficulty] || introductions[difficulty].length === 0) {
-            introductions = {
-                'difficult': [
-                    "I have some detailed observations that might help you...",
-                    "Let me share some specific details I noticed...",
-                    "I observed some particular behaviors that caught my attention...",
-                    "There were some subtle clues in what she said and did..."
-                ],
-                'medium': [
-                    "I remember some interesting details about her visit...",
-                    "She mentioned a few things that might be helpful...",
-                    "I noticed some things that could guide your investigation...",
-                    "There were some clear signs about where she might be headed..."
-                ],
-                'easy': [
-                    "I can tell you some basic things I observed...",
-                    "She left some obvious clues about her interests...",
-                    "I remember some straightforward details...",
-                    "There were some clear indicators about her destination..."
-                ]
-            };
-        }
-        
-        const options = introductions[difficulty] || introductions['easy'];
-        const randomIndex = Math.floor(Math.random() * options.length);
-        return options[randomIndex];
+        return this.pickPhrase(this.getPhrasePool(`clue_introductions.${tier}`, informant, fallbacks[tier]));
     }
 
     // Create investigation completion detection
@@ -403,7 +446,7 @@ export class InformantSystem {
         }
         
         // Check if this is the final destination
-        if (cityData.is_final) {
+        if (this.gameState.isFinalCity(cityData.id)) {
             return {
                 isComplete: true,
                 reason: 'final_destination',
@@ -435,7 +478,7 @@ export class InformantSystem {
             };
         }
         
-        // Check if city has no clues (Nadine wasn't here)
+        // Check if city has no clues (the suspect wasn't here)
         if (!this.hasCityClues(cityId)) {
             return {
                 isComplete: true,
@@ -522,6 +565,26 @@ export class InformantSystem {
                 icon: '🤷',
                 style: 'no-more-info',
                 priority: 'normal'
+            },
+            'trait_reveal': {
+                icon: '🕵️',
+                style: 'trait-reveal',
+                priority: 'high'
+            },
+            'warrant_required': {
+                icon: '📋',
+                style: 'warrant-required',
+                priority: 'high'
+            },
+            'dialogue_node': {
+                icon: '💬',
+                style: 'dialogue-node',
+                priority: 'normal'
+            },
+            'photo_unknown': {
+                icon: '🖼️',
+                style: 'photo-unknown',
+                priority: 'low'
             }
         };
         
@@ -532,6 +595,16 @@ export class InformantSystem {
         };
     }
 
+    // Location whose informant speaks in a city: where the player is in the current city, else where they arrive
+    getInformantLocation(cityData) {
+        if (!cityData) {
+            return null;
+        }
+
+        const locationId = cityData.id === this.gameState.currentCity ? this.gameState.currentLocationId : null;
+        return this.gameState.getCityLocation(cityData, locationId);
+    }
+
     // Helper methods
     getCityDataFromGameState(cityId) {
         if (!this.gameState.gameData || !this.gameState.gameData.cities) {
@@ -614,28 +687,32 @@ export class InformantSystem {
         const warnings = [];
         
         this.gameState.gameData.cities.forEach((city, index) => {
-            if (!city.informant) {
+            const locations = this.gameState.getCityLocations(city);
+            if (locations.length === 0) {
                 errors.push(`City ${city.id} missing informant data`);
                 return;
             }
             
-            const informant = city.informant;
-            const requiredFields = ['name', 'greeting', 'farewell_helpful', 'farewell_unhelpful'];
-            
-            requiredFields.forEach(field => {
-                if (!informant[field] || typeof informant[field] !== 'string') {
-                    errors.push(`City ${city.id} informant missing or invalid ${field}`);
-                }
-            });
-            
             if (!city.not_here_response || typeof city.not_here_response !== 'string') {
                 errors.push(`City ${city.id} missing not_here_response`);
             }
-            
-            // Check for dialogue quality
-            if (informant.greeting && informant.greeting.length < 10) {
-                warnings.push(`City ${city.id} informant greeting is very short`);
-            }
+
+            locations.forEach(location => {
+                const informant = location.informant || {};
+                const where = location.id ? `${city.id}/${location.id}` : city.id;
+                const requiredFields = ['name', 'greeting', 'farewell_helpful', 'farewell_unhelpful'];
+                
+                requiredFields.forEach(field => {
+                    if (!informant[field] || typeof informant[field] !== 'string') {
+                        errors.push(`City ${where} informant missing or invalid ${field}`);
+                    }
+                });
+                
+                // Check for dialogue quality
+                if (informant.greeting && informant.greeting.length < 10) {
+                    warnings.push(`City ${where} informant greeting is very short`);
+                }
+            });
         });
         
         return {
@@ -24,10 +24,28 @@ export class InputValidator {
                 required: true,
                 type: 'string',
                 allowedValues: [
-                    'start-game', 'collect-clues', 'travel', 'select-destination',
-                    'view-clues', 'restart-game', 'back-to-investigation', 'exit-game'
+                    'start-game', 'collect-clues', 'buy-hint', 'visit-location', 'choose-dialogue-option', 'view-dossier',
+                    'issue-warrant', 'travel', 'select-destination', 'view-clues', 'restart-game', 'back-to-investigation', 'exit-game',
+                    'set-route-length', 'set-clue-focus', 'set-difficulty', 'copy-case-link', 'start-daily-case',
+                    'show-campaign-screen', 'start-campaign-case', 'show-continue-screen', 'load-save-slot', 'rename-save-slot',
+                    'delete-save-slot', 'back-to-intro', 'export-case-file', 'import-case-file',
+                    'show-replay', 'replay-toggle-play', 'replay-step', 'replay-set-speed',
+                    'replay-jump-to-city', 'close-replay'
                 ]
             },
+            saveSlotName: {
+                required: true,
+                type: 'string',
+                minLength: 1,
+                maxLength: 40
+            },
+            caseId: {
+                required: true,
+                type: 'string',
+                minLength: 3,
+                maxLength: 32,
+                pattern: /^[a-zA-Z0-9_-]+$/
+            },
             gamePhase: {
                 required: true,
                 type: 'string',
@@ -255,12 +273,23 @@ export class InputValidator {
 
     // Validate action is appropriate for current game phase
     validateActionForPhase(action, phase) {
+        // Finished cases can be replayed from either result screen
+        const replayActions = ['show-replay', 'replay-toggle-play', 'replay-step', 'replay-set-speed', 'replay-jump-to-city', 'close-replay'];
+        // Finished campaign cases lead back to the campaign
+        const campaignActions = ['show-campaign-screen', 'start-campaign-case', 'back-to-intro'];
         const allowedActionsPerPhase = {
-            intro: ['start-game', 'exit-game'],
-            investigation: ['collect-clues', 'travel', 'view-clues', 'restart-game', 'exit-game'],
-            travel: ['select-destination', 'back-to-investigation', 'restart-game', 'exit-game'],
-            conclusion: ['restart-game', 'exit-game'],
-            game_over: ['restart-game', 'exit-game']
+            intro: [
+                'start-game', 'start-daily-case', 'show-campaign-screen', 'start-campaign-case', 'set-route-length',
+                'set-clue-focus', 'set-difficulty', 'exit-game', 'show-continue-screen', 'load-save-slot', 'rename-save-slot', 'delete-save-slot', 'back-to-intro',
+                'import-case-file'
+            ],
+            investigation: [
+                'collect-clues', 'buy-hint', 'visit-location', 'choose-dialogue-option', 'view-dossier', 'issue-warrant', 'travel',
+                'view-clues', 'back-to-investigation', 'restart-game', 'exit-game', 'export-case-file'
+            ],
+            travel: ['select-destination', 'back-to-investigation', 'restart-game', 'exit-game', 'export-case-file'],
+            conclusion: ['restart-game', 'copy-case-link', 'export-case-file', 'exit-game', ...replayActions, ...campaignActions],
+            game_over: ['restart-game', 'copy-case-link', 'export-case-file', 'exit-game', ...replayActions, ...campaignActions]
         };
 
         const allowedActions = allowedActionsPerPhase[phase] || [];
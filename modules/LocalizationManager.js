@@ -359,8 +359,8 @@ export class LocalizationManager {
                     loading_error: languageCode === 'es' ?
                         'Error al cargar datos del juego. Usando datos de emergencia.' :
                         'Error loading game data. Using emergency data.',
-                    correct_city: languageCode === 'es' ? '¡Correcto! Nadine estuvo aquí.' : 'Correct! Nadine was here.',
-                    wrong_city: languageCode === 'es' ? 'Ups... Nadine no ha estado en esta ciudad.' : 'Oops... Nadine has not been in this city.',
+                    correct_city: languageCode === 'es' ? '¡Correcto! {suspect} estuvo aquí.' : 'Correct! {suspect} was here.',
+                    wrong_city: languageCode === 'es' ? 'Ups... {suspect} no ha estado en esta ciudad.' : 'Oops... {suspect} has not been in this city.',
                     game_over_time: languageCode === 'es' ?
                         'Se acabó el tiempo. ¿Quieres intentarlo otra vez?' :
                         'Time is up. Do you want to try again?'
@@ -595,6 +595,27 @@ export class LocalizationManager {
         }
     }
 
+    /**
+     * Get a list of texts (such as an informant phrase pool) in the current language, or in the fallback
+     * language when the current one has none
+     * @param {string} key - Translation key that should point to an array of strings
+     * @returns {Array|null} Array of texts or null if not found
+     */
+    getTranslationArray(key) {
+        const languages = [this.currentLanguage, this.languageConfig.getFallbackLanguage()];
+        for (const language of languages) {
+            const value = this._extractValueFromData(key, this.languageData.get(language));
+            if (Array.isArray(value) && value.every(entry => typeof entry === 'string')) {
+                if (language !== this.currentLanguage) {
+                    this._logTranslationError('fallback_language_used', key, `Translation list '${key}' not found in ${this.currentLanguage}, using fallback language ${language}`);
+                }
+                return value;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Handle missing language data with fallback mechanisms
      * @param {string} key - Translation key
@@ -695,6 +716,18 @@ export class LocalizationManager {
      * @private
      */
     _extractTranslationFromData(key, data) {
+        const value = this._extractValueFromData(key, data);
+        return typeof value === 'string' ? value : null;
+    }
+
+    /**
+     * Extract any value (string, array or nested object) from language data
+     * @param {string} key - Translation key
+     * @param {Object} data - Language data object
+     * @returns {*} Value or null if not found
+     * @private
+     */
+    _extractValueFromData(key, data) {
         if (!data || !key) return null;
 
         try {
@@ -709,7 +742,7 @@ export class LocalizationManager {
                 }
             }
 
-            return typeof value === 'string' ? value : null;
+            return value;
         } catch (error) {
             return null;
         }
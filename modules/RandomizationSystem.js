@@ -3,10 +3,24 @@
  * Handles all randomization with fairness guarantees and validation
  */
 
+// Advance a mulberry32 generator state, returning the next number (0-1) and the new state
+function nextMulberry32(state) {
+    const nextState = (state + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return {
+        value: ((t ^ (t >>> 14)) >>> 0) / 4294967296,
+        state: nextState
+    };
+}
+
 export class RandomizationSystem {
     constructor(gameState) {
         this.gameState = gameState;
-        this.randomSeed = null;
+        this.randomSeed = null; // 32-bit seed the generator started from
+        this.randomState = null; // Current 32-bit mulberry32 state (saved with the game)
+        this.caseSeed = null; // Shareable case ID the current seed was derived from
         this.selectionHistory = {
             startingCities: [],
             clueSelections: new Map(),
@@ -14,13 +28,16 @@ export class RandomizationSystem {
         };
     }
 
-    // Initialize randomization system with optional seed
+    // Initialize randomization system with optional seed (case IDs are hashed into a numeric seed)
     initialize(seed = null) {
         if (seed !== null) {
-            this.randomSeed = seed;
+            this.caseSeed = String(seed);
+            this.randomSeed = typeof seed === 'number' ? seed >>> 0 : this.hashSeed(seed);
         } else {
-            this.randomSeed = Date.now() + Math.random();
+            this.caseSeed = null;
+            this.randomSeed = this.hashSeed(`${Date.now()}:${Math.random()}`);
         }
+        this.randomState = this.randomSeed;
         
         // Reset selection history for new session
         this.resetSelectionHistory();
@@ -39,25 +56,118 @@ export class RandomizationSystem {
 
     // Generate seeded random number (0-1) for consistent randomization
     seededRandom() {
-        // Simple linear congruential generator for consistent randomization
-        this.randomSeed = (this.randomSeed * 9301 + 49297) % 233280;
-        return this.randomSeed / 233280;
+        // mulberry32: full 2^32 period and a single 32-bit state that is easy to save
+        const next = nextMulberry32(this.randomState);
+        this.randomState = next.state;
+        return next.value;
     }
 
     // Get random number using either seeded or native Math.random
     getRandom() {
-        return this.randomSeed !== null ? this.seededRandom() : Math.random();
+        return this.randomState !== null ? this.seededRandom() : Math.random();
+    }
+
+    // Snapshot of the generator so a saved game can resume the same random sequence
+    getGeneratorState() {
+        return {
+            algorithm: 'mulberry32',
+            seed: this.randomSeed,
+            state: this.randomState,
+            caseSeed: this.caseSeed,
+            selectionHistory: {
+                startingCities: [...this.selectionHistory.startingCities],
+                difficultyDistribution: { ...this.selectionHistory.difficultyDistribution }
+            }
+        };
+    }
+
+    // Check that a saved generator snapshot can be restored
+    isValidGeneratorState(generatorState) {
+        if (!generatorState || typeof generatorState !== 'object' || generatorState.algorithm !== 'mulberry32') {
+            return false;
+        }
+
+        const isUint32 = (value) => Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF;
+        if (!isUint32(generatorState.seed) || !isUint32(generatorState.state)) {
+            return false;
+        }
+
+        if (generatorState.caseSeed !== null && typeof generatorState.caseSeed !== 'string') {
+            return false;
+        }
+
+        const history = generatorState.selectionHistory;
+        return Boolean(history) &&
+            Array.isArray(history.startingCities) &&
+            Boolean(history.difficultyDistribution) &&
+            ['easy', 'medium', 'difficult'].every(difficulty => Number.isInteger(history.difficultyDistribution[difficulty]));
+    }
+
+    // Restore a snapshot taken by getGeneratorState
+    restoreGeneratorState(generatorState) {
+        if (!this.isValidGeneratorState(generatorState)) {
+            console.warn('RandomizationSystem: Ignoring invalid generator state:', generatorState);
+            return false;
+        }
+
+        this.randomSeed = generatorState.seed;
+        this.randomState = generatorState.state;
+        this.caseSeed = generatorState.caseSeed;
+        this.selectionHistory = {
+            startingCities: [...generatorState.selectionHistory.startingCities],
+            clueSelections: new Map(),
+            difficultyDistribution: { ...generatorState.selectionHistory.difficultyDistribution }
+        };
+
+        console.log('RandomizationSystem restored generator state:', this.randomState);
+        return true;
+    }
+
+    // Hash a case ID into a 32-bit numeric seed (FNV-1a)
+    hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Create an independent random stream for one decision of a seeded case,
+    // so the outcome does not depend on the order in which the player acts
+    createScopedRandom(scope) {
+        if (this.caseSeed === null) {
+            return () => this.getRandom();
+        }
+
+        let scopedState = this.hashSeed(`${this.caseSeed}:${scope}`);
+        return () => {
+            const next = nextMulberry32(scopedState);
+            scopedState = next.state;
+            return next.value;
+        };
+    }
+
+    // Generate a short, shareable case ID
+    generateCaseId(length = 6) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let caseId = '';
+        for (let i = 0; i < length; i++) {
+            caseId += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
+        }
+        return caseId;
     }
 
     // Fair random starting city selection with validation
-    selectRandomStartingCity(cities) {
+    selectRandomStartingCity(cities, finalCityId = null) {
         if (!cities || !Array.isArray(cities) || cities.length === 0) {
             console.error('Invalid cities array provided for starting city selection');
             return null;
         }
 
-        // Filter out final cities (Buenos Aires)
-        const availableStartingCities = cities.filter(city => !city.is_final);
+        // Filter out the final city (where the suspect hides)
+        const availableStartingCities = cities.filter(city => city.id !== finalCityId);
         
         if (availableStartingCities.length === 0) {
             console.error('No valid starting cities available');
@@ -75,7 +185,7 @@ export class RandomizationSystem {
         this.recordStartingCitySelection(selectedCity);
         
         // Validate selection
-        const validationResult = this.validateStartingCitySelection(selectedCity, cities);
+        const validationResult = this.validateStartingCitySelection(selectedCity, cities, finalCityId);
         if (!validationResult.isValid) {
             console.error('Starting city selection validation failed:', validationResult.errors);
             return null;
@@ -113,7 +223,7 @@ export class RandomizationSystem {
     }
 
     // Validate starting city selection
-    validateStartingCitySelection(selectedCity, allCities) {
+    validateStartingCitySelection(selectedCity, allCities, finalCityId = null) {
         const errors = [];
         
         if (!selectedCity) {
@@ -127,8 +237,8 @@ export class RandomizationSystem {
                 errors.push('Selected city missing valid name');
             }
             
-            if (selectedCity.is_final === true) {
-                errors.push('Selected city is marked as final destination');
+            if (selectedCity.id === finalCityId) {
+                errors.push('Selected city is the final destination');
             }
             
             // Verify city exists in the provided cities array
@@ -144,13 +254,15 @@ export class RandomizationSystem {
         };
     }
 
-    // Fair clue randomization across difficulty tiers
+    // Fair clue randomization across difficulty tiers (a category picks clues of that category where a tier has any)
     selectRandomClues(cityClues, options = {}) {
         const {
             maxCluesPerDifficulty = 1,
             ensureFairDistribution = true,
             specificDifficulty = null,
-            includeAllDifficulties = true
+            includeAllDifficulties = true,
+            selectionScope = null,
+            category = null
         } = options;
 
         if (!cityClues || typeof cityClues !== 'object') {
@@ -163,6 +275,9 @@ export class RandomizationSystem {
             [specificDifficulty] : 
             ['easy', 'medium', 'difficult'];
 
+        // Seeded cases pick clues from a stream tied to this selection only
+        const random = selectionScope ? this.createScopedRandom(selectionScope) : () => this.getRandom();
+
         difficulties.forEach(difficulty => {
             if (!cityClues[difficulty] || !Array.isArray(cityClues[difficulty]) || cityClues[difficulty].length === 0) {
                 console.warn(`No ${difficulty} clues available for selection`);
@@ -179,9 +294,10 @@ export class RandomizationSystem {
 
             // Select clues from this difficulty tier
             const cluesFromDifficulty = this.selectCluesFromDifficulty(
-                cityClues[difficulty], 
+                this.filterCluesByCategory(cityClues[difficulty], category),
                 difficulty, 
-                maxCluesPerDifficulty
+                maxCluesPerDifficulty,
+                random
             );
             
             selectedClues.push(...cluesFromDifficulty);
@@ -223,18 +339,28 @@ export class RandomizationSystem {
         return this.getRandom() < 0.3;
     }
 
+    // Clues of a tier in the requested category; the whole tier when it has none (or no category was requested)
+    filterCluesByCategory(tierClues, category) {
+        const categoryClues = category ? tierClues.filter(clue => clue.category === category) : [];
+        if (category && categoryClues.length === 0) {
+            console.log(`No ${category} clues in this tier, selecting from every category`);
+        }
+        return categoryClues.length > 0 ? categoryClues : tierClues;
+    }
+
     // Select clues from a specific difficulty tier
-    selectCluesFromDifficulty(availableClues, difficulty, maxClues) {
+    selectCluesFromDifficulty(availableClues, difficulty, maxClues, random = () => this.getRandom()) {
         const selectedClues = [];
         const cluesCopy = [...availableClues];
         const numToSelect = Math.min(maxClues, cluesCopy.length);
 
         for (let i = 0; i < numToSelect; i++) {
-            const randomIndex = Math.floor(this.getRandom() * cluesCopy.length);
+            const randomIndex = Math.floor(random() * cluesCopy.length);
             const selectedClue = cluesCopy.splice(randomIndex, 1)[0];
             
             selectedClues.push({
-                text: selectedClue,
+                text: selectedClue.text,
+                category: selectedClue.category,
                 difficulty: difficulty,
                 selectionIndex: randomIndex,
                 totalAvailable: availableClues.length
@@ -272,7 +398,7 @@ export class RandomizationSystem {
 
             // Verify clue exists in original clues
             if (clue.difficulty && originalClues[clue.difficulty]) {
-                const clueExists = originalClues[clue.difficulty].includes(clue.text);
+                const clueExists = originalClues[clue.difficulty].some(entry => entry.text === clue.text);
                 if (!clueExists) {
                     errors.push(`Clue at index ${index} not found in original ${clue.difficulty} clues`);
                 }
@@ -429,6 +555,9 @@ export class RandomizationSystem {
             warnings: []
         };
 
+        // Validation draws numbers too; remember where the generator was
+        const generatorState = this.randomState;
+
         // Test 1: Verify random number generation
         try {
             const randomNumbers = [];
@@ -471,12 +600,12 @@ export class RandomizationSystem {
         }
 
         // Test 3: Verify seed consistency (if using seeded random)
-        if (this.randomSeed !== null) {
-            const originalSeed = this.randomSeed;
+        if (this.randomState !== null) {
+            const originalState = this.randomState;
             const firstRandom = this.seededRandom();
             
-            // Reset seed and verify we get the same result
-            this.randomSeed = originalSeed;
+            // Reset state and verify we get the same result
+            this.randomState = originalState;
             const secondRandom = this.seededRandom();
             
             if (Math.abs(firstRandom - secondRandom) > 0.0001) {
@@ -484,6 +613,9 @@ export class RandomizationSystem {
             }
         }
 
+        // Leave the game's random sequence untouched
+        this.randomState = generatorState;
+
         console.log('Randomization system validation completed:', validationResults);
         return validationResults;
     }
@@ -495,6 +627,8 @@ export class RandomizationSystem {
 
         return {
             sessionSeed: this.randomSeed,
+            generatorState: this.randomState,
+            caseSeed: this.caseSeed,
             startingCitySelections: this.selectionHistory.startingCities.length,
             recentStartingCities: this.selectionHistory.startingCities.slice(-5),
             difficultyDistribution: { ...this.selectionHistory.difficultyDistribution },
@@ -271,6 +271,11 @@ export class RuntimeLanguageSwitcher {
                 // Store language preference
                 this.storeLanguagePreference(languageCode);
 
+                // Record the switch in the open case's action log
+                if (this.uiManager.gameController) {
+                    this.uiManager.gameController.recordLanguageChange(languageCode, currentLanguage);
+                }
+
                 // Show success feedback
                 this.showLanguageChangeSuccess(languageCode);
 
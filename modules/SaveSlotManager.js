@@ -0,0 +1,134 @@
+/**
+ * SaveSlotManager.js - Named Save Slots
+ * Keeps one save slot per started case so a new case never overwrites an older one
+ */
+
+import { PERSISTENT_STORAGE_KEYS } from './SessionManager.js';
+
+export class SaveSlotManager {
+    constructor() {
+        this.storageKey = PERSISTENT_STORAGE_KEYS.saveSlots;
+        this.maxSlots = 10;
+        this.maxNameLength = 40;
+    }
+
+    // Load every stored slot
+    loadSlots() {
+        try {
+            const storedSlots = localStorage.getItem(this.storageKey);
+            if (storedSlots) {
+                const parsedSlots = JSON.parse(storedSlots);
+                if (Array.isArray(parsedSlots)) {
+                    return parsedSlots.filter(slot => this.isValidSlot(slot));
+                }
+                console.warn('SaveSlotManager: Ignoring malformed save slots');
+            }
+        } catch (error) {
+            console.warn('SaveSlotManager: Could not load save slots:', error);
+        }
+        return [];
+    }
+
+    // Persist every slot
+    saveSlots(slots) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(slots));
+            return true;
+        } catch (error) {
+            console.warn('SaveSlotManager: Could not save slots:', error);
+            return false;
+        }
+    }
+
+    // Check the basic shape of a stored slot
+    isValidSlot(slot) {
+        return Boolean(slot) &&
+            typeof slot.id === 'string' &&
+            (slot.name === null || typeof slot.name === 'string') &&
+            Boolean(slot.state) && typeof slot.state === 'object';
+    }
+
+    // Generate a unique slot ID
+    generateSlotId() {
+        return 'slot_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+    }
+
+    // Slots ordered from most to least recently saved
+    listSlots() {
+        return this.loadSlots().sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    // Least recently saved slot (the one a new case replaces when every slot is in use)
+    getOldestSlot(slots = this.loadSlots()) {
+        return slots.reduce((oldest, slot) =>
+            !oldest || String(slot.savedAt) < String(oldest.savedAt) ? slot : oldest, null);
+    }
+
+    // Whether a new case needs to replace an existing slot
+    isFull() {
+        return this.getSlotCount() >= this.maxSlots;
+    }
+
+    // Get a single slot by ID
+    getSlot(slotId) {
+        return this.loadSlots().find(slot => slot.id === slotId) || null;
+    }
+
+    // Write a saved game state into its slot, creating the slot when needed
+    writeSlot(slotId, state) {
+        const slots = this.loadSlots();
+        const savedAt = state.savedAt || new Date().toISOString();
+        const existingSlot = slots.find(slot => slot.id === slotId);
+
+        if (existingSlot) {
+            existingSlot.state = state;
+            existingSlot.savedAt = savedAt;
+        } else {
+            // Make room by dropping the least recently saved case (the player agreed to this when starting the case)
+            while (slots.length >= this.maxSlots) {
+                const oldestSlot = this.getOldestSlot(slots);
+                console.log(`SaveSlotManager: Slot limit reached, removing ${oldestSlot.id}`);
+                slots.splice(slots.indexOf(oldestSlot), 1);
+            }
+
+            slots.push({
+                id: slotId,
+                name: null, // Null shows the default (translated) case name
+                createdAt: savedAt,
+                savedAt: savedAt,
+                state: state
+            });
+        }
+
+        return this.saveSlots(slots);
+    }
+
+    // Rename a slot (an empty name restores the default name)
+    renameSlot(slotId, name) {
+        const slots = this.loadSlots();
+        const slot = slots.find(entry => entry.id === slotId);
+        if (!slot) {
+            console.warn(`SaveSlotManager: Cannot rename missing slot ${slotId}`);
+            return false;
+        }
+
+        const trimmedName = typeof name === 'string' ? name.trim().slice(0, this.maxNameLength) : '';
+        slot.name = trimmedName || null;
+        return this.saveSlots(slots);
+    }
+
+    // Delete a slot
+    deleteSlot(slotId) {
+        const slots = this.loadSlots();
+        const remainingSlots = slots.filter(slot => slot.id !== slotId);
+        if (remainingSlots.length === slots.length) {
+            return false;
+        }
+        return this.saveSlots(remainingSlots);
+    }
+
+    // Number of stored slots
+    getSlotCount() {
+        return this.loadSlots().length;
+    }
+}
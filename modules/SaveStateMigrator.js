@@ -0,0 +1,176 @@
+/**
+ * SaveStateMigrator.js - Saved Game Schema Migrations
+ * Upgrades saved game states from older schema versions to the current one
+ */
+
+import { GameClock } from './GameClock.js';
+
+// Current saved-state schema version (bump it and add a migration when the saved shape changes)
+//   1 - original saves (no schemaVersion field)
+//   2 - configurable route length and shareable case IDs
+//   3 - random generator state and save slot IDs
+//   4 - action log
+//   5 - in-game clock and case deadline
+//   6 - difficulty presets
+//   7 - hints bought from informants
+//   8 - suspect dossier and warrant
+//   9 - suspect of the case
+//  10 - informant locations within a city
+export const SAVE_SCHEMA_VERSION = 10;
+
+export class SaveStateMigrator {
+    constructor(defaults = {}) {
+        this.currentVersion = SAVE_SCHEMA_VERSION;
+        this.defaults = {
+            routeLength: 5,
+            maxAttempts: 3,
+            difficulty: 'detective',
+            suspectId: 'nadine',
+            ...defaults
+        };
+
+        // version -> function upgrading a state from that version to the next one
+        this.migrations = {
+            1: (state) => this.migrateV1ToV2(state),
+            2: (state) => this.migrateV2ToV3(state),
+            3: (state) => this.migrateV3ToV4(state),
+            4: (state) => this.migrateV4ToV5(state),
+            5: (state) => this.migrateV5ToV6(state),
+            6: (state) => this.migrateV6ToV7(state),
+            7: (state) => this.migrateV7ToV8(state),
+            8: (state) => this.migrateV8ToV9(state),
+            9: (state) => this.migrateV9ToV10(state)
+        };
+    }
+
+    // Upgrade a saved state to the current schema version
+    migrate(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return { state: null, fromVersion: null, migrated: false, error: 'unreadable' };
+        }
+
+        const fromVersion = state.schemaVersion === undefined ? 1 : state.schemaVersion;
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            return { state: null, fromVersion: null, migrated: false, error: 'unknown_version' };
+        }
+
+        if (fromVersion > this.currentVersion) {
+            return { state: null, fromVersion, migrated: false, error: 'newer_version' };
+        }
+
+        let migratedState = { ...state };
+        for (let version = fromVersion; version < this.currentVersion; version++) {
+            migratedState = this.migrations[version](migratedState);
+            migratedState.schemaVersion = version + 1;
+        }
+
+        if (fromVersion < this.currentVersion) {
+            console.log(`SaveStateMigrator: Upgraded saved state from v${fromVersion} to v${this.currentVersion}`);
+        }
+
+        return {
+            state: migratedState,
+            fromVersion,
+            migrated: fromVersion < this.currentVersion,
+            error: null
+        };
+    }
+
+    // v1 -> v2: add route length and case ID, fill stats added after the first release
+    // (unversioned saves may already carry newer fields, so existing values are kept)
+    migrateV1ToV2(state) {
+        const cityRoute = Array.isArray(state.cityRoute) ? state.cityRoute : [];
+        const gameStats = state.gameStats && typeof state.gameStats === 'object' ? state.gameStats : {};
+        const currentCityIndex = Number.isInteger(state.currentCityIndex) ? state.currentCityIndex : 0;
+
+        return {
+            ...state,
+            routeLength: state.routeLength || (cityRoute.length > 0 ? cityRoute.length : this.defaults.routeLength),
+            caseId: state.caseId || null,
+            gameStats: {
+                startTime: null,
+                score: 0,
+                citiesCompleted: currentCityIndex,
+                ...gameStats,
+                // Early builds allowed more attempts than the game has now
+                attemptsRemaining: typeof gameStats.attemptsRemaining === 'number' ?
+                    Math.min(Math.max(gameStats.attemptsRemaining, 0), this.defaults.maxAttempts) :
+                    this.defaults.maxAttempts
+            }
+        };
+    }
+
+    // v2 -> v3: saves start recording the generator state and their save slot
+    migrateV2ToV3(state) {
+        return {
+            ...state,
+            randomState: state.randomState || null,
+            saveSlotId: state.saveSlotId || null
+        };
+    }
+
+    // v3 -> v4: saves carry the action log (older cases start with an empty, non-replayable log)
+    migrateV3ToV4(state) {
+        return {
+            ...state,
+            actionLog: Array.isArray(state.actionLog) ? state.actionLog : []
+        };
+    }
+
+    // v4 -> v5: cases get an in-game clock (older cases resume at the start of the case week)
+    migrateV4ToV5(state) {
+        const gameStats = state.gameStats && typeof state.gameStats === 'object' ? state.gameStats : {};
+        const caseClock = new GameClock().createCaseClock(state.routeLength || this.defaults.routeLength);
+
+        return {
+            ...state,
+            gameStats: {
+                ...gameStats,
+                clockHours: typeof gameStats.clockHours === 'number' ? gameStats.clockHours : caseClock.startHour,
+                deadlineHour: typeof gameStats.deadlineHour === 'number' ? gameStats.deadlineHour : caseClock.deadlineHour
+            }
+        };
+    }
+
+    // v5 -> v6: cases record their difficulty preset (older cases were played with the standard rules)
+    migrateV5ToV6(state) {
+        return {
+            ...state,
+            difficulty: state.difficulty || this.defaults.difficulty
+        };
+    }
+
+    // v6 -> v7: cases track the hints bought from informants (older cases bought none)
+    migrateV6ToV7(state) {
+        return {
+            ...state,
+            hintsBought: Array.isArray(state.hintsBought) ? state.hintsBought : []
+        };
+    }
+
+    // v7 -> v8: cases carry a suspect dossier (older cases have none, so their arrest needs no warrant)
+    migrateV7ToV8(state) {
+        return {
+            ...state,
+            dossier: state.dossier || null,
+            revealedTraits: state.revealedTraits || {},
+            warrant: state.warrant || null
+        };
+    }
+
+    // v8 -> v9: cases from before suspects rotated all chased the default suspect
+    migrateV8ToV9(state) {
+        return {
+            ...state,
+            suspectId: state.suspectId || this.defaults.suspectId
+        };
+    }
+
+    // v9 -> v10: cities gained several informant locations (older saves are where they arrived)
+    migrateV9ToV10(state) {
+        return {
+            ...state,
+            currentLocationId: state.currentLocationId || null
+        };
+    }
+}
@@ -3,6 +3,18 @@
  * Handles session management, isolation, and restart functionality
  */
 
+// A deep session clean removes every localStorage key containing this namespace (autosave, backups, error log)
+export const SESSION_STORAGE_NAMESPACE = 'nadine-vuan';
+
+// Player data that must outlive session cleans and new cases, so its keys stay outside SESSION_STORAGE_NAMESPACE
+export const PERSISTENT_STORAGE_KEYS = {
+    saveSlots: 'nadine_game_save_slots',
+    dailyCases: 'nadine_game_daily_cases',
+    highScores: 'nadine_game_high_scores',
+    campaign: 'nadine_game_campaign',
+    gameSettings: 'nadine_game_settings'
+};
+
 export class SessionManager {
     constructor(gameState, uiManager) {
         this.gameState = gameState;
@@ -153,7 +165,7 @@ export class SessionManager {
         const keysToRemove = [];
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
-            if (key && key.includes('nadine-vuan') && key !== this.languagePreferenceKey) {
+            if (key && key.includes(SESSION_STORAGE_NAMESPACE) && key !== this.languagePreferenceKey) {
                 keysToRemove.push(key);
             }
         }
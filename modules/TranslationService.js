@@ -7,6 +7,7 @@ export class TranslationService {
     constructor(localizationManager) {
         this.localizationManager = localizationManager;
         this.translationObservers = new Set();
+        this.defaultParamsProvider = null; // Returns parameters every translation can use (e.g. the case's suspect)
         
         // Bind methods to maintain context
         this.translate = this.translate.bind(this);
@@ -14,6 +15,34 @@ export class TranslationService {
         this.translateAll = this.translateAll.bind(this);
     }
 
+    /**
+     * Set the provider of parameters available to every translation; explicit params take precedence
+     * @param {Function|null} provider - Returns an object of parameters, or null to remove the provider
+     */
+    setDefaultParamsProvider(provider) {
+        this.defaultParamsProvider = typeof provider === 'function' ? provider : null;
+    }
+
+    /**
+     * Merge the default parameters into explicit ones when the text has placeholders left to fill
+     * @param {string} text - Text that may contain placeholders
+     * @param {Object} params - Explicit parameters
+     * @returns {Object} Parameters to substitute
+     * @private
+     */
+    _withDefaultParams(text, params) {
+        if (!this.defaultParamsProvider || typeof text !== 'string' || !text.includes('{')) {
+            return params || {};
+        }
+
+        try {
+            return { ...this.defaultParamsProvider(), ...(params || {}) };
+        } catch (error) {
+            console.warn('TranslationService: Default parameters unavailable:', error);
+            return params || {};
+        }
+    }
+
     /**
      * Translate a key with optional parameter substitution and enhanced error handling
      * @param {string} key - Translation key (e.g., 'ui.buttons.start_game')
@@ -31,6 +60,7 @@ export class TranslationService {
 
             // Get base translation from LocalizationManager
             let translation = this.localizationManager.getTranslation(key, fallback);
+            params = this._withDefaultParams(translation, params);
 
             // Apply parameter substitution if parameters provided
             if (params && Object.keys(params).length > 0) {
@@ -392,7 +422,7 @@ export class TranslationService {
         }
         
         // Add count to parameters
-        const allParams = { count, ...params };
+        const allParams = this._withDefaultParams(translation, { count, ...params });
         
         return this._substituteParameters(translation, allParams);
     }
@@ -597,16 +627,16 @@ export class TranslationService {
             }
 
             // Get the translation data
-            const translation = this.localizationManager.getTranslation(key);
+            const translation = this.localizationManager.getTranslationArray(key);
 
             // Check if the translation is an array
             if (Array.isArray(translation)) {
-                return translation;
+                return translation.map(entry => this._substituteParameters(entry, this._withDefaultParams(entry, {})));
             }
 
             // If not an array, log warning and return fallback
             this._logTranslationServiceError('not_array', key,
-                `Translation key '${key}' does not point to an array, got: ${typeof translation}`);
+                `Translation key '${key}' does not point to an array of texts`);
             return fallback;
 
         } catch (error) {
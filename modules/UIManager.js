@@ -5,6 +5,7 @@
 
 import { AssetLoader } from './AssetLoader.js';
 import { NetworkMonitor } from './NetworkMonitor.js';
+import { WorldMap } from './WorldMap.js';
 
 export class UIManager {
     constructor(gameController) {
@@ -13,7 +14,11 @@ export class UIManager {
         this.elements = {};
         this.assetLoader = null; // Will be initialized after ErrorHandler is available
         this.networkMonitor = null;
+        this.worldMap = null;
+        this.isTravelAnimating = false; // A flight is being animated; destinations are ignored until it lands
+        this.currentHintOffer = null; // Hint on offer in the current city (re-rendered on language changes)
         this.loadingIndicators = new Map();
+        this.dailyCaseResultVisible = false;
     }
 
     // Initialize UI elements and event listeners
@@ -33,20 +38,60 @@ export class UIManager {
         // Cache screen elements
         this.screens = {
             intro: document.getElementById('intro-screen'),
+            continue: document.getElementById('continue-screen'),
+            campaign: document.getElementById('campaign-screen'),
             investigation: document.getElementById('investigation-screen'),
             travel: document.getElementById('travel-screen'),
             clues: document.getElementById('clues-screen'),
             finalEncounter: document.getElementById('final-encounter-screen'),
             gameOver: document.getElementById('game-over-screen'),
+            replay: document.getElementById('replay-screen'),
+            dossier: document.getElementById('dossier-screen'),
             loading: document.getElementById('loading-screen')
         };
 
         // Cache UI elements
         this.elements = {
             startGameBtn: document.getElementById('start-game-btn'),
+            difficultySelect: document.getElementById('difficulty-select'),
+            difficultyDescription: document.getElementById('difficulty-description'),
+            victoryCaseSummary: document.getElementById('victory-case-summary'),
+            routeLengthSelect: document.getElementById('route-length-select'),
+            clueFocusSelect: document.getElementById('clue-focus-select'),
+            sharedCaseBanner: document.getElementById('shared-case-banner'),
+            dailyCaseBtn: document.getElementById('daily-case-btn'),
+            dailyCaseStatus: document.getElementById('daily-case-status'),
+            dailyCaseResult: document.getElementById('daily-case-result'),
+            campaignBtn: document.getElementById('campaign-btn'),
+            campaignProgress: document.getElementById('campaign-progress'),
+            campaignCaseList: document.getElementById('campaign-case-list'),
+            campaignBackBtn: document.getElementById('campaign-back-btn'),
+            continueCaseBtn: document.getElementById('continue-case-btn'),
+            saveSlotList: document.getElementById('save-slot-list'),
+            backToIntroBtn: document.getElementById('back-to-intro-btn'),
+            replaySummary: document.getElementById('replay-summary'),
+            replayCityTimeline: document.getElementById('replay-city-timeline'),
+            replayStageTitle: document.getElementById('replay-stage-title'),
+            replayStageDetails: document.getElementById('replay-stage-details'),
+            replayStepList: document.getElementById('replay-step-list'),
+            replayPlayBtn: document.getElementById('replay-play-btn'),
+            replayStepBtn: document.getElementById('replay-step-btn'),
+            replaySpeedSelect: document.getElementById('replay-speed-select'),
             collectCluesBtn: document.getElementById('collect-clues-btn'),
+            dialogueOptions: document.getElementById('dialogue-options'),
+            locationPanel: document.getElementById('location-panel'),
+            locationList: document.getElementById('location-list'),
+            hintPanel: document.getElementById('hint-panel'),
+            hintOfferText: document.getElementById('hint-offer-text'),
+            buyHintPointsBtn: document.getElementById('buy-hint-points-btn'),
+            buyHintHoursBtn: document.getElementById('buy-hint-hours-btn'),
             travelBtn: document.getElementById('travel-btn'),
             viewCluesBtn: document.getElementById('view-clues-btn'),
+            viewDossierBtn: document.getElementById('view-dossier-btn'),
+            dossierTraitList: document.getElementById('dossier-trait-list'),
+            dossierStatus: document.getElementById('dossier-status'),
+            issueWarrantBtn: document.getElementById('issue-warrant-btn'),
+            closeDossierBtn: document.getElementById('close-dossier-btn'),
             backToInvestigationBtn: document.getElementById('back-to-investigation-btn'),
             closeCluesBtn: document.getElementById('close-clues-btn'),
             restartGameBtn: document.getElementById('restart-game-btn'),
@@ -56,12 +101,24 @@ export class UIManager {
             attemptsRemainingCount: document.getElementById('attempts-remaining-count'),
             citiesVisitedCount: document.getElementById('cities-visited-count'),
             cluesCollectedCount: document.getElementById('clues-collected-count'),
+            gameClockCount: document.getElementById('game-clock-count'),
             cityScene: document.getElementById('city-scene'),
             dialogueText: document.getElementById('dialogue-text'),
             cluesList: document.getElementById('clues-list'),
             cityMarkers: document.getElementById('city-markers')
         };
 
+        // Interactive world map (travel screen)
+        this.worldMap = new WorldMap(
+            document.getElementById('world-map-container'),
+            document.getElementById('world-map'),
+            this.elements.cityMarkers
+        );
+        this.worldMap.translate = (key, params, fallback) => this.gameController.translationService ?
+            this.gameController.translationService.translate(key, params, fallback) :
+            fallback;
+        this.worldMap.init();
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -97,6 +154,9 @@ export class UIManager {
             { selector: '#collect-clues-btn', key: 'ui.buttons.collect_clues', attribute: 'innerHTML', template: '<i class="fas fa-search"></i> {text}' },
             { selector: '#travel-btn', key: 'ui.buttons.travel', attribute: 'innerHTML', template: '<i class="fas fa-plane"></i> {text}' },
             { selector: '#view-clues-btn', key: 'ui.buttons.view_clues', attribute: 'innerHTML', template: '<i class="fas fa-list"></i> {text}' },
+            { selector: '#view-dossier-btn', key: 'ui.buttons.view_dossier', attribute: 'innerHTML', template: '<i class="fas fa-user-secret"></i> {text}' },
+            { selector: '#issue-warrant-btn', key: 'ui.buttons.issue_warrant', attribute: 'innerHTML', template: '<i class="fas fa-gavel"></i> {text}' },
+            { selector: '#close-dossier-btn', key: 'ui.buttons.back_to_investigation', attribute: 'innerHTML', template: '<i class="fas fa-arrow-left"></i> {text}' },
             { selector: '#back-to-investigation-btn', key: 'ui.buttons.back_to_investigation', attribute: 'innerHTML', template: '<i class="fas fa-arrow-left"></i> {text}' },
             { selector: '#close-clues-btn', key: 'ui.buttons.close_clues', attribute: 'innerHTML', template: '<i class="fas fa-times"></i> {text}' },
             { selector: '#restart-game-btn', key: 'ui.buttons.restart_game', attribute: 'innerHTML', template: '<i class="fas fa-redo"></i> {text}' },
@@ -180,6 +240,46 @@ export class UIManager {
             // Update progress labels with translated text
             this.updateProgressLabels();
 
+            // Re-render the hint offer in the new language
+            if (this.currentHintOffer) {
+                this.updateHintOffer(this.currentHintOffer);
+            }
+
+            // Update case setup option labels on the welcome screen
+            this.updateDifficultyOptionLabels();
+            this.updateRouteLengthOptionLabels();
+            this.updateClueFocusOptionLabels();
+            this.showSharedCaseBanner(this.gameController.sharedCase);
+            if (this.gameController.dailyCaseManager) {
+                this.updateDailyCaseStatus(this.gameController.dailyCaseManager.getStatus());
+            }
+
+            // Re-render saved case details (dates and default names are localized)
+            if (this.screens.continue && this.screens.continue.classList.contains('active')) {
+                this.renderSaveSlots(this.gameController.getSaveSlotSummaries());
+            }
+
+            // Re-render campaign case titles and details
+            if (this.screens.campaign && this.screens.campaign.classList.contains('active')) {
+                this.renderCampaign(this.gameController.getCampaignView());
+            }
+
+            // Update world map control and group labels
+            if (this.worldMap) {
+                this.worldMap.updateControlLabels();
+                this.worldMap.layoutMarkers();
+            }
+
+            // Re-render replay step descriptions
+            if (this.screens.replay && this.screens.replay.classList.contains('active')) {
+                this.renderReplay(this.gameController.caseReplay.getView());
+            }
+
+            // Re-render dossier trait names (they come from the localized game data)
+            if (this.screens.dossier && this.screens.dossier.classList.contains('active')) {
+                this.renderDossier(this.gameController.getDossierView());
+            }
+
             // Update screen-specific content
             this.updateScreenSpecificTranslations();
 
@@ -198,10 +298,10 @@ export class UIManager {
             const cityData = this.gameController.getCityData(this.gameController.gameState.currentCity);
             const hasClues = this.gameController.hasCityClues(this.gameController.gameState.currentCity);
 
-            if (cityData && cityData.is_final) {
-                // Buenos Aires - final destination
+            if (cityData && this.gameController.gameState.isFinalCity(cityData.id)) {
+                // The suspect's final city - final destination
                 this.elements.collectCluesBtn.disabled = false;
-                const buttonText = translationService.translate('ui.buttons.find_nadine', {}, 'Find Nadine');
+                const buttonText = translationService.translate('ui.buttons.find_suspect', {}, 'Find {suspect}');
                 this.elements.collectCluesBtn.innerHTML = `<i class="fas fa-user-check"></i> ${buttonText}`;
             } else if (hasClues) {
                 // City has clues - enable button
@@ -223,6 +323,106 @@ export class UIManager {
         }
     }
 
+    // Show the hint on offer in the current city and what each way of paying for it costs (null hides it)
+    updateHintOffer(offer) {
+        const panel = this.elements.hintPanel;
+        if (!panel) return;
+
+        this.currentHintOffer = offer;
+        if (!offer) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        const tierFallbacks = { medium: 'medium', easy: 'easy' };
+        const tier = translate(`ui.hints.tier_${offer.difficulty}`, {}, tierFallbacks[offer.difficulty] || offer.difficulty);
+
+        if (this.elements.hintOfferText) {
+            this.elements.hintOfferText.textContent = translate(
+                'ui.hints.offer',
+                { tier, reward: offer.reward },
+                `Ask for a more obvious (${tier}) clue? A correct guess from here is worth ${offer.reward} points.`
+            );
+        }
+
+        if (this.elements.buyHintPointsBtn) {
+            this.elements.buyHintPointsBtn.disabled = !offer.canPayPoints;
+            this.elements.buyHintPointsBtn.innerHTML = `<i class="fas fa-star-half-alt"></i> ${translate('ui.hints.pay_points', { points: offer.points }, `Pay ${offer.points} pt`)}`;
+        }
+
+        if (this.elements.buyHintHoursBtn) {
+            this.elements.buyHintHoursBtn.innerHTML = `<i class="fas fa-hourglass-half"></i> ${translate('ui.hints.pay_hours', { hours: offer.hours }, `Spend ${offer.hours} h`)}`;
+        }
+
+        panel.style.display = '';
+    }
+
+    // Show the choices of the informant's dialogue tree in the dialogue box (null hides them)
+    showDialogueOptions(options) {
+        const container = this.elements.dialogueOptions;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!options || options.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'dialogue-option';
+            button.dataset.optionIndex = String(option.index);
+            button.innerHTML = `<i class="fas fa-comment-dots"></i> ${option.label}`;
+            container.appendChild(button);
+        });
+
+        container.style.display = '';
+    }
+
+    // Show the other informant locations of the current city and what getting to each costs (null hides them)
+    updateLocationOptions(locations) {
+        const panel = this.elements.locationPanel;
+        const list = this.elements.locationList;
+        if (!panel || !list) return;
+
+        if (!locations) {
+            panel.style.display = 'none';
+            list.innerHTML = '';
+            return;
+        }
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        list.innerHTML = '';
+        locations.forEach(location => {
+            const button = document.createElement('button');
+            button.className = `location-button${location.isCurrent ? ' current' : ''}`;
+            button.dataset.locationId = location.id;
+            button.disabled = location.isCurrent;
+
+            const cost = location.isCurrent ?
+                translate('ui.locations.current', {}, 'You are here') :
+                translate('ui.locations.cost', { hours: location.hours }, `${location.hours} h`);
+
+            button.innerHTML = `
+                <span class="location-name"><i class="fas fa-map-pin"></i> ${location.name}</span>
+                <span class="location-informant">${location.informantName}${location.personality ? ` - ${location.personality}` : ''}</span>
+                <span class="location-cost"><i class="fas fa-clock"></i> ${cost}</span>
+            `;
+            list.appendChild(button);
+        });
+
+        panel.style.display = '';
+    }
+
     // Update progress labels with translations
     updateProgressLabels() {
         const translationService = this.gameController.translationService;
@@ -245,10 +445,14 @@ export class UIManager {
             this.elements.attemptsRemainingCount.innerHTML = `<i class="${icon}" style="${color}"></i> ${attemptsLabel}: ${attempts}`;
         }
 
-        // Update cities label
+        // Update cities label with position along the route
         if (this.elements.citiesVisitedCount) {
             const citiesLabel = translationService.translate('ui.labels.cities', {}, 'Cities');
-            this.elements.citiesVisitedCount.innerHTML = `<i class="fas fa-globe-americas"></i> ${citiesLabel}: ${stats.citiesVisited || 0}`;
+            const routeLength = this.gameController.gameState.cityRoute.length;
+            const citiesValue = routeLength > 0 ?
+                `${this.gameController.gameState.currentCityIndex + 1}/${routeLength}` :
+                `${stats.citiesVisited || 0}`;
+            this.elements.citiesVisitedCount.innerHTML = `<i class="fas fa-globe-americas"></i> ${citiesLabel}: ${citiesValue}`;
         }
 
         // Update clues label
@@ -256,6 +460,31 @@ export class UIManager {
             const cluesLabel = translationService.translate('ui.labels.clues', {}, 'Clues');
             this.elements.cluesCollectedCount.innerHTML = `<i class="fas fa-puzzle-piece"></i> ${cluesLabel}: ${stats.cluesCollected || 0}`;
         }
+
+        // Update in-game day and time, with the case deadline
+        if (this.elements.gameClockCount) {
+            const clockLabel = translationService.translate('ui.labels.clock', {}, 'Clock');
+            const clockText = this.formatGameClock(stats.clockHours, 'short');
+            const deadlineText = typeof stats.deadlineHour === 'number' ?
+                translationService.translate('ui.clock.deadline', { deadline: this.formatGameClock(stats.deadlineHour, 'short') }, `deadline ${this.formatGameClock(stats.deadlineHour, 'short')}`) :
+                '';
+            const hoursLeft = typeof stats.deadlineHour === 'number' ? stats.deadlineHour - stats.clockHours : null;
+            const color = hoursLeft !== null && hoursLeft <= 24 ? 'color: #ff4444;' : '';
+            this.elements.gameClockCount.innerHTML = `<i class="fas fa-clock" style="${color}"></i> ${clockLabel}: ${clockText}${deadlineText ? ` · ${deadlineText}` : ''}`;
+        }
+    }
+
+    // In-game day and time in the current language (later case weeks are numbered)
+    formatGameClock(clockHours, weekday = 'long') {
+        const translationService = this.gameController.translationService;
+        const locale = translationService ? translationService.localizationManager.getCurrentLanguage() : undefined;
+        const clock = this.gameController.gameState.gameClock.formatClock(clockHours || 0, locale, weekday);
+        if (clock.week <= 1) {
+            return clock.text;
+        }
+        return translationService ?
+            translationService.translate('ui.clock.later_week', { time: clock.text, week: clock.week }, `${clock.text} (week ${clock.week})`) :
+            `${clock.text} (week ${clock.week})`;
     }
 
     // Update screen-specific translations
@@ -287,6 +516,588 @@ export class UIManager {
         }
     }
 
+    // Render route length choices for new cases
+    renderRouteLengthOptions(minLength, maxLength, selectedLength) {
+        const select = this.elements.routeLengthSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (let length = minLength; length <= maxLength; length++) {
+            const option = document.createElement('option');
+            option.value = String(length);
+            option.selected = length === selectedLength;
+            select.appendChild(option);
+        }
+
+        this.updateRouteLengthOptionLabels();
+    }
+
+    // Update route length option labels with translations
+    updateRouteLengthOptionLabels() {
+        const select = this.elements.routeLengthSelect;
+        if (!select) return;
+
+        const translationService = this.gameController.translationService;
+        Array.from(select.options).forEach(option => {
+            const count = parseInt(option.value, 10);
+            option.textContent = translationService ?
+                translationService.translate('ui.labels.route_length_option', { count }, `${count} cities`) :
+                `${count} cities`;
+        });
+    }
+
+    // Render difficulty preset choices
+    renderDifficultyOptions(difficulties, selectedDifficulty) {
+        const select = this.elements.difficultySelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        difficulties.forEach(difficulty => {
+            const option = document.createElement('option');
+            option.value = difficulty;
+            option.selected = difficulty === selectedDifficulty;
+            select.appendChild(option);
+        });
+
+        this.updateDifficultyOptionLabels();
+    }
+
+    // Update difficulty option labels and the selected preset's description with translations
+    updateDifficultyOptionLabels() {
+        const select = this.elements.difficultySelect;
+        if (!select) return;
+
+        Array.from(select.options).forEach(option => {
+            option.textContent = this.getDifficultyName(option.value);
+        });
+
+        const description = this.elements.difficultyDescription;
+        if (description && select.value) {
+            const preset = this.gameController.gameState.getDifficultyPreset(select.value);
+            const translationService = this.gameController.translationService;
+            const params = {
+                attempts: preset.attempts,
+                cities: preset.routeLength,
+                tiers: preset.clueTiers.length
+            };
+            const fallback = `${params.attempts} attempts, ${params.cities} cities, ${params.tiers} clues per informant`;
+            description.textContent = translationService ?
+                translationService.translate(`ui.difficulty.${select.value}_description`, params, fallback) :
+                fallback;
+        }
+    }
+
+    // Display name of a difficulty preset
+    getDifficultyName(difficulty) {
+        const fallbacks = { rookie: 'Rookie', detective: 'Detective', master: 'Master' };
+        const fallback = fallbacks[difficulty] || difficulty;
+        return this.gameController.translationService ?
+            this.gameController.translationService.translate(`ui.difficulty.${difficulty}`, {}, fallback) :
+            fallback;
+    }
+
+    // Render clue focus choices ('any' or one clue category informants talk about)
+    renderClueFocusOptions(focuses, selectedFocus) {
+        const select = this.elements.clueFocusSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        focuses.forEach(focus => {
+            const option = document.createElement('option');
+            option.value = focus;
+            option.selected = focus === selectedFocus;
+            select.appendChild(option);
+        });
+
+        this.updateClueFocusOptionLabels();
+    }
+
+    // Update clue focus option labels with translations
+    updateClueFocusOptionLabels() {
+        const select = this.elements.clueFocusSelect;
+        if (!select) return;
+
+        const translationService = this.gameController.translationService;
+        Array.from(select.options).forEach(option => {
+            if (option.value === 'any') {
+                option.textContent = translationService ?
+                    translationService.translate('ui.labels.clue_focus_any', {}, 'Any topic') :
+                    'Any topic';
+            } else {
+                option.textContent = this.gameController.getClueCategoryLabel(option.value);
+            }
+        });
+    }
+
+    // Show which shared case will be played and lock its route length
+    showSharedCaseBanner(sharedCase) {
+        if (this.elements.routeLengthSelect) {
+            this.elements.routeLengthSelect.disabled = Boolean(sharedCase);
+        }
+        if (this.elements.difficultySelect) {
+            this.elements.difficultySelect.disabled = Boolean(sharedCase);
+        }
+
+        const banner = this.elements.sharedCaseBanner;
+        if (!banner) return;
+
+        if (!sharedCase) {
+            banner.style.display = 'none';
+            banner.textContent = '';
+            return;
+        }
+
+        const translationService = this.gameController.translationService;
+        banner.textContent = translationService ?
+            translationService.translate('ui.messages.shared_case_banner', { caseId: sharedCase.caseId }, `Shared case ${sharedCase.caseId}: everyone with this link gets the same route and clues.`) :
+            `Shared case ${sharedCase.caseId}: everyone with this link gets the same route and clues.`;
+        banner.style.display = 'block';
+    }
+
+    // Show today's daily case state and the streak counter
+    updateDailyCaseStatus(status) {
+        const statusElement = this.elements.dailyCaseStatus;
+        if (!statusElement || !status) return;
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        let todayText = translate('ui.daily_case.status_not_played', {}, 'Today\'s case is waiting for you.');
+        if (status.todayResult) {
+            todayText = status.todayResult.solved ?
+                translate('ui.daily_case.status_solved', {}, 'Today\'s case: solved ✓') :
+                translate('ui.daily_case.status_unsolved', {}, 'Today\'s case: unsolved ✗');
+        }
+
+        const streakText = translate('ui.daily_case.streak', { current: status.currentStreak, best: status.bestStreak },
+            `Streak: ${status.currentStreak} · Best: ${status.bestStreak}`);
+
+        statusElement.textContent = `${todayText} 🔥 ${streakText}`;
+
+        // Keep an open result panel in sync (e.g. after a language change)
+        if (this.dailyCaseResultVisible) {
+            this.showDailyCaseResult(status);
+        }
+    }
+
+    // Show the stored result of today's daily case instead of replaying it
+    showDailyCaseResult(status) {
+        const resultElement = this.elements.dailyCaseResult;
+        if (!resultElement || !status || !status.todayResult) return;
+
+        const translationService = this.gameController.translationService;
+        const result = status.todayResult;
+        const params = {
+            score: result.score,
+            completed: result.citiesCompleted,
+            total: result.routeLength
+        };
+
+        const key = result.solved ? 'ui.daily_case.result_solved' : 'ui.daily_case.result_unsolved';
+        const fallback = result.solved ?
+            `You already solved today's case with ${result.score} points. Come back tomorrow for a new case!` :
+            `Today's trail went cold after ${result.citiesCompleted} of ${result.routeLength} cities (${result.score} points). Come back tomorrow for a new case!`;
+
+        resultElement.textContent = translationService ? translationService.translate(key, params, fallback) : fallback;
+        resultElement.classList.toggle('solved', result.solved);
+        resultElement.style.display = 'block';
+        this.dailyCaseResultVisible = true;
+    }
+
+    // Enable the continue button when saved cases exist
+    updateContinueCaseButton(slotCount) {
+        if (this.elements.continueCaseBtn) {
+            this.elements.continueCaseBtn.disabled = slotCount === 0;
+        }
+    }
+
+    // Render the saved case list on the continue screen
+    renderSaveSlots(slotSummaries) {
+        const list = this.elements.saveSlotList;
+        if (!list) return;
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        list.innerHTML = '';
+
+        if (slotSummaries.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'no-save-slots-message';
+            emptyMessage.textContent = translate('ui.save_slots.empty', {}, 'No saved cases yet. Start an investigation and it will be saved here automatically.');
+            list.appendChild(emptyMessage);
+            return;
+        }
+
+        const locale = translationService ? translationService.localizationManager.getCurrentLanguage() : undefined;
+
+        slotSummaries.forEach(summary => {
+            const item = document.createElement('div');
+            item.className = 'save-slot-item';
+            item.setAttribute('data-slot-id', summary.id);
+
+            // Names come from the player, so they are only ever set as text
+            const name = document.createElement('h3');
+            name.className = 'save-slot-name';
+            name.textContent = summary.name ||
+                translate('ui.save_slots.default_name', { caseId: summary.caseId || '?' }, `Case ${summary.caseId || '?'}`);
+
+            const details = document.createElement('p');
+            details.className = 'save-slot-details';
+            details.textContent = [
+                `📍 ${summary.cityName}`,
+                `🎚️ ${this.getDifficultyName(summary.difficulty)}`,
+                `⭐ ${translate('ui.save_slots.score', { score: summary.score }, `Score: ${summary.score}`)}`,
+                `🎯 ${translate('ui.save_slots.attempts', { count: summary.attemptsRemaining }, `Attempts left: ${summary.attemptsRemaining}`)}`
+            ].join('  ·  ');
+
+            const savedAt = document.createElement('p');
+            savedAt.className = 'save-slot-saved-at';
+            const savedAtText = new Date(summary.savedAt).toLocaleString(locale);
+            savedAt.textContent = translate('ui.save_slots.saved_at', { date: savedAtText }, `Saved ${savedAtText}`);
+
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            [
+                { action: 'load-save-slot', className: 'detective-button', key: 'ui.buttons.load_save_slot', fallback: 'Load', icon: 'fas fa-folder-open' },
+                { action: 'rename-save-slot', className: 'secondary-button', key: 'ui.buttons.rename_save_slot', fallback: 'Rename', icon: 'fas fa-pen' },
+                { action: 'delete-save-slot', className: 'back-button', key: 'ui.buttons.delete_save_slot', fallback: 'Delete', icon: 'fas fa-trash' }
+            ].forEach(buttonConfig => {
+                const button = document.createElement('button');
+                button.className = buttonConfig.className;
+                button.setAttribute('data-slot-action', buttonConfig.action);
+                button.innerHTML = `<i class="${buttonConfig.icon}"></i> ${translate(buttonConfig.key, {}, buttonConfig.fallback)}`;
+                actions.appendChild(button);
+            });
+
+            item.appendChild(name);
+            item.appendChild(details);
+            item.appendChild(savedAt);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    // Render the campaign cases: solved ones can be replayed, locked ones show what opens them
+    renderCampaign(view) {
+        const list = this.elements.campaignCaseList;
+        if (!view || !list) return;
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        if (this.elements.campaignProgress) {
+            this.elements.campaignProgress.textContent = view.isComplete ?
+                translate('ui.campaign.progress_complete', { total: view.totalCases }, `All ${view.totalCases} campaign cases solved!`) :
+                translate('ui.campaign.progress', { solved: view.solvedCount, total: view.totalCases },
+                    `Cases solved: ${view.solvedCount} of ${view.totalCases}`);
+        }
+
+        const statusIcons = { locked: '🔒', solved: '✅', open: '🔓' };
+        list.innerHTML = '';
+        view.cases.forEach(campaignCase => {
+            const status = !campaignCase.unlocked ? 'locked' : (campaignCase.result && campaignCase.result.solved ? 'solved' : 'open');
+            const item = document.createElement('li');
+            item.className = `save-slot-item campaign-case-item ${status}`;
+
+            const title = document.createElement('h3');
+            title.className = 'save-slot-name';
+            const caseTitle = translate(`ui.campaign.cases.${campaignCase.id}`, {}, campaignCase.id);
+            title.textContent = `${statusIcons[status]} ${translate('ui.campaign.case_title',
+                { number: campaignCase.number, title: caseTitle }, `Case ${campaignCase.number}: ${caseTitle}`)}`;
+
+            // Suspect and city names come from the localized game data, so details are set as text
+            const details = document.createElement('p');
+            details.className = 'save-slot-details';
+            details.textContent = [
+                `🕵️ ${campaignCase.suspectName}`,
+                campaignCase.finalCityName ? `📍 ${campaignCase.finalCityName}` : null,
+                `🎚️ ${this.getDifficultyName(campaignCase.difficulty)}`,
+                `🌍 ${translate('ui.labels.route_length_option', { count: campaignCase.routeLength }, `${campaignCase.routeLength} cities`)}`
+            ].filter(Boolean).join('  ·  ');
+
+            const record = document.createElement('p');
+            record.className = 'save-slot-saved-at';
+            if (!campaignCase.unlocked) {
+                record.textContent = translate('ui.campaign.locked', { number: campaignCase.number - 1 },
+                    `Solve case ${campaignCase.number - 1} to unlock.`);
+            } else if (campaignCase.result && campaignCase.result.solved) {
+                record.textContent = translate('ui.campaign.best_score', { score: campaignCase.result.bestScore },
+                    `Best score: ${campaignCase.result.bestScore}`);
+            } else {
+                record.textContent = translate('ui.campaign.not_solved', {}, 'Not solved yet.');
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            const button = document.createElement('button');
+            button.className = status === 'solved' ? 'secondary-button' : 'detective-button';
+            button.setAttribute('data-campaign-case', String(campaignCase.number));
+            button.disabled = !campaignCase.unlocked;
+            button.innerHTML = status === 'solved' ?
+                `<i class="fas fa-redo"></i> ${translate('ui.buttons.replay_campaign_case', {}, 'Play Again')}` :
+                `<i class="fas fa-play"></i> ${translate('ui.buttons.start_campaign_case', {}, 'Start Case')}`;
+            actions.appendChild(button);
+
+            item.appendChild(title);
+            item.appendChild(details);
+            item.appendChild(record);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    // Offer the way back to the campaign on the result screens of campaign cases only
+    updateCampaignResultActions(isCampaignCase) {
+        document.querySelectorAll('.campaign-result-button').forEach(button => {
+            button.style.display = isCampaignCase ? '' : 'none';
+        });
+    }
+
+    // Render the suspect dossier: one warrant field per trait, prefilled with what informants revealed
+    renderDossier(view) {
+        const list = this.elements.dossierTraitList;
+        if (!view || !list) return;
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        if (this.elements.dossierStatus) {
+            this.elements.dossierStatus.textContent = view.hasWarrant ?
+                translate('ui.dossier.warrant_on_file', {}, 'A warrant is on file. You can still change it before the arrest.') :
+                translate('ui.dossier.no_warrant', {}, 'No warrant issued yet. You need one to make the arrest.');
+        }
+
+        // Trait names come from game data, so everything is set as text
+        list.innerHTML = '';
+        view.traits.forEach(trait => {
+            const item = document.createElement('li');
+            item.className = `dossier-trait${trait.revealed ? ' revealed' : ''}`;
+
+            const label = document.createElement('label');
+            label.className = 'dossier-trait-label';
+            label.setAttribute('for', `dossier-trait-${trait.id}`);
+            label.textContent = trait.label;
+
+            const select = document.createElement('select');
+            select.id = `dossier-trait-${trait.id}`;
+            select.className = 'case-option-select';
+            select.setAttribute('data-trait-id', trait.id);
+
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = translate('ui.dossier.unknown', {}, 'Unknown');
+            select.appendChild(placeholder);
+            trait.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.id;
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+            select.value = trait.selected || trait.revealed || '';
+
+            const note = document.createElement('span');
+            note.className = 'dossier-trait-note';
+            const revealedOption = trait.options.find(option => option.id === trait.revealed);
+            note.textContent = revealedOption ?
+                `🕵️ ${translate('ui.dossier.revealed', { value: revealedOption.label }, `An informant mentioned: ${revealedOption.label}`)}` :
+                `❔ ${translate('ui.dossier.not_revealed', {}, 'No informant has mentioned this yet')}`;
+
+            item.appendChild(label);
+            item.appendChild(select);
+            item.appendChild(note);
+            list.appendChild(item);
+        });
+    }
+
+    // Render the case replay at its current playback position
+    renderReplay(view) {
+        if (!view || !this.elements.replayStepList) return;
+
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+        const cityName = (cityId) => {
+            const cityData = this.gameController.getCityData(cityId);
+            return cityData ? cityData.name : cityId;
+        };
+
+        // Playback position and the score at that point
+        if (this.elements.replaySummary) {
+            const progress = view.progress || { score: 0, attemptsRemaining: 0, cluesCollected: 0, clockHours: 0 };
+            this.elements.replaySummary.textContent = [
+                `🎞️ ${translate('ui.replay.step_counter', { current: view.position + 1, total: view.totalSteps }, `Step ${view.position + 1} of ${view.totalSteps}`)}`,
+                `🕐 ${this.formatGameClock(progress.clockHours, 'short')}`,
+                `⭐ ${translate('ui.labels.score', {}, 'Score')}: ${progress.score}`,
+                `🎯 ${translate('ui.labels.attempts', {}, 'Attempts')}: ${progress.attemptsRemaining}`,
+                `🔍 ${translate('ui.labels.clues', {}, 'Clues')}: ${progress.cluesCollected}`
+            ].join('  ·  ');
+        }
+
+        // Cities investigated, each one a jump target
+        if (this.elements.replayCityTimeline) {
+            this.elements.replayCityTimeline.innerHTML = '';
+            view.stages.forEach((stage, index) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.className = `replay-city-button ${stage.status}`;
+                button.setAttribute('data-stage-index', index);
+                button.textContent = `${index + 1}. ${cityName(stage.cityId)}`;
+                item.appendChild(button);
+                this.elements.replayCityTimeline.appendChild(item);
+            });
+        }
+
+        // Current city: time spent there so far and wrong destinations tried from it
+        if (view.stage) {
+            const city = cityName(view.stage.cityId);
+            if (this.elements.replayStageTitle) {
+                this.elements.replayStageTitle.textContent = translate('ui.replay.stage_title', { number: view.stage.number, city }, `Stop ${view.stage.number}: ${city}`);
+            }
+            if (this.elements.replayStageDetails) {
+                const timeInCity = this.formatReplayDuration(view.stage.elapsedMs);
+                const wrongCities = view.stage.wrongCities.map(cityName).join(', ');
+                this.elements.replayStageDetails.textContent = [
+                    `⏱️ ${translate('ui.replay.time_in_city', { time: timeInCity }, `Time in city: ${timeInCity}`)}`,
+                    `❌ ${wrongCities ?
+                        translate('ui.replay.wrong_cities', { cities: wrongCities }, `Wrong cities tried: ${wrongCities}`) :
+                        translate('ui.replay.no_wrong_cities', {}, 'No wrong cities tried')}`
+                ].join('  ·  ');
+            }
+        }
+
+        // Steps played so far in the current city (clue text comes from game data, so set as text)
+        this.elements.replayStepList.innerHTML = '';
+        view.stageSteps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = `replay-step ${step.type.replace(/_/g, '-')}`;
+            if (step.type === 'guess_made' && step.data.correct) {
+                item.classList.add('correct');
+            }
+            if (index === view.stageSteps.length - 1) {
+                item.classList.add('latest');
+            }
+
+            const decisionTime = document.createElement('span');
+            decisionTime.className = 'replay-step-time';
+            decisionTime.title = translate('ui.replay.decision_time', {}, 'Time since the previous action');
+            decisionTime.textContent = `+${this.formatReplayDuration(step.decisionMs)}`;
+            item.appendChild(decisionTime);
+
+            if (step.type === 'clue_collected') {
+                const difficulty = document.createElement('span');
+                difficulty.className = `clue-difficulty ${step.data.clue.difficulty}`;
+                difficulty.textContent = step.data.clue.difficulty.toUpperCase();
+                item.appendChild(difficulty);
+
+                if (step.data.clue.category) {
+                    const category = document.createElement('span');
+                    category.className = `clue-category ${step.data.clue.category}`;
+                    category.textContent = this.gameController.getClueCategoryLabel(step.data.clue.category);
+                    item.appendChild(category);
+                }
+            }
+
+            const text = document.createElement('span');
+            text.className = 'replay-step-text';
+            text.textContent = this.describeReplayStep(step, translate, cityName);
+            item.appendChild(text);
+
+            this.elements.replayStepList.appendChild(item);
+        });
+
+        // Playback controls
+        if (this.elements.replayPlayBtn) {
+            this.elements.replayPlayBtn.innerHTML = view.isPlaying ?
+                `<i class="fas fa-pause"></i> ${translate('ui.buttons.replay_pause', {}, 'Pause')}` :
+                `<i class="fas fa-play"></i> ${translate('ui.buttons.replay_play', {}, 'Play')}`;
+        }
+
+        if (this.elements.replayStepBtn) {
+            this.elements.replayStepBtn.disabled = view.isAtEnd;
+        }
+
+        if (this.elements.replaySpeedSelect) {
+            if (this.elements.replaySpeedSelect.options.length !== view.speedOptions.length) {
+                this.elements.replaySpeedSelect.innerHTML = '';
+                view.speedOptions.forEach(speed => {
+                    const option = document.createElement('option');
+                    option.value = String(speed);
+                    option.textContent = `${speed}x`;
+                    this.elements.replaySpeedSelect.appendChild(option);
+                });
+            }
+            this.elements.replaySpeedSelect.value = String(view.speed);
+        }
+    }
+
+    // One line describing a replay step
+    describeReplayStep(step, translate, cityName) {
+        const data = step.data;
+        switch (step.type) {
+            case 'case_started':
+                return translate('ui.replay.steps.case_started', { city: cityName(data.startingCity) }, `Case opened in ${cityName(data.startingCity)}`);
+            case 'clue_collected':
+                return translate('ui.replay.steps.clue_collected', { text: data.clue.text }, `Informant clue: "${data.clue.text}"`);
+            case 'clues_requested':
+                return data.outcome === 'no_more_info' ?
+                    translate('ui.replay.steps.no_more_info', {}, 'Asked again: the informant had no more information') :
+                    translate('ui.replay.steps.not_here', {}, 'Asked the informant: the suspect was never here');
+            case 'location_visited': {
+                const gameState = this.gameController.gameState;
+                const location = gameState.getCityLocation(gameState.findCity(data.cityId), data.locationId);
+                const locationName = location && location.name ? location.name : data.locationId;
+                return translate('ui.replay.steps.location_visited', { location: locationName, hours: data.hours }, `Went to ${locationName} (${data.hours} h)`);
+            }
+            case 'hint_bought':
+                return data.payment === 'points' ?
+                    translate('ui.replay.steps.hint_bought_points', { points: data.points }, `Bought a more obvious clue for ${data.points} point(s)`) :
+                    translate('ui.replay.steps.hint_bought_hours', { hours: data.hours }, `Bought a more obvious clue for ${data.hours} hours`);
+            case 'trait_revealed': {
+                const trait = this.gameController.informantSystem.getTraitValueLabel(data.trait, data.value);
+                return translate('ui.replay.steps.trait_revealed', { trait }, `Learned a suspect trait: ${trait}`);
+            }
+            case 'warrant_issued':
+                return data.matches ?
+                    translate('ui.replay.steps.warrant_issued_match', {}, 'Issued a warrant that matches the suspect') :
+                    translate('ui.replay.steps.warrant_issued_mismatch', {}, 'Issued a warrant for the wrong person');
+            case 'travel_rejected':
+                return translate('ui.replay.steps.travel_rejected', { city: cityName(data.cityId) }, `Could not travel to ${cityName(data.cityId)}`);
+            case 'guess_made':
+                return data.correct ?
+                    translate('ui.replay.steps.correct_guess', { city: cityName(data.cityId), points: data.points }, `Flew to ${cityName(data.cityId)}: right call (+${data.points} points)`) :
+                    translate('ui.replay.steps.wrong_guess', { city: cityName(data.cityId) }, `Tried ${cityName(data.cityId)}: wrong city (-1 attempt)`);
+            case 'language_changed':
+                return translate('ui.replay.steps.language_changed', { language: String(data.to).toUpperCase() }, `Switched the game language to ${String(data.to).toUpperCase()}`);
+            case 'case_won':
+                return translate('ui.replay.steps.case_won', {}, 'Case solved: the suspect was found');
+            case 'case_lost':
+                return translate('ui.replay.steps.case_lost', {}, 'Case closed without an arrest');
+            default:
+                return step.type;
+        }
+    }
+
+    // Format milliseconds as m:ss (h:mm:ss for long decisions)
+    formatReplayDuration(milliseconds) {
+        const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ?
+            `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+            `${minutes}:${seconds}`;
+    }
+
     // Set up event listeners
     setupEventListeners() {
         // Start game
@@ -294,11 +1105,93 @@ export class UIManager {
             this.gameController.processPlayerAction('start-game');
         });
 
+        this.elements.dailyCaseBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('start-daily-case');
+        });
+
+        // Campaign
+        this.elements.campaignBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('show-campaign-screen');
+        });
+
+        this.elements.campaignCaseList?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-campaign-case]');
+            if (button && !button.disabled) {
+                this.gameController.processPlayerAction('start-campaign-case', {
+                    caseNumber: button.getAttribute('data-campaign-case')
+                });
+            }
+        });
+
+        ['campaign-from-victory-btn', 'campaign-from-failure-btn'].forEach(buttonId => {
+            document.getElementById(buttonId)?.addEventListener('click', () => {
+                this.gameController.processPlayerAction('show-campaign-screen');
+            });
+        });
+
+        this.elements.campaignBackBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('back-to-intro');
+        });
+
+        // Saved cases
+        this.elements.continueCaseBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('show-continue-screen');
+        });
+
+        this.elements.saveSlotList?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-slot-action]');
+            const slotItem = event.target.closest('[data-slot-id]');
+            if (button && slotItem) {
+                this.gameController.processPlayerAction(button.getAttribute('data-slot-action'), {
+                    slotId: slotItem.getAttribute('data-slot-id')
+                });
+            }
+        });
+
+        this.elements.backToIntroBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('back-to-intro');
+        });
+
+        // Case setup
+        this.elements.difficultySelect?.addEventListener('change', (event) => {
+            this.gameController.processPlayerAction('set-difficulty', { difficulty: event.target.value });
+        });
+
+        this.elements.clueFocusSelect?.addEventListener('change', (event) => {
+            this.gameController.processPlayerAction('set-clue-focus', { focus: event.target.value });
+        });
+
+        this.elements.routeLengthSelect?.addEventListener('change', (event) => {
+            this.gameController.processPlayerAction('set-route-length', { routeLength: event.target.value });
+        });
+
         // Investigation actions
         this.elements.collectCluesBtn?.addEventListener('click', () => {
             this.gameController.processPlayerAction('collect-clues');
         });
 
+        this.elements.dialogueOptions?.addEventListener('click', (event) => {
+            const button = event.target.closest('.dialogue-option');
+            if (button) {
+                this.gameController.processPlayerAction('choose-dialogue-option', { optionIndex: Number(button.dataset.optionIndex) });
+            }
+        });
+
+        this.elements.locationList?.addEventListener('click', (event) => {
+            const button = event.target.closest('.location-button');
+            if (button && !button.disabled) {
+                this.gameController.processPlayerAction('visit-location', { locationId: button.dataset.locationId });
+            }
+        });
+
+        this.elements.buyHintPointsBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('buy-hint', { payment: 'points' });
+        });
+
+        this.elements.buyHintHoursBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('buy-hint', { payment: 'hours' });
+        });
+
         this.elements.travelBtn?.addEventListener('click', () => {
             this.gameController.processPlayerAction('travel');
         });
@@ -307,6 +1200,18 @@ export class UIManager {
             this.gameController.processPlayerAction('view-clues');
         });
 
+        this.elements.viewDossierBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('view-dossier');
+        });
+
+        this.elements.issueWarrantBtn?.addEventListener('click', () => {
+            const traits = {};
+            this.elements.dossierTraitList?.querySelectorAll('select[data-trait-id]').forEach(select => {
+                traits[select.getAttribute('data-trait-id')] = select.value;
+            });
+            this.gameController.processPlayerAction('issue-warrant', { traits });
+        });
+
         // Navigation
         this.elements.backToInvestigationBtn?.addEventListener('click', () => {
             this.gameController.processPlayerAction('back-to-investigation');
@@ -316,6 +1221,10 @@ export class UIManager {
             this.gameController.processPlayerAction('back-to-investigation');
         });
 
+        this.elements.closeDossierBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('back-to-investigation');
+        });
+
         // Restart
         this.elements.restartGameBtn?.addEventListener('click', () => {
             this.gameController.processPlayerAction('restart-game');
@@ -325,6 +1234,66 @@ export class UIManager {
             this.gameController.processPlayerAction('restart-game');
         });
 
+        // Share the finished case
+        ['copy-case-link-btn', 'copy-case-link-failure-btn'].forEach(buttonId => {
+            document.getElementById(buttonId)?.addEventListener('click', () => {
+                this.gameController.processPlayerAction('copy-case-link');
+            });
+        });
+
+        // Case files
+        ['export-case-menu-btn', 'export-case-file-btn', 'export-case-file-failure-btn'].forEach(buttonId => {
+            document.getElementById(buttonId)?.addEventListener('click', () => {
+                this.gameController.processPlayerAction('export-case-file');
+            });
+        });
+
+        const importCaseInput = document.getElementById('import-case-input');
+        document.getElementById('import-case-btn')?.addEventListener('click', () => {
+            importCaseInput?.click();
+        });
+
+        importCaseInput?.addEventListener('change', (event) => {
+            const file = event.target.files && event.target.files[0];
+            if (file) {
+                this.gameController.processPlayerAction('import-case-file', { file });
+            }
+            // Allow importing the same file again
+            event.target.value = '';
+        });
+
+        // Case replay
+        ['replay-case-btn', 'replay-case-failure-btn'].forEach(buttonId => {
+            document.getElementById(buttonId)?.addEventListener('click', () => {
+                this.gameController.processPlayerAction('show-replay');
+            });
+        });
+
+        this.elements.replayPlayBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('replay-toggle-play');
+        });
+
+        this.elements.replayStepBtn?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('replay-step');
+        });
+
+        this.elements.replaySpeedSelect?.addEventListener('change', (event) => {
+            this.gameController.processPlayerAction('replay-set-speed', { speed: event.target.value });
+        });
+
+        this.elements.replayCityTimeline?.addEventListener('click', (event) => {
+            const cityButton = event.target.closest('[data-stage-index]');
+            if (cityButton) {
+                this.gameController.processPlayerAction('replay-jump-to-city', {
+                    stageIndex: cityButton.getAttribute('data-stage-index')
+                });
+            }
+        });
+
+        document.getElementById('close-replay-btn')?.addEventListener('click', () => {
+            this.gameController.processPlayerAction('close-replay');
+        });
+
         // Exit from failure
         const exitFromFailureBtn = document.getElementById('exit-from-failure-btn');
         exitFromFailureBtn?.addEventListener('click', () => {
@@ -422,8 +1391,7 @@ export class UIManager {
 
         const criticalAssets = [
             { path: 'assets/scenes/nadine_cover.png', type: 'cover' },
-            { path: 'assets/scenes/steve.png', type: 'character' },
-            { path: 'assets/scenes/world_map.png', type: 'map' }
+            { path: 'assets/scenes/steve.png', type: 'character' }
         ];
 
         try {
@@ -518,12 +1486,75 @@ export class UIManager {
         this.updateButtonTranslations();
     }
 
+    // Remove city markers (and the map's marker groups) from the travel screen
+    clearCityMarkers() {
+        if (this.worldMap) {
+            this.worldMap.clearMarkers();
+        } else if (this.elements.cityMarkers) {
+            this.elements.cityMarkers.innerHTML = '';
+        }
+    }
+
+    // Trail stops for the world map: cities followed so far (with the clues collected in each) and wrong guesses
+    buildMapTrail() {
+        const gameState = this.gameController.gameState;
+        const translate = (key, params, fallback) => this.gameController.translationService ?
+            this.gameController.translationService.translate(key, params, fallback) :
+            fallback;
+
+        const route = [...gameState.visitedCities];
+        if (gameState.currentCity && !route.includes(gameState.currentCity)) {
+            route.push(gameState.currentCity);
+        }
+
+        const stops = route.map((cityId, index) => {
+            const city = gameState.findCity(cityId);
+            if (!city) return null;
+
+            const isCurrent = cityId === gameState.currentCity;
+            const clues = gameState.collectedClues.filter(clue => clue.sourceCity === cityId).map(clue => clue.text);
+            return {
+                id: cityId,
+                label: city.name,
+                latitude: city.latitude,
+                longitude: city.longitude,
+                status: isCurrent ? 'current' : 'visited',
+                summary: isCurrent ?
+                    translate('ui.map.trail_current', { number: index + 1 }, `Stop ${index + 1} - you are here`) :
+                    translate('ui.map.trail_visited', { number: index + 1 }, `Stop ${index + 1}`),
+                details: clues.length > 0 ? clues : [translate('ui.map.trail_no_clues', {}, 'No clues collected here')]
+            };
+        });
+
+        // One cross per wrong city, however many times it was guessed
+        const wrongCounts = new Map();
+        gameState.getWrongGuesses().forEach(guess => {
+            wrongCounts.set(guess.cityId, (wrongCounts.get(guess.cityId) || 0) + 1);
+        });
+        wrongCounts.forEach((count, cityId) => {
+            const city = gameState.findCity(cityId);
+            if (!city) return;
+
+            stops.push({
+                id: cityId,
+                label: city.name,
+                latitude: city.latitude,
+                longitude: city.longitude,
+                status: 'wrong',
+                summary: translate('ui.map.trail_wrong', { count }, `Wrong guess - {suspect} wasn't here (${count}x)`),
+                details: []
+            });
+        });
+
+        return stops.filter(Boolean);
+    }
+
     // Show world map
     showWorldMap() {
         if (!this.elements.cityMarkers) return;
 
         // Clear existing markers
-        this.elements.cityMarkers.innerHTML = '';
+        this.clearCityMarkers();
 
         // Get available cities for travel
         const availableCities = this.gameController.getCitiesByCriteria({ 
@@ -542,36 +1573,24 @@ export class UIManager {
             return;
         }
 
-        // City positions on the world map (optimized for maximum clarity and no overlaps)
-        // Strategic positioning to use map space efficiently
-        const cityPositions = {
-            'tokyo': { left: '87%', top: '45%' },            // Far right, clear space
-            'roma': { left: '48%', top: '45%' },             // Central Europe, moved up
-            'marruecos': { left: '36%', top: '50%' },        // North Africa, clear space
-            'london': { left: '41%', top: '35%' },           // Northern Europe, well separated
-            'reykjavik': { left: '32%', top: '26%' },        // Far north, isolated
-            'mexico': { left: '12%', top: '56%' },           // Central America, moved left
-            'sydney': { left: '80%', top: '82%' },           // Far southeast, isolated
-            'estambul': { left: '56%', top: '45%' },         // Turkey, moved right and down
-            'bangkok': { left: '67%', top: '60%' },          // Southeast Asia, moved down
-            'newYork': { left: '26%', top: '42%' },          // East coast US, moved left
-            'buenosAires': { left: '31%', top: '82%' }       // South America, moved left
-        };
-
-        // Add city selection buttons with proper positioning
+        // Add city selection buttons; the world map places them from latitude/longitude
+        const mapMarkers = [];
+        const unplacedButtons = [];
+        const wrongCityIds = new Set(this.gameController.gameState.getWrongGuesses().map(guess => guess.cityId));
+        const hintContinent = this.getContinentHint();
         availableCities.forEach((city, index) => {
             const cityButton = document.createElement('button');
             cityButton.className = 'city-marker-button';
             cityButton.setAttribute('data-city-id', city.id);
+            if (wrongCityIds.has(city.id)) {
+                cityButton.classList.add('city-marker-wrong-guess');
+            }
+            if (hintContinent && city.continent === hintContinent) {
+                cityButton.classList.add('city-marker-continent-hint');
+            }
 
-            // Position the button on the map
-            const position = cityPositions[city.id];
-            if (position) {
-                cityButton.style.position = 'absolute';
-                cityButton.style.left = position.left;
-                cityButton.style.top = position.top;
-                cityButton.style.transform = 'translate(-50%, -50%)';
-            } else {
+            const hasCoordinates = this.worldMap && typeof city.latitude === 'number' && typeof city.longitude === 'number';
+            if (!hasCoordinates) {
                 console.warn(`No position found for city: ${city.id} (${city.name})`);
                 // Fallback positioning - place in a grid if no position found
                 cityButton.style.position = 'relative';
@@ -579,27 +1598,11 @@ export class UIManager {
                 cityButton.style.margin = '5px';
             }
 
-            // All cities look the same - don't spoil Buenos Aires as final destination
+            // All cities look the same - don't spoil the suspect's final city
             cityButton.innerHTML = `
                 <i class="fas fa-map-marker-alt"></i> ${city.name}
             `;
 
-            // Adjust button width based on city name length
-            const nameLength = city.name.length;
-            if (nameLength > 12) {
-                // Long names like "Ciudad de México" (16 chars), "Buenos Aires" (12 chars)
-                cityButton.style.minWidth = '120px';
-                cityButton.style.maxWidth = '160px';
-            } else if (nameLength > 8) {
-                // Medium names like "Marrakech" (9 chars), "Reykjavik" (9 chars)
-                cityButton.style.minWidth = '90px';
-                cityButton.style.maxWidth = '150px';
-            } else {
-                // Short names like "Roma" (4 chars), "Tokyo" (5 chars)
-                cityButton.style.minWidth = '75px';
-                cityButton.style.maxWidth = '110px';
-            }
-
             // Add entrance animation with delay
             cityButton.style.animationDelay = `${index * 0.1}s`;
             cityButton.classList.add('city-marker-entrance');
@@ -607,12 +1610,56 @@ export class UIManager {
             cityButton.addEventListener('click', () => {
                 this.gameController.processPlayerAction('select-destination', { cityId: city.id });
             });
-            
-            this.elements.cityMarkers.appendChild(cityButton);
+
+            if (hasCoordinates) {
+                mapMarkers.push({ id: city.id, label: city.name, latitude: city.latitude, longitude: city.longitude, element: cityButton });
+            } else {
+                unplacedButtons.push(cityButton);
+            }
         });
 
+        if (this.worldMap) {
+            this.worldMap.updateControlLabels();
+            this.worldMap.setMarkers(mapMarkers);
+            this.worldMap.setTrail(this.buildMapTrail());
+        }
+        unplacedButtons.forEach(cityButton => this.elements.cityMarkers.appendChild(cityButton));
+
         // Add map interaction hints
         this.addMapInteractionHints();
+        if (hintContinent) {
+            this.addContinentHint(hintContinent);
+        }
+    }
+
+    // Continent of the next city when the difficulty preset gives map hints (null otherwise)
+    getContinentHint() {
+        const gameState = this.gameController.gameState;
+        const nextCityId = gameState.getNextCityInRoute();
+        if (!gameState.getDifficultyPreset().continentHints || !nextCityId) {
+            return null;
+        }
+
+        const nextCity = this.gameController.getCityData(nextCityId);
+        return nextCity && nextCity.continent ? nextCity.continent : null;
+    }
+
+    // Show which continent the trail continues on (stays until the map is redrawn)
+    addContinentHint(continent) {
+        const translationService = this.gameController.translationService;
+        const fallbackName = continent.replace('_', ' ');
+        const continentName = translationService ?
+            translationService.translate(`ui.continents.${continent}`, {}, fallbackName) :
+            fallbackName;
+        const hintText = translationService ?
+            translationService.translate('ui.map.continent_hint', { continent: continentName }, `Informants say the trail continues in ${continentName}.`) :
+            `Informants say the trail continues in ${continentName}.`;
+
+        const hint = document.createElement('div');
+        hint.className = 'map-continent-hint';
+        hint.innerHTML = `<i class="fas fa-globe-americas"></i> <span></span>`;
+        hint.querySelector('span').textContent = hintText;
+        this.elements.cityMarkers.appendChild(hint);
     }
 
     // Add interactive hints to the world map
@@ -620,12 +1667,15 @@ export class UIManager {
         if (!this.elements.cityMarkers) return;
 
         // Add a hint overlay
+        const hintText = this.gameController.translationService ?
+            this.gameController.translationService.translate('ui.map.interaction_hint', {}, 'Click on a city to travel there. Scroll or pinch to zoom, drag to pan.') :
+            'Click on a city to travel there. Scroll or pinch to zoom, drag to pan.';
         const hintOverlay = document.createElement('div');
         hintOverlay.className = 'map-interaction-hint';
         hintOverlay.innerHTML = `
             <div class="hint-content">
                 <i class="fas fa-hand-pointer"></i>
-                <span>Click on a city to travel there</span>
+                <span>${hintText}</span>
             </div>
         `;
 
@@ -644,23 +1694,26 @@ export class UIManager {
         }, 3000);
     }
 
-    // Show world map with Buenos Aires highlighted as final destination
+    // Show world map with the suspect's final city highlighted as final destination
     showWorldMapWithFinalDestination() {
         if (!this.elements.cityMarkers) return;
 
-        // Clear existing markers
-        this.elements.cityMarkers.innerHTML = '';
+        // Clear existing markers and show the trail that led here
+        this.clearCityMarkers();
+        if (this.worldMap) {
+            this.worldMap.setTrail(this.buildMapTrail());
+        }
 
-        // Get Buenos Aires (should be the only available city at this point)
+        // Get the cities not visited yet
         const availableCities = this.gameController.getCitiesByCriteria({
             excludeVisited: true,
             excludeCurrent: true
         });
 
-        // Find Buenos Aires specifically
-        const buenosAires = availableCities.find(city => city.is_final);
+        // Find the suspect's final city specifically
+        const finalCity = availableCities.find(city => this.gameController.gameState.isFinalCity(city.id));
 
-        if (!buenosAires) {
+        if (!finalCity) {
             const message = this.gameController.translationService ?
                 this.gameController.translationService.translate('ui.messages.final_destination_not_available', {}, 'Final destination not available.') :
                 'Final destination not available.';
@@ -668,19 +1721,29 @@ export class UIManager {
             return;
         }
 
+        // Describe journey progress for the current route length
+        const routeLength = this.gameController.gameState.cityRoute.length;
+        const subtitle = this.gameController.translationService ?
+            this.gameController.translationService.translate('ui.messages.final_destination_subtitle', {}, 'Where {suspect_full_name} awaits...') :
+            this.gameController.gameState.formatSuspectText('Where {suspect_full_name} awaits...');
+        const completed = Math.max(0, routeLength - 1);
+        const journeyProgress = this.gameController.translationService ?
+            this.gameController.translationService.translate('ui.messages.journey_progress', { completed, total: routeLength }, `${completed} of ${routeLength} cities completed`) :
+            `${completed} of ${routeLength} cities completed`;
+
         // Create special final destination display
         const finalDestinationContainer = document.createElement('div');
         finalDestinationContainer.className = 'final-destination-container';
         finalDestinationContainer.innerHTML = `
             <div class="final-destination-header">
                 <h3><i class="fas fa-flag-checkered"></i> Final Destination</h3>
-                <p class="journey-progress">4 of 5 cities completed</p>
+                <p class="journey-progress">${journeyProgress}</p>
             </div>
             <button class="final-destination-button" id="final-destination-btn">
                 <div class="destination-icon">🏆</div>
                 <div class="destination-info">
-                    <h4>${buenosAires.name}, ${buenosAires.country}</h4>
-                    <p class="destination-subtitle">Where Nadine Vuan awaits...</p>
+                    <h4>${finalCity.name}, ${finalCity.country}</h4>
+                    <p class="destination-subtitle">${subtitle}</p>
                 </div>
                 <div class="destination-action">
                     <i class="fas fa-arrow-right"></i> Complete Journey
@@ -691,7 +1754,7 @@ export class UIManager {
         // Add click handler for final destination
         const finalDestinationBtn = finalDestinationContainer.querySelector('#final-destination-btn');
         finalDestinationBtn.addEventListener('click', () => {
-            this.gameController.processPlayerAction('select-destination', { cityId: buenosAires.id });
+            this.gameController.processPlayerAction('select-destination', { cityId: finalCity.id });
         });
 
         this.elements.cityMarkers.appendChild(finalDestinationContainer);
@@ -721,6 +1784,7 @@ export class UIManager {
                     <div class="clue-header">
                         <span class="clue-number">${index + 1}</span>
                         <span class="clue-difficulty ${clue.difficulty}">${clue.difficulty.toUpperCase()}</span>
+                        ${clue.category ? `<span class="clue-category ${clue.category}">${this.gameController.getClueCategoryLabel(clue.category)}</span>` : ''}
                     </div>
                     <div class="clue-text">${clue.text}</div>
                     <div class="clue-source">Source: ${clue.sourceCity}</div>
@@ -737,8 +1801,40 @@ export class UIManager {
         this.updateProgressLabels();
     }
 
+    // Difficulty name and best-score line for the result screens
+    formatCaseResultSummary(summary) {
+        const translationService = this.gameController.translationService;
+        const translate = (key, params, fallback) => translationService ?
+            translationService.translate(key, params, fallback) :
+            fallback;
+
+        const difficulty = this.getDifficultyName(summary.difficulty);
+        let record = '';
+        if (summary.isNewBest) {
+            record = translate('ui.difficulty.new_best', { difficulty, score: summary.score }, `New ${difficulty} record: ${summary.score} points!`);
+        } else if (summary.best && summary.best.score > 0) {
+            record = translate('ui.difficulty.best_score', { difficulty, score: summary.best.score }, `Best ${difficulty} score: ${summary.best.score} points`);
+        }
+
+        return {
+            label: translate('ui.labels.difficulty', {}, 'Difficulty'),
+            difficulty: difficulty,
+            record: record
+        };
+    }
+
+    // Show the case's difficulty and the best score on it on the victory screen
+    updateCaseResultSummary(summary) {
+        const element = this.elements.victoryCaseSummary;
+        if (!element || !summary) return;
+
+        const { label, difficulty, record } = this.formatCaseResultSummary(summary);
+        element.textContent = `🎚️ ${label}: ${difficulty}${record ? ` · 🏆 ${record}` : ''}`;
+        element.classList.toggle('new-best', summary.isNewBest);
+    }
+
     // Show game over screen with enhanced information
-    showGameOverScreen(failureResult) {
+    showGameOverScreen(failureResult, scoreSummary = null) {
         const gameOverMessage = this.gameController.getGameOverMessage(
             failureResult.failureType, 
             failureResult.details
@@ -756,6 +1852,7 @@ export class UIManager {
         if (messageElement) {
             const details = failureResult.details;
             const investigationSummary = details.investigationSummary || {};
+            const resultSummary = scoreSummary ? this.formatCaseResultSummary(scoreSummary) : null;
 
             messageElement.innerHTML = `
                 <span class="evidence-marker">Case Status</span>
@@ -771,7 +1868,7 @@ export class UIManager {
                         </div>
                         <div class="summary-item">
                             <span class="summary-label">Route Progress:</span>
-                            <span class="summary-value">${details.routeProgress || '0/5'}</span>
+                            <span class="summary-value">${details.routeProgress || `0/${this.gameController.gameState.cityRoute.length}`}</span>
                         </div>
                         <div class="summary-item">
                             <span class="summary-label">Cities Completed:</span>
@@ -789,7 +1886,17 @@ export class UIManager {
                             <span class="summary-label">Efficiency:</span>
                             <span class="summary-value">${details.investigationEfficiency || 0}%</span>
                         </div>
+                        ${resultSummary ? `
+                            <div class="summary-item">
+                                <span class="summary-label">${resultSummary.label}:</span>
+                                <span class="summary-value">${resultSummary.difficulty}</span>
+                            </div>
+                        ` : ''}
                     </div>
+
+                    ${resultSummary && resultSummary.record ? `
+                        <p class="case-result-summary${scoreSummary.isNewBest ? ' new-best' : ''}">🏆 ${resultSummary.record}</p>
+                    ` : ''}
                     
                     ${investigationSummary.investigationPath ? `
                         <div class="investigation-path">
@@ -832,7 +1939,7 @@ export class UIManager {
         }, 500);
     }
 
-    // Show final encounter image (buenosAires_youFoundMe.png)
+    // Show final encounter image (the suspect's portrait)
     async showFinalEncounterImage(imagePath) {
         if (this.elements.cityScene && this.assetLoader) {
             const fullImagePath = `assets/scenes/${imagePath}`;
@@ -851,7 +1958,7 @@ export class UIManager {
 
                 // Update the image element
                 this.elements.cityScene.src = image.src;
-                this.elements.cityScene.alt = 'Final Encounter - You Found Nadine!';
+                this.elements.cityScene.alt = this.gameController.gameState.formatSuspectText('Final Encounter - You Found {suspect}!');
                 this.elements.cityScene.style.opacity = '1';
 
             } catch (error) {
@@ -864,7 +1971,7 @@ export class UIManager {
         } else if (this.elements.cityScene) {
             // Fallback to original method
             this.elements.cityScene.src = `assets/scenes/${imagePath}`;
-            this.elements.cityScene.alt = 'Final Encounter - You Found Nadine!';
+            this.elements.cityScene.alt = this.gameController.gameState.formatSuspectText('Final Encounter - You Found {suspect}!');
             this.elements.cityScene.onerror = () => {
                 console.warn(`Failed to load final encounter image: ${imagePath}`);
                 this.elements.cityScene.src = 'assets/scenes/world_map.png';
@@ -881,9 +1988,15 @@ export class UIManager {
             const responseElement = encounterScreen.querySelector('.steve-response');
             const victoryElement = encounterScreen.querySelector('.victory-message');
             
-            if (speechElement) speechElement.textContent = encounter.nadine_speech;
+            if (speechElement) speechElement.textContent = encounter.suspect_speech;
             if (responseElement) responseElement.textContent = encounter.steve_response;
             if (victoryElement) victoryElement.textContent = encounter.victory_message;
+
+            // The victory text names the case's suspect, which changes from case to case
+            const victoryText = encounterScreen.querySelector('[data-translate-key="ui.messages.victory_message"]');
+            if (victoryText && this.gameController.translationService) {
+                this.gameController.translationService.translateElement(victoryText, 'ui.messages.victory_message');
+            }
         }
     }
 
@@ -996,8 +2109,8 @@ export class UIManager {
         if (this.elements.collectCluesBtn) {
             this.elements.collectCluesBtn.disabled = true;
             const buttonText = this.gameController.translationService ?
-                this.gameController.translationService.translate('ui.buttons.nadine_not_here', {}, 'Nadine Not Here') :
-                'Nadine Not Here';
+                this.gameController.translationService.translate('ui.buttons.suspect_not_here', {}, '{suspect} Not Here') :
+                this.gameController.gameState.formatSuspectText('{suspect} Not Here');
             this.elements.collectCluesBtn.innerHTML = `<i class="fas fa-times"></i> ${buttonText}`;
         }
 
@@ -1030,11 +2143,29 @@ export class UIManager {
     }
 
     // Animate travel (simplified)
-    animateTravel(fromCity, toCity, callback) {
-        // Simple animation - just call callback after short delay
-        setTimeout(() => {
+    animateTravel(fromCity, toCity, callback, options = {}) {
+        // Fly along the great circle on the world map; the callback runs once the plane lands
+        // (options.deadEnd: wrong destination, the flight ends in a dead end)
+        this.isTravelAnimating = true;
+        const finish = () => {
+            this.isTravelAnimating = false;
             if (callback) callback();
-        }, 500);
+        };
+
+        const gameState = this.gameController.gameState;
+        const from = gameState.findCity(fromCity);
+        const to = gameState.findCity(toCity);
+        const hasCoordinates = (city) => city && typeof city.latitude === 'number' && typeof city.longitude === 'number';
+
+        if (!this.worldMap || !hasCoordinates(from) || !hasCoordinates(to)) {
+            // No route to draw (e.g. first city or missing coordinates) - short pause instead
+            setTimeout(finish, 500);
+            return;
+        }
+
+        this.worldMap.animateFlight(from, to, { deadEnd: Boolean(options.deadEnd) })
+            .catch(error => console.warn('Travel animation failed:', error))
+            .then(finish);
     }
 
     // Clear UI state for fresh session
@@ -1066,9 +2197,7 @@ export class UIManager {
         }
         
         // Clear city markers
-        if (this.elements.cityMarkers) {
-            this.elements.cityMarkers.innerHTML = '';
-        }
+        this.clearCityMarkers();
         
         // Reset button states using centralized translation method
         if (this.elements.collectCluesBtn) {
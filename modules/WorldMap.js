@@ -0,0 +1,863 @@
+/**
+ * WorldMap.js - Interactive World Map
+ * Vector world outline with cities projected from latitude/longitude, wheel and pinch zoom, panning and marker de-cluttering
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const EARTH_RADIUS_KM = 6371;
+const FLIGHT_PATH_POINTS = 64;
+const PLANE_SHAPE = 'M12,0 L4,-2 L-2,-10 L-5,-10 L-2,-2 L-9,-2 L-12,-6 L-14,-6 L-12,0 L-14,6 L-12,6 L-9,2 L-2,2 L-5,10 L-2,10 L4,2 Z';
+
+// Equirectangular projection of the map area (polar regions without cities are cropped)
+export const MAP_PROJECTION = {
+    width: 1000,
+    westLongitude: -180,
+    eastLongitude: 180,
+    northLatitude: 84,
+    southLatitude: -60
+};
+
+const MAP_SETTINGS = {
+    outlinePath: 'assets/data/world_land.json',
+    minScale: 1,
+    maxScale: 8,
+    wheelZoomSpeed: 0.0015,     // Zoom factor per wheel delta unit (exponential)
+    buttonZoomFactor: 1.6,      // Zoom in/out buttons
+    dragThreshold: 5,           // Pixels a pointer must move before a press becomes a pan
+    flightMsPerKm: 0.2,         // Flight animation length grows with the great-circle distance...
+    minFlightMs: 1200,          // ...between these bounds
+    maxFlightMs: 4500,
+    deadEndPauseMs: 700,        // Time the dead-end mark stays before the plane turns back
+    turnBackMs: 600,
+    reducedMotionMs: 300,       // Stand-in delay when the player prefers reduced motion
+    markerGap: 4,               // Minimum pixels between marker labels before they are grouped
+    clusterPadding: 60          // Pixels around grouped cities when zooming to them
+};
+
+export class WorldMap {
+    constructor(container, svg, markerLayer, settings = {}) {
+        this.container = container;
+        this.svg = svg;
+        this.markerLayer = markerLayer;
+        this.settings = { ...MAP_SETTINGS, ...settings };
+        this.width = MAP_PROJECTION.width;
+        this.height = MAP_PROJECTION.width *
+            (MAP_PROJECTION.northLatitude - MAP_PROJECTION.southLatitude) /
+            (MAP_PROJECTION.eastLongitude - MAP_PROJECTION.westLongitude);
+        this.view = { scale: 1, x: 0, y: 0 }; // Map units: screen = view + scale * projected point
+        this.markers = []; // { id, label, x, y, element }
+        this.clusterElements = [];
+        this.pointers = new Map(); // Active pointers for pan and pinch
+        this.gesture = null;
+        this.suppressClick = false;
+        this.layoutFrame = null;
+        this.outlineRequest = null;
+        this.translate = (key, params, fallback) => fallback; // Replaced by UIManager for localized labels
+
+        this.viewport = null;
+        this.landLayer = null;
+        this.trailLayer = null;
+        this.flightLayer = null;
+        this.overlayLayer = null;
+        this.trailStops = []; // { id, label, status, summary, details, x, y, number, element }
+        this.tooltip = null;
+        this.tooltipStop = null;
+        this.controls = null;
+    }
+
+    // Build the SVG layers, zoom controls and input handlers
+    init() {
+        if (!this.container || !this.svg || !this.markerLayer) {
+            console.warn('WorldMap: Missing map elements, interactive map disabled');
+            return false;
+        }
+
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        this.svg.innerHTML = '';
+
+        const ocean = document.createElementNS(SVG_NS, 'rect');
+        ocean.setAttribute('class', 'world-map-ocean');
+        ocean.setAttribute('width', this.width);
+        ocean.setAttribute('height', this.height);
+        this.svg.appendChild(ocean);
+
+        this.viewport = document.createElementNS(SVG_NS, 'g');
+        this.viewport.setAttribute('class', 'world-map-viewport');
+        this.viewport.appendChild(this.createGraticule());
+        this.landLayer = document.createElementNS(SVG_NS, 'g');
+        this.landLayer.setAttribute('class', 'world-map-land');
+        this.viewport.appendChild(this.landLayer);
+        this.trailLayer = document.createElementNS(SVG_NS, 'g');
+        this.trailLayer.setAttribute('class', 'world-map-trail');
+        this.viewport.appendChild(this.trailLayer);
+        this.flightLayer = document.createElementNS(SVG_NS, 'g');
+        this.flightLayer.setAttribute('class', 'world-map-flights');
+        this.viewport.appendChild(this.flightLayer);
+        this.svg.appendChild(this.viewport);
+
+        // Trail stops keep their size on screen, so they sit outside the zoomed viewport
+        this.overlayLayer = document.createElementNS(SVG_NS, 'g');
+        this.overlayLayer.setAttribute('class', 'world-map-overlay');
+        this.svg.appendChild(this.overlayLayer);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'world-map-tooltip';
+        this.tooltip.setAttribute('role', 'tooltip');
+        this.tooltip.hidden = true;
+        this.container.appendChild(this.tooltip);
+
+        this.container.classList.add('interactive-map');
+        this.createControls();
+        this.setupInputHandlers();
+        this.applyView();
+        this.loadOutline();
+        return true;
+    }
+
+    // Project latitude/longitude to map units
+    project(latitude, longitude) {
+        const longitudeSpan = MAP_PROJECTION.eastLongitude - MAP_PROJECTION.westLongitude;
+        const latitudeSpan = MAP_PROJECTION.northLatitude - MAP_PROJECTION.southLatitude;
+        return {
+            x: (longitude - MAP_PROJECTION.westLongitude) / longitudeSpan * this.width,
+            y: (MAP_PROJECTION.northLatitude - latitude) / latitudeSpan * this.height
+        };
+    }
+
+    // Meridians and parallels every 30 degrees
+    createGraticule() {
+        const lines = [];
+        for (let longitude = -150; longitude <= 150; longitude += 30) {
+            const top = this.project(MAP_PROJECTION.northLatitude, longitude);
+            const bottom = this.project(MAP_PROJECTION.southLatitude, longitude);
+            lines.push(`M${top.x.toFixed(1)},${top.y.toFixed(1)}V${bottom.y.toFixed(1)}`);
+        }
+        for (let latitude = -30; latitude <= 60; latitude += 30) {
+            const left = this.project(latitude, MAP_PROJECTION.westLongitude);
+            const right = this.project(latitude, MAP_PROJECTION.eastLongitude);
+            lines.push(`M${left.x.toFixed(1)},${left.y.toFixed(1)}H${right.x.toFixed(1)}`);
+        }
+
+        const graticule = document.createElementNS(SVG_NS, 'path');
+        graticule.setAttribute('class', 'world-map-graticule');
+        graticule.setAttribute('d', lines.join(''));
+        return graticule;
+    }
+
+    // Load the land outline once; the map stays usable (graticule and markers) if it fails
+    loadOutline() {
+        if (this.outlineRequest) {
+            return this.outlineRequest;
+        }
+
+        this.outlineRequest = fetch(this.settings.outlinePath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(outline => {
+                this.drawOutline(outline);
+                return true;
+            })
+            .catch(error => {
+                console.warn('WorldMap: Could not load world outline:', error);
+                this.container.classList.add('world-map-no-outline');
+                return false;
+            });
+
+        return this.outlineRequest;
+    }
+
+    // Draw land rings ([[longitude, latitude], ...]) as a single path
+    drawOutline(outline) {
+        if (!outline || !Array.isArray(outline.rings)) {
+            console.warn('WorldMap: World outline has no rings');
+            return;
+        }
+
+        const pathData = outline.rings.map(ring => ring.map(([longitude, latitude], index) => {
+            const point = this.project(latitude, longitude);
+            return `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`;
+        }).join('') + 'Z').join('');
+
+        const land = document.createElementNS(SVG_NS, 'path');
+        land.setAttribute('d', pathData);
+        this.landLayer.innerHTML = '';
+        this.landLayer.appendChild(land);
+    }
+
+    // Zoom in, zoom out and reset buttons (the keyboard and mouse alternative to gestures)
+    createControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'world-map-controls';
+
+        const buttons = [
+            { action: 'zoom-in', icon: 'fa-plus', onClick: () => this.zoomBy(this.settings.buttonZoomFactor) },
+            { action: 'zoom-out', icon: 'fa-minus', onClick: () => this.zoomBy(1 / this.settings.buttonZoomFactor) },
+            { action: 'reset', icon: 'fa-expand', onClick: () => this.resetView() }
+        ];
+
+        buttons.forEach(({ action, icon, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'world-map-control';
+            button.setAttribute('data-map-action', action);
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            button.addEventListener('click', onClick);
+            this.controls.appendChild(button);
+        });
+
+        // Labels are set by updateControlLabels once translations are loaded
+        this.container.appendChild(this.controls);
+    }
+
+    // Localized tooltips for the zoom controls and the map's accessible name
+    updateControlLabels() {
+        if (!this.controls) return;
+
+        this.svg.setAttribute('aria-label', this.translate('ui.map.aria_label', {}, 'World map'));
+
+        const labels = {
+            'zoom-in': this.translate('ui.map.zoom_in', {}, 'Zoom in'),
+            'zoom-out': this.translate('ui.map.zoom_out', {}, 'Zoom out'),
+            'reset': this.translate('ui.map.reset_view', {}, 'Show whole map')
+        };
+
+        this.controls.querySelectorAll('.world-map-control').forEach(button => {
+            const label = labels[button.getAttribute('data-map-action')];
+            button.title = label;
+            button.setAttribute('aria-label', label);
+        });
+    }
+
+    // Wheel zoom, drag to pan and two-finger pinch
+    setupInputHandlers() {
+        this.container.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.zoomAt(event.clientX, event.clientY, Math.exp(-event.deltaY * this.settings.wheelZoomSpeed));
+        }, { passive: false });
+
+        this.container.addEventListener('pointerdown', (event) => {
+            if (event.target.closest('.world-map-controls')) return;
+
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            this.gesture = this.createGesture();
+            if (this.pointers.size === 1) {
+                this.suppressClick = false;
+            }
+        });
+
+        this.container.addEventListener('pointermove', (event) => {
+            if (!this.pointers.has(event.pointerId)) return;
+
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            this.updateGesture(event);
+        });
+
+        const endPointer = (event) => {
+            if (!this.pointers.has(event.pointerId)) return;
+
+            this.pointers.delete(event.pointerId);
+            this.gesture = this.pointers.size > 0 ? this.createGesture() : null;
+            this.container.classList.remove('world-map-dragging');
+        };
+        ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+            this.container.addEventListener(type, endPointer);
+        });
+
+        // Marker label sizes change with the map's size on screen
+        window.addEventListener('resize', () => this.scheduleMarkerLayout());
+
+        // A press that turned into a pan must not also select the city under it
+        this.container.addEventListener('click', (event) => {
+            if (this.suppressClick) {
+                event.stopPropagation();
+                event.preventDefault();
+                this.suppressClick = false;
+            }
+        }, true);
+    }
+
+    // Snapshot of the active pointers when a gesture starts or a finger is added/lifted
+    createGesture() {
+        const points = [...this.pointers.values()];
+        return {
+            center: this.getCenter(points),
+            distance: points.length > 1 ? this.getDistance(points[0], points[1]) : 0,
+            moved: false
+        };
+    }
+
+    // Pan by the pointer movement and pinch-zoom by the change in finger distance
+    updateGesture(event) {
+        if (!this.gesture) return;
+
+        const points = [...this.pointers.values()];
+        const center = this.getCenter(points);
+        const deltaX = center.x - this.gesture.center.x;
+        const deltaY = center.y - this.gesture.center.y;
+
+        if (!this.gesture.moved && Math.hypot(deltaX, deltaY) < this.settings.dragThreshold && points.length === 1) {
+            return;
+        }
+
+        if (!this.gesture.moved) {
+            this.gesture.moved = true;
+            this.suppressClick = true;
+            this.container.classList.add('world-map-dragging');
+            if (this.container.setPointerCapture) {
+                try {
+                    this.container.setPointerCapture(event.pointerId);
+                } catch (error) {
+                    // Synthetic pointers cannot be captured; panning still works inside the map
+                }
+            }
+        }
+
+        const unitsPerPixel = this.getUnitsPerPixel();
+        this.view.x += deltaX * unitsPerPixel;
+        this.view.y += deltaY * unitsPerPixel;
+
+        if (points.length > 1 && this.gesture.distance > 0) {
+            const distance = this.getDistance(points[0], points[1]);
+            this.zoomAt(center.x, center.y, distance / this.gesture.distance, false);
+            this.gesture.distance = distance;
+        }
+
+        this.gesture.center = center;
+        this.applyView();
+    }
+
+    // Midpoint of the active pointers
+    getCenter(points) {
+        if (points.length === 0) {
+            return { x: 0, y: 0 };
+        }
+
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+    }
+
+    // Distance in pixels between two pointers
+    getDistance(first, second) {
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    }
+
+    // Size of the drawn map on screen (falls back to map units while the map is hidden)
+    getMapRect() {
+        const rect = this.svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        }
+
+        return rect;
+    }
+
+    // Map units covered by one screen pixel
+    getUnitsPerPixel() {
+        return this.width / this.getMapRect().width;
+    }
+
+    // Zoom by a factor keeping the map point under the given screen position in place
+    zoomAt(clientX, clientY, factor, apply = true) {
+        const scale = Math.min(this.settings.maxScale, Math.max(this.settings.minScale, this.view.scale * factor));
+        const rect = this.getMapRect();
+        const unitsPerPixel = this.width / rect.width;
+        const anchorX = (clientX - rect.left) * unitsPerPixel;
+        const anchorY = (clientY - rect.top) * unitsPerPixel;
+
+        // Keep the projected point under the anchor fixed while the scale changes
+        this.view.x = anchorX - (anchorX - this.view.x) * scale / this.view.scale;
+        this.view.y = anchorY - (anchorY - this.view.y) * scale / this.view.scale;
+        this.view.scale = scale;
+
+        if (apply) {
+            this.applyView();
+        }
+    }
+
+    // Zoom around the centre of the map
+    zoomBy(factor) {
+        const rect = this.getMapRect();
+        this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, factor);
+    }
+
+    // Show the whole world
+    resetView() {
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.applyView();
+    }
+
+    // Zoom to show every given city with some padding around them
+    zoomToCities(cityIds) {
+        const points = this.markers.filter(marker => cityIds.includes(marker.id));
+        if (points.length === 0) return;
+
+        const padding = this.settings.clusterPadding * this.getUnitsPerPixel();
+        const minX = Math.min(...points.map(point => point.x));
+        const maxX = Math.max(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxY = Math.max(...points.map(point => point.y));
+
+        // Padding is in screen pixels, so it is left out of the scaled span
+        const fitScale = Math.min(
+            (this.width - 2 * padding) / Math.max(maxX - minX, 1),
+            (this.height - 2 * padding) / Math.max(maxY - minY, 1)
+        );
+        const scale = Math.min(this.settings.maxScale, Math.max(this.settings.minScale, fitScale));
+        this.view.scale = scale;
+        this.view.x = this.width / 2 - scale * (minX + maxX) / 2;
+        this.view.y = this.height / 2 - scale * (minY + maxY) / 2;
+        this.applyView();
+    }
+
+    // Keep the map covering the whole frame at any zoom
+    clampView() {
+        this.view.scale = Math.min(this.settings.maxScale, Math.max(this.settings.minScale, this.view.scale));
+        this.view.x = Math.min(0, Math.max(this.width - this.width * this.view.scale, this.view.x));
+        this.view.y = Math.min(0, Math.max(this.height - this.height * this.view.scale, this.view.y));
+    }
+
+    // Apply the current zoom and pan to the outline and markers
+    applyView() {
+        this.clampView();
+        if (this.viewport) {
+            this.viewport.setAttribute('transform', `translate(${this.view.x.toFixed(2)} ${this.view.y.toFixed(2)}) scale(${this.view.scale.toFixed(4)})`);
+        }
+        if (this.container) {
+            this.container.classList.toggle('world-map-zoomed', this.view.scale > this.settings.minScale);
+        }
+        this.layoutTrailStops();
+        this.scheduleMarkerLayout();
+    }
+
+    // Screen position of a projected point as percentages of the map frame
+    toFramePercent(point) {
+        return {
+            left: (this.view.x + this.view.scale * point.x) / this.width * 100,
+            top: (this.view.y + this.view.scale * point.y) / this.height * 100
+        };
+    }
+
+    // Replace the city markers; each city needs id, latitude, longitude and the element to place
+    setMarkers(cities) {
+        this.clearMarkers();
+        this.clearFlights();
+        this.markers = cities
+            .filter(city => typeof city.latitude === 'number' && typeof city.longitude === 'number')
+            .map(city => ({
+                id: city.id,
+                label: city.label || city.id,
+                element: city.element,
+                ...this.project(city.latitude, city.longitude)
+            }));
+
+        this.markers.forEach(marker => {
+            marker.element.classList.add('world-map-marker');
+            this.markerLayer.appendChild(marker.element);
+        });
+
+        this.resetView();
+        this.layoutMarkers();
+    }
+
+    // Remove all markers and groups from the map
+    clearMarkers() {
+        this.markers = [];
+        this.clusterElements = [];
+        if (this.markerLayer) {
+            this.markerLayer.innerHTML = '';
+        }
+    }
+
+    // Lay markers out once per animation frame while zooming or panning
+    scheduleMarkerLayout() {
+        if (this.layoutFrame !== null || this.markers.length === 0) return;
+
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (callback) => setTimeout(callback, 16);
+        this.layoutFrame = schedule(() => {
+            this.layoutFrame = null;
+            this.layoutMarkers();
+        });
+    }
+
+    // Position markers for the current view and group those whose labels would overlap
+    layoutMarkers() {
+        this.clusterElements.forEach(element => element.remove());
+        this.clusterElements = [];
+
+        const rect = this.getMapRect();
+        const pixelsPerUnit = rect.width / this.width;
+        const groups = [];
+
+        this.markers.forEach(marker => {
+            const position = this.toFramePercent(marker);
+            const visible = position.left >= 0 && position.left <= 100 && position.top >= 0 && position.top <= 100;
+            marker.element.style.left = `${position.left.toFixed(2)}%`;
+            marker.element.style.top = `${position.top.toFixed(2)}%`;
+            marker.element.classList.toggle('world-map-marker-offscreen', !visible);
+            marker.element.classList.remove('world-map-marker-grouped');
+            if (!visible) return;
+
+            const box = {
+                x: position.left / 100 * this.width * pixelsPerUnit,
+                y: position.top / 100 * this.height * pixelsPerUnit,
+                ...this.getMarkerSize(marker)
+            };
+
+            // Join the first group whose label box this one would touch
+            const group = groups.find(candidate => candidate.boxes.some(other => this.boxesOverlap(box, other)));
+            if (group) {
+                group.members.push(marker);
+                group.boxes.push(box);
+            } else {
+                groups.push({ members: [marker], boxes: [box] });
+            }
+        });
+
+        groups.filter(group => group.members.length > 1).forEach(group => {
+            group.members.forEach(marker => marker.element.classList.add('world-map-marker-grouped'));
+            this.clusterElements.push(this.createClusterMarker(group.members));
+        });
+    }
+
+    // On-screen size of a marker label (estimated from the name while the map is hidden)
+    getMarkerSize(marker) {
+        const width = marker.element.offsetWidth;
+        const height = marker.element.offsetHeight;
+        if (width && height) {
+            return { width, height };
+        }
+
+        return { width: marker.label.length * 7 + 30, height: 22 };
+    }
+
+    // Check whether two centred label boxes overlap (with a small gap)
+    boxesOverlap(first, second) {
+        const gap = this.settings.markerGap;
+        return Math.abs(first.x - second.x) < (first.width + second.width) / 2 + gap &&
+            Math.abs(first.y - second.y) < (first.height + second.height) / 2 + gap;
+    }
+
+    // One button standing in for cities too close to label separately; clicking it zooms to them
+    createClusterMarker(members) {
+        const center = {
+            x: members.reduce((sum, marker) => sum + marker.x, 0) / members.length,
+            y: members.reduce((sum, marker) => sum + marker.y, 0) / members.length
+        };
+        const position = this.toFramePercent(center);
+        const names = members.map(marker => marker.label).join(', ');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'city-marker-button world-map-marker world-map-cluster';
+        button.style.left = `${position.left.toFixed(2)}%`;
+        button.style.top = `${position.top.toFixed(2)}%`;
+        button.title = this.translate('ui.map.cluster_title', { cities: names }, `Zoom in to see: ${names}`);
+        button.innerHTML = `<i class="fas fa-layer-group"></i> ${this.translate('ui.map.cluster_label', { count: members.length }, `${members.length} cities`)}`;
+        button.addEventListener('click', () => this.zoomToCities(members.map(marker => marker.id)));
+
+        this.markerLayer.appendChild(button);
+        return button;
+    }
+
+    // Draw the case so far: route stops ({ id, label, latitude, longitude, status: 'visited' | 'current', details })
+    // joined in order by great-circle legs, plus wrong guesses (status 'wrong') marked with a cross
+    setTrail(stops) {
+        this.clearTrail();
+
+        const placedStops = stops.filter(stop => typeof stop.latitude === 'number' && typeof stop.longitude === 'number');
+        const routeStops = placedStops.filter(stop => stop.status !== 'wrong');
+
+        for (let index = 1; index < routeStops.length; index++) {
+            const { points } = this.getGreatCirclePath(routeStops[index - 1], routeStops[index]);
+            this.createArcPaths(points, 'world-map-trail-leg', this.trailLayer);
+        }
+
+        this.trailStops = placedStops.map(stop => ({
+            ...stop,
+            ...this.project(stop.latitude, stop.longitude),
+            number: stop.status === 'wrong' ? null : routeStops.indexOf(stop) + 1
+        }));
+        this.trailStops.forEach(stop => {
+            stop.element = this.createTrailStop(stop);
+            this.overlayLayer.appendChild(stop.element);
+        });
+
+        this.layoutTrailStops();
+    }
+
+    // Remove the trail, its stops and any open tooltip
+    clearTrail() {
+        this.trailStops = [];
+        if (this.trailLayer) this.trailLayer.innerHTML = '';
+        if (this.overlayLayer) this.overlayLayer.innerHTML = '';
+        this.hideTooltip();
+    }
+
+    // Numbered circle for a route stop, or a cross for a wrong guess; hovering or focusing it shows the tooltip
+    createTrailStop(stop) {
+        const element = document.createElementNS(SVG_NS, 'g');
+        element.setAttribute('class', `world-map-stop ${stop.status}`);
+        element.setAttribute('data-city-id', stop.id);
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('aria-label', stop.label);
+
+        if (stop.status === 'wrong') {
+            element.innerHTML = '<circle r="8"></circle><path d="M-4,-4 L4,4 M4,-4 L-4,4"></path>';
+        } else {
+            element.innerHTML = `<circle r="9"></circle><text text-anchor="middle" dy="0.35em">${stop.number}</text>`;
+        }
+
+        const show = () => this.showTooltip(stop);
+        const hide = () => this.hideTooltip();
+        element.addEventListener('pointerenter', show);
+        element.addEventListener('focus', show);
+        element.addEventListener('pointerleave', hide);
+        element.addEventListener('blur', hide);
+        return element;
+    }
+
+    // Keep trail stops on their cities at the current zoom; wrong-guess crosses sit just above the city's button
+    layoutTrailStops() {
+        const pixelsToUnits = this.getUnitsPerPixel();
+        this.trailStops.forEach(stop => {
+            const x = this.view.x + this.view.scale * stop.x;
+            const y = this.view.y + this.view.scale * stop.y - (stop.status === 'wrong' ? 20 * pixelsToUnits : 0);
+            stop.element.setAttribute('transform', `translate(${x.toFixed(1)} ${y.toFixed(1)}) scale(${pixelsToUnits.toFixed(3)})`);
+            stop.screenY = y;
+        });
+
+        if (this.tooltip && !this.tooltip.hidden && this.tooltipStop) {
+            this.positionTooltip(this.tooltipStop);
+        }
+    }
+
+    // Tooltip with a stop's name, status line and details (e.g. the clues collected there)
+    showTooltip(stop) {
+        if (!this.tooltip) return;
+
+        this.tooltip.innerHTML = '';
+        const title = document.createElement('strong');
+        title.textContent = stop.label;
+        this.tooltip.appendChild(title);
+
+        if (stop.summary) {
+            const summary = document.createElement('span');
+            summary.className = 'world-map-tooltip-summary';
+            summary.textContent = stop.summary;
+            this.tooltip.appendChild(summary);
+        }
+
+        if (Array.isArray(stop.details) && stop.details.length > 0) {
+            const list = document.createElement('ul');
+            stop.details.forEach(detail => {
+                const item = document.createElement('li');
+                item.textContent = detail;
+                list.appendChild(item);
+            });
+            this.tooltip.appendChild(list);
+        }
+
+        this.tooltipStop = stop;
+        this.tooltip.hidden = false;
+        this.positionTooltip(stop);
+    }
+
+    // Place the tooltip above a stop (below it near the top edge)
+    positionTooltip(stop) {
+        const left = (this.view.x + this.view.scale * stop.x) / this.width * 100;
+        const top = stop.screenY / this.height * 100;
+        this.tooltip.style.left = `${Math.min(85, Math.max(15, left)).toFixed(2)}%`;
+        this.tooltip.style.top = `${top.toFixed(2)}%`;
+        this.tooltip.classList.toggle('below', top < 35);
+    }
+
+    // Hide the stop tooltip
+    hideTooltip() {
+        this.tooltipStop = null;
+        if (this.tooltip) {
+            this.tooltip.hidden = true;
+        }
+    }
+
+    // Remove flight paths and planes from the map
+    clearFlights() {
+        if (this.flightLayer) {
+            this.flightLayer.innerHTML = '';
+        }
+    }
+
+    // Points along the great circle between two places ({ latitude, longitude }), with the arc length in km.
+    // Longitudes are unwrapped so a route over the Pacific continues past the map edge instead of jumping back.
+    getGreatCirclePath(from, to) {
+        const toVector = ({ latitude, longitude }) => {
+            const latitudeRad = latitude * Math.PI / 180;
+            const longitudeRad = longitude * Math.PI / 180;
+            return [Math.cos(latitudeRad) * Math.cos(longitudeRad), Math.cos(latitudeRad) * Math.sin(longitudeRad), Math.sin(latitudeRad)];
+        };
+        const start = toVector(from);
+        const end = toVector(to);
+        const dot = Math.min(1, Math.max(-1, start[0] * end[0] + start[1] * end[1] + start[2] * end[2]));
+        const angle = Math.acos(dot);
+
+        const points = [];
+        let previousLongitude = from.longitude;
+        for (let index = 0; index <= FLIGHT_PATH_POINTS; index++) {
+            const t = index / FLIGHT_PATH_POINTS;
+            // Spherical interpolation; nearly identical places fall back to a straight blend
+            const startWeight = angle < 1e-6 ? 1 - t : Math.sin((1 - t) * angle) / Math.sin(angle);
+            const endWeight = angle < 1e-6 ? t : Math.sin(t * angle) / Math.sin(angle);
+            const vector = start.map((value, axis) => startWeight * value + endWeight * end[axis]);
+
+            const latitude = Math.asin(Math.max(-1, Math.min(1, vector[2]))) * 180 / Math.PI;
+            let longitude = Math.atan2(vector[1], vector[0]) * 180 / Math.PI;
+            while (longitude - previousLongitude > 180) longitude -= 360;
+            while (longitude - previousLongitude < -180) longitude += 360;
+            previousLongitude = longitude;
+
+            points.push(this.project(latitude, longitude));
+        }
+
+        return { points, distanceKm: angle * EARTH_RADIUS_KM };
+    }
+
+    // SVG path data through projected points
+    toPathData(points) {
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`).join('');
+    }
+
+    // Bring an unwrapped x position back onto the map
+    wrapX(x) {
+        return ((x % this.width) + this.width) % this.width;
+    }
+
+    // Paths for an arc; it is drawn once more a map width to the side so a route across the edge shows on both sides
+    createArcPaths(points, className, parent) {
+        const offsets = [0];
+        if (points.some(point => point.x < 0)) offsets.push(this.width);
+        if (points.some(point => point.x > this.width)) offsets.push(-this.width);
+
+        return offsets.map(offset => {
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('class', className);
+            path.setAttribute('transform', `translate(${offset} 0)`);
+            path.setAttribute('d', this.toPathData(points));
+            parent.appendChild(path);
+            return path;
+        });
+    }
+
+    // Flight animation length for a distance
+    getFlightDuration(distanceKm) {
+        return Math.round(Math.min(this.settings.maxFlightMs, Math.max(this.settings.minFlightMs, distanceKm * this.settings.flightMsPerKm)));
+    }
+
+    // Check whether the player asked the system for reduced motion
+    prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // Fly a plane along the great circle between two places; resolves when the animation ends.
+    // With deadEnd the route is drawn as a dead end: the plane reaches the city, it is crossed out and the plane turns back.
+    animateFlight(from, to, options = {}) {
+        const deadEnd = Boolean(options.deadEnd);
+        if (!this.flightLayer || this.prefersReducedMotion()) {
+            return this.wait(this.settings.reducedMotionMs);
+        }
+
+        this.clearFlights();
+        this.resetView();
+        this.container.classList.add('world-map-flying');
+
+        const { points, distanceKm } = this.getGreatCirclePath(from, to);
+        const duration = options.duration || this.getFlightDuration(distanceKm);
+
+        const paths = this.createArcPaths(points, `world-map-flight-path${deadEnd ? ' dead-end' : ''}`, this.flightLayer);
+
+        const plane = document.createElementNS(SVG_NS, 'path');
+        plane.setAttribute('class', `world-map-plane${deadEnd ? ' dead-end' : ''}`);
+        plane.setAttribute('d', PLANE_SHAPE);
+        this.flightLayer.appendChild(plane);
+
+        const drawUntil = (progress, reverse = false) => {
+            const position = progress * (points.length - 1);
+            const index = Math.min(points.length - 2, Math.floor(position));
+            const fraction = position - index;
+            const current = {
+                x: points[index].x + (points[index + 1].x - points[index].x) * fraction,
+                y: points[index].y + (points[index + 1].y - points[index].y) * fraction
+            };
+
+            if (!reverse) {
+                const pathData = this.toPathData([...points.slice(0, index + 1), current]);
+                paths.forEach(path => path.setAttribute('d', pathData));
+            }
+
+            // Nose along the direction of travel; wrap the plane back onto the map past the edge
+            const heading = Math.atan2(points[index + 1].y - points[index].y, points[index + 1].x - points[index].x) * 180 / Math.PI + (reverse ? 180 : 0);
+            const planeX = this.wrapX(current.x);
+            plane.setAttribute('transform', `translate(${planeX.toFixed(1)} ${current.y.toFixed(1)}) rotate(${heading.toFixed(1)})`);
+        };
+
+        const easeInOut = (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+        let animation = this.runAnimation(duration, t => drawUntil(easeInOut(t)));
+        if (deadEnd) {
+            animation = animation
+                .then(() => {
+                    this.flightLayer.appendChild(this.createDeadEndMark(points[points.length - 1]));
+                    return this.wait(this.settings.deadEndPauseMs);
+                })
+                .then(() => this.runAnimation(this.settings.turnBackMs, t => {
+                    // Head back along the route and fade out
+                    drawUntil(1 - t * 0.3, true);
+                    plane.style.opacity = (1 - t).toFixed(2);
+                }));
+        }
+
+        return animation.finally(() => {
+            this.container.classList.remove('world-map-flying');
+        });
+    }
+
+    // Red cross over a city that turned out to be a dead end
+    createDeadEndMark(point) {
+        const x = this.wrapX(point.x);
+        const mark = document.createElementNS(SVG_NS, 'g');
+        mark.setAttribute('class', 'world-map-dead-end');
+        mark.setAttribute('transform', `translate(${x.toFixed(1)} ${point.y.toFixed(1)})`);
+        mark.innerHTML = '<circle r="12"></circle><path d="M-6,-6 L6,6 M6,-6 L-6,6"></path>';
+        return mark;
+    }
+
+    // Call onFrame with the elapsed fraction (0 to 1) on every animation frame for the given time
+    runAnimation(duration, onFrame) {
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (callback) => setTimeout(callback, 16);
+
+        return new Promise(resolve => {
+            const startedAt = now();
+            const tick = () => {
+                const t = Math.min(1, (now() - startedAt) / duration);
+                onFrame(t);
+                if (t < 1) {
+                    schedule(tick);
+                } else {
+                    resolve();
+                }
+            };
+            tick();
+        });
+    }
+
+    // Promise that resolves after a delay
+    wait(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+}